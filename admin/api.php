@@ -119,6 +119,10 @@ try {
             $processor = new ImageProcessor();
             $processor->processFurnitureImage($pdo, $id, $imageUrl);
             
+            if (!empty($validation['data']['gallery_urls'])) {
+                $processor->processFurnitureGallery($pdo, $id, $validation['data']['gallery_urls']);
+            }
+            
             jsonSuccess(['id' => $id], 'Furniture created successfully');
             break;
 
@@ -136,10 +140,12 @@ try {
             }
             $newImageUrl = $validation['data']['image_url'] ?? null;
             $oldImageUrl = $currentItem['image_url'] ?? null;
+            $processor = new ImageProcessor();
             
             if ($newImageUrl && $newImageUrl !== $oldImageUrl) {
-                $processor = new ImageProcessor();
-                $localPath = $processor->processFurnitureImage($pdo, $id, $newImageUrl, $oldImageUrl);
+                // Keep the old main image file when it moved into the gallery
+                $replacedImageUrl = in_array($oldImageUrl, $validation['data']['gallery_urls'] ?? [], true) ? null : $oldImageUrl;
+                $localPath = $processor->processFurnitureImage($pdo, $id, $newImageUrl, $replacedImageUrl);
                 if ($localPath) {
                     // Use local processed image
                     $validation['data']['image_url'] = $localPath;
@@ -148,6 +154,9 @@ try {
 
             try {
                 updateFurniture($pdo, $id, $validation['data']);
+                if (!empty($validation['data']['gallery_urls'])) {
+                    $processor->processFurnitureGallery($pdo, $id, $validation['data']['gallery_urls']);
+                }
                 jsonSuccess(null, 'Furniture updated successfully');
             } catch (RuntimeException $e) {
                 jsonError('Failed to update furniture: ' . $e->getMessage());
@@ -476,6 +476,14 @@ function renderFurnitureAdd(PDO $pdo): void
                     </div>
                 </div>
                 
+                <?php if (furnitureImagesAvailable($pdo)): ?>
+                <div class="form-group">
+                    <label for="gallery_urls">More Images</label>
+                    <textarea id="gallery_urls" name="gallery_urls" rows="3" placeholder="One image URL per line"></textarea>
+                    <p class="form-help">Other angles or placed-in-interior shots, shown after the main image in this order (up to <?= MAX_FURNITURE_IMAGES - 1 ?>)</p>
+                </div>
+                <?php endif; ?>
+                
                 <div class="form-actions">
                     <button type="submit" class="btn btn-primary">Create Furniture</button>
                     <a href="/admin/?page=furniture" class="btn">Cancel</a>
@@ -586,6 +594,14 @@ function renderFurnitureEdit(PDO $pdo, int $id): void
                     </div>
                 </div>
                 
+                <?php if (furnitureImagesAvailable($pdo)): ?>
+                <div class="form-group">
+                    <label for="gallery_urls">More Images</label>
+                    <textarea id="gallery_urls" name="gallery_urls" rows="3" placeholder="One image URL per line"><?= e(implode("\n", getFurnitureGallery($pdo, $id))) ?></textarea>
+                    <p class="form-help">Other angles or placed-in-interior shots, shown after the main image in this order (up to <?= MAX_FURNITURE_IMAGES - 1 ?>)</p>
+                </div>
+                <?php endif; ?>
+                
                 <div class="form-actions">
                     <button type="submit" class="btn btn-primary">Update Furniture</button>
                     <a href="/admin/?page=furniture" class="btn">Cancel</a>
@@ -1626,6 +1642,29 @@ function renderSubmissionDetail(PDO $pdo, int $id): void
                             <?php endif; ?>
                         </td>
                     </tr>
+                    <?php if (isset($data['gallery_urls'])): ?>
+                    <?php
+                    // Compare gallery images (order matters)
+                    $originalGallery = getFurnitureGallery($pdo, (int) $submission['furniture_id']);
+                    $galleryChanged = $originalGallery !== $data['gallery_urls'];
+                    ?>
+                    <tr class="<?= $galleryChanged ? 'changed' : '' ?>">
+                        <td><strong>More Images</strong></td>
+                        <?php foreach ([$originalGallery, $data['gallery_urls']] as $gallery): ?>
+                        <td>
+                            <?php if (!empty($gallery)): ?>
+                            <div class="thumb-list">
+                                <?php foreach ($gallery as $galleryUrl): ?>
+                                <img src="<?= e($galleryUrl) ?>" alt="" class="thumb">
+                                <?php endforeach; ?>
+                            </div>
+                            <?php else: ?>
+                            <span class="text-muted">No images</span>
+                            <?php endif; ?>
+                        </td>
+                        <?php endforeach; ?>
+                    </tr>
+                    <?php endif; ?>
                     <?php
                     // Compare tags
                     $currentTagIds = array_map('intval', array_column($originalFurniture['tags'] ?? [], 'id'));
@@ -1697,8 +1736,11 @@ function renderSubmissionDetail(PDO $pdo, int $id): void
             </div>
             
             <?php if (!empty($data['image_url'])): ?>
-            <div class="image-preview">
+            <div class="image-preview image-preview-list">
                 <img src="<?= e($data['image_url']) ?>" alt="Preview" onerror="this.src='/images/placeholder.svg'">
+                <?php foreach ($data['gallery_urls'] ?? [] as $galleryUrl): ?>
+                <img src="<?= e($galleryUrl) ?>" alt="" onerror="this.src='/images/placeholder.svg'">
+                <?php endforeach; ?>
             </div>
             <?php endif; ?>
             
@@ -1808,6 +1850,12 @@ function renderSubmissionDetail(PDO $pdo, int $id): void
         border-radius: var(--radius-sm);
     }
     
+    .thumb-list {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+    }
+    
     .image-preview img {
         max-width: 300px;
         max-height: 200px;
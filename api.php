@@ -43,6 +43,8 @@ try {
             $sort = getQuery('sort', 'name');
             $sort = in_array($sort, ['name', 'price', 'newest']) ? $sort : 'name';
             $order = strtolower(getQuery('order', 'asc')) === 'desc' ? 'desc' : 'asc';
+            $priceMin = getQueryIntOrNull('price_min');
+            $priceMax = getQueryIntOrNull('price_max');
 
             // Favorites only filter
             $favoritesOnly = !empty(getQuery('favorites_only', ''));
@@ -54,7 +56,7 @@ try {
                 }
             }
 
-            $result = getFurnitureList($pdo, $page, $perPage, $category, $tags, $sort, $order, $userFavoritesId);
+            $result = getFurnitureList($pdo, $page, $perPage, $category, $tags, $sort, $order, $userFavoritesId, $priceMin, $priceMax);
             jsonSuccess($result['items'] ?? [], null, $result['pagination'] ?? null);
             break;
 
@@ -91,8 +93,10 @@ try {
                 $perPage, 
                 $userFavoritesId, 
                 true,  // expandSynonyms
-                true,  // logSearchQuery
-                $categoryFilter
+                empty($_SERVER['HTTP_X_REVALIDATE']),  // logSearchQuery (skip background revalidations)
+                $categoryFilter,
+                getQueryIntOrNull('price_min'),
+                getQueryIntOrNull('price_max')
             );
             
             // Pass through search metadata if synonyms were expanded
@@ -101,6 +105,18 @@ try {
             jsonSuccess($result['items'] ?? [], null, $result['pagination'] ?? null, $extra);
             break;
 
+        case 'furniture/suggest':
+            requireMethod('GET');
+
+            $query = trim(getQuery('q', ''));
+            if (strlen($query) < 2 || strlen($query) > 100) {
+                jsonSuccess(['furniture' => [], 'categories' => [], 'tags' => [], 'did_you_mean' => null]);
+            }
+
+            $limit = min(10, max(1, getQueryInt('limit', 5)));
+            jsonSuccess(getSearchSuggestions($pdo, $query, $limit), null, null, null, true, 60);
+            break;
+
         case 'furniture/single':
             requireMethod('GET');
 
@@ -139,9 +155,21 @@ try {
             }
             
             $items = getFurnitureByIds($pdo, $ids);
+            $items = attachTagsToFurniture($pdo, $items);
+            $items = attachImagesToFurniture($pdo, $items);
             jsonSuccess($items);
             break;
 
+        case 'furniture/similar':
+            requireMethod('GET');
+
+            $id = getQueryInt('id', 0);
+            requireFurniture($pdo, $id);
+
+            $limit = min(MAX_SIMILAR_FURNITURE, max(1, getQueryInt('limit', MAX_SIMILAR_FURNITURE)));
+            jsonSuccess(getSimilarFurniture($pdo, $id, $limit), null, null, null, true, 300);
+            break;
+
         case 'furniture/check-duplicates':
             requireMethod('GET');
 
@@ -166,6 +194,11 @@ try {
             jsonSuccess($matches);
             break;
 
+        case 'furniture/price-range':
+            requireMethod('GET');
+            jsonSuccess(getFurniturePriceRange($pdo), null, null, null, true, CACHE_TTL_CATEGORIES);
+            break;
+
         case 'categories':
             requireMethod('GET');
             jsonSuccess(getCategories($pdo), null, null, null, true, CACHE_TTL_CATEGORIES);
@@ -272,6 +305,90 @@ try {
             jsonError(ERROR_METHOD_NOT_ALLOWED, 405);
             break;
 
+        case 'favorites/bulk':
+            requireMethod('POST');
+
+            $userId = getCurrentUserId();
+            if (!$userId) {
+                jsonError(ERROR_AUTH_REQUIRED, 401);
+            }
+
+            // One bulk request counts as a single favorites action
+            withRateLimit(
+                'api_favorites',
+                RATE_LIMIT_FAVORITES['max'],
+                RATE_LIMIT_FAVORITES['window'],
+                function () use ($pdo, $userId) {
+                    $input = getJsonInput() ?? [];
+                    $idsResult = Validator::furnitureIds((array) ($input['furniture_ids'] ?? []));
+                    if (!$idsResult['valid']) {
+                        jsonError($idsResult['error']);
+                    }
+
+                    try {
+                        $result = addFavoritesBulk($pdo, $userId, $idsResult['data']);
+                        jsonSuccess($result, 'Added to favorites');
+                    } catch (RuntimeException $e) {
+                        jsonError('Failed to add favorites: ' . $e->getMessage());
+                    }
+                },
+                (string) $userId
+            );
+            break;
+
+        case 'favorites/update':
+            requireMethod('POST');
+
+            $userId = getCurrentUserId();
+            if (!$userId) {
+                jsonError(ERROR_AUTH_REQUIRED, 401);
+            }
+
+            if (!favoriteDetailsAvailable($pdo)) {
+                jsonError('Favorite notes are currently unavailable', 503);
+            }
+
+            withRateLimit(
+                'api_favorites',
+                RATE_LIMIT_FAVORITES['max'],
+                RATE_LIMIT_FAVORITES['window'],
+                function () use ($pdo, $userId) {
+                    $input = getJsonInput() ?? [];
+
+                    $idResult = Validator::furnitureId((int) ($input['furniture_id'] ?? 0));
+                    if (!$idResult['valid']) {
+                        jsonError($idResult['error']);
+                    }
+
+                    $data = [];
+                    if (array_key_exists('note', $input)) {
+                        $noteResult = Validator::favoriteNote((string) ($input['note'] ?? ''));
+                        if (!$noteResult['valid']) {
+                            jsonError($noteResult['error']);
+                        }
+                        $data['note'] = $noteResult['data'];
+                    }
+                    if (array_key_exists('quantity', $input)) {
+                        $quantityResult = Validator::quantity((int) $input['quantity']);
+                        if (!$quantityResult['valid']) {
+                            jsonError($quantityResult['error']);
+                        }
+                        $data['quantity'] = $quantityResult['data'];
+                    }
+
+                    try {
+                        if (!updateFavoriteDetails($pdo, $userId, $idResult['data'], $data)) {
+                            jsonError('Not in favorites', 404);
+                        }
+                        jsonSuccess(['furniture_id' => $idResult['data']] + $data, 'Favorite updated');
+                    } catch (RuntimeException $e) {
+                        jsonError('Failed to update favorite: ' . $e->getMessage());
+                    }
+                },
+                (string) $userId
+            );
+            break;
+
         case 'favorites/clear':
             if (!in_array($method, ['POST', 'DELETE'])) {
                 jsonError(ERROR_METHOD_NOT_ALLOWED, 405);
@@ -60,6 +60,20 @@ if (!$collection) {
 }
 
 $items = getCollectionItems($pdo, $collection['id']);
+$totals = getCollectionTotals($pdo, (int) $collection['id']);
+
+// Consecutive items of the same section, only when some item is in a section
+$sectionGroups = [];
+if (array_filter(array_column($items, 'section_id'))) {
+    foreach ($items as $item) {
+        $last = array_key_last($sectionGroups);
+        if ($last === null || $sectionGroups[$last]['id'] !== $item['section_id']) {
+            $sectionGroups[] = ['id' => $item['section_id'], 'name' => $item['section_name'], 'items' => []];
+            $last = array_key_last($sectionGroups);
+        }
+        $sectionGroups[$last]['items'][] = $item;
+    }
+}
 $currentUser = getCurrentUser();
 $userFavoriteIds = $currentUser ? getUserFavoriteIds($pdo, $currentUser['id']) : [];
 
@@ -83,10 +97,13 @@ require_once __DIR__ . '/templates/header.php';
                         <strong><?= e($collection['owner_username']) ?></strong>
                     </span>
                     <span class="meta-separator">•</span>
-                    <span class="meta-item"><?= count($items) ?> items</span>
+                    <span class="meta-item"><?= e(__('collections.totals', ['count' => $totals['piece_count'], 'cost' => '$' . number_format($totals['total_cost'])])) ?></span>
                     <span class="meta-separator">•</span>
                     <span class="meta-item"><?= date('M j, Y', strtotime($collection['created_at'])) ?></span>
                 </div>
+                <?php if (isset($collection['budget'])): ?>
+                <?= renderCollectionBudget($totals['total_cost'], (int) $collection['budget']) ?>
+                <?php endif; ?>
             </div>
             
             <div class="collection-header-actions">
@@ -111,13 +128,27 @@ require_once __DIR__ . '/templates/header.php';
             <p style="color: var(--text-secondary); margin-bottom: var(--spacing-lg);">No items have been added to this collection yet.</p>
             <a href="/" class="btn btn-primary">Browse Catalog</a>
         </div>
-        <?php else: ?>
+        <?php elseif (empty($sectionGroups)): ?>
         <div class="furniture-grid" id="collection-grid">
             <?php foreach ($items as $item): 
                 $isFavorited = in_array($item['id'], $userFavoriteIds);
                 echo renderFurnitureCard($item, $isFavorited, (bool) $currentUser);
             endforeach; ?>
         </div>
+        <?php else: ?>
+        <div class="collection-sections" id="collection-grid">
+            <?php foreach ($sectionGroups as $group): ?>
+            <?php if ($group['name'] !== null): ?>
+            <h2 class="collection-section-title"><?= e($group['name']) ?></h2>
+            <?php endif; ?>
+            <div class="furniture-grid">
+                <?php foreach ($group['items'] as $item): 
+                    $isFavorited = in_array($item['id'], $userFavoriteIds);
+                    echo renderFurnitureCard($item, $isFavorited, (bool) $currentUser);
+                endforeach; ?>
+            </div>
+            <?php endforeach; ?>
+        </div>
         <?php endif; ?>
     </div>
 </section>
@@ -177,6 +208,19 @@ require_once __DIR__ . '/templates/header.php';
     opacity: 0.5;
 }
 
+/* Section (room) headers between item grids */
+.collection-section-title {
+    font-size: 1.25rem;
+    margin: var(--spacing-xl) 0 var(--spacing-md);
+    padding-bottom: var(--spacing-sm);
+    border-bottom: 1px solid var(--border-color);
+    color: var(--text-primary);
+}
+
+.collection-section-title:first-child {
+    margin-top: 0;
+}
+
 .collection-header-actions {
     display: flex;
     gap: var(--spacing-sm);
@@ -262,6 +306,10 @@ const CollectionPage = {
             'category_name' => $item['category_name'] ?? ($item['categories'][0]['name'] ?? ''),
             'price' => $item['price'],
             'image_url' => $item['image_url'] ?? '/images/placeholder.svg',
+            'images' => $item['images'] ?? [],
+            'quantity' => $item['quantity'],
+            'section_id' => $item['section_id'],
+            'section_name' => $item['section_name'],
         ];
     }, $items)) ?>,
     
@@ -269,6 +317,10 @@ const CollectionPage = {
     currentIndex: 0,
     isLoggedIn: <?= json_encode($currentUser !== null) ?>,
     
+    // Tags for the export, loaded per chunk of items (furniture/batch takes up to 20 IDs)
+    tagsById: {},
+    tagsChunkSize: 20,
+    
     // Lightbox elements
     lightbox: null,
     lightboxImage: null,
@@ -325,6 +377,20 @@ const CollectionPage = {
         // Lightbox close
         document.querySelector('.lightbox-close')?.addEventListener('click', () => this.closeLightbox());
         
+        // Lightbox zoom, pan, swipe gestures and image thumbnails
+        window.GTAW.lightboxZoom.attach(
+            this.lightbox?.querySelector('.lightbox-image-container'),
+            this.lightboxImage,
+            () => this.lightbox?.classList.contains('active')
+        );
+        window.GTAW.lightboxSwipe.attach(this.lightbox, {
+            isActive: () => this.lightbox?.classList.contains('active'),
+            onPrev: () => this.navigateLightbox(-1),
+            onNext: () => this.navigateLightbox(1),
+            onClose: () => this.closeLightbox()
+        });
+        window.GTAW.lightboxGallery.attach(document.getElementById('lightbox-gallery'), this.lightboxImage);
+        
         // Lightbox navigation
         document.querySelector('.lightbox-nav.prev')?.addEventListener('click', () => this.navigateLightbox(-1));
         document.querySelector('.lightbox-nav.next')?.addEventListener('click', () => this.navigateLightbox(1));
@@ -338,6 +404,8 @@ const CollectionPage = {
         document.addEventListener('keydown', (e) => {
             if (!this.lightbox?.classList.contains('active')) return;
             if (e.key === 'Escape') this.closeLightbox();
+            // Arrow keys move the caret in the favorite note fields
+            if (e.target.closest('input, textarea')) return;
             if (e.key === 'ArrowLeft') this.navigateLightbox(-1);
             if (e.key === 'ArrowRight') this.navigateLightbox(1);
         });
@@ -455,6 +523,7 @@ const CollectionPage = {
     },
     
     closeLightbox() {
+        window.GTAW.lightboxZoom.reset();
         this.lightbox?.classList.remove('active');
         document.body.style.overflow = '';
     },
@@ -468,10 +537,12 @@ const CollectionPage = {
         const item = this.items[this.currentIndex];
         if (!item) return;
         
+        window.GTAW.lightboxZoom.reset();
         if (this.lightboxImage) {
             this.lightboxImage.src = item.image_url;
             this.lightboxImage.alt = item.name;
         }
+        window.GTAW.lightboxGallery.show(item);
         if (this.lightboxTitle) {
             this.lightboxTitle.textContent = item.name;
         }
@@ -489,6 +560,9 @@ const CollectionPage = {
             favBtn.innerHTML = isFav ? '❤️' : '🤍';
             favBtn.classList.toggle('active', isFav);
             favBtn.dataset.id = item.id;
+            favBtn.dataset.pendingKey = `favorite:${item.id}`;
+            window.GTAW.mutationQueue.updateIndicators(favBtn.parentElement);
+            App.updateLightboxFavoriteDetails(item.id);
         }
         
         const prevBtn = document.querySelector('.lightbox-nav.prev');
@@ -497,6 +571,15 @@ const CollectionPage = {
         if (nextBtn) nextBtn.style.display = this.items.length > 1 ? '' : 'none';
     },
     
+    /**
+     * Show or hide the lightbox note/quantity form if the item is the one in the lightbox
+     */
+    updateLightboxFavoriteDetails(id) {
+        if (this.items[this.currentIndex]?.id === id && this.lightbox?.classList.contains('active')) {
+            App.updateLightboxFavoriteDetails(id);
+        }
+    },
+    
     async toggleFavorite(id, btn) {
         if (btn?.disabled) return;
         if (btn) btn.disabled = true;
@@ -515,18 +598,12 @@ const CollectionPage = {
         }
         
         const card = btn?.closest('.furniture-card');
-        if (card) {
-            const cardBtn = card.querySelector('.actions .btn-favorite');
-            if (cardBtn && cardBtn !== btn) {
-                cardBtn.classList.toggle('active');
-                cardBtn.innerHTML = isFavorite ? '🤍' : '❤️';
-            }
-        } else {
-            const cardBtn = document.querySelector(`#collection-grid .btn-favorite[data-id="${id}"]`);
-            if (cardBtn && cardBtn !== btn) {
-                cardBtn.classList.toggle('active');
-                cardBtn.innerHTML = isFavorite ? '🤍' : '❤️';
-            }
+        const cardBtn = card
+            ? card.querySelector('.actions .btn-favorite')
+            : document.querySelector(`#collection-grid .btn-favorite[data-id="${id}"]`);
+        if (cardBtn && cardBtn !== btn) {
+            cardBtn.classList.toggle('active');
+            cardBtn.innerHTML = isFavorite ? '🤍' : '❤️';
         }
         
         if (typeof App !== 'undefined' && App.state.favorites) {
@@ -535,33 +612,47 @@ const CollectionPage = {
             } else {
                 App.state.favorites.add(id);
             }
+            this.updateLightboxFavoriteDetails(id);
         }
         
-        const csrfToken = window.GTAW ? window.GTAW.getCsrfToken() : '';
-        
         try {
-            await fetch('/api.php?action=favorites', {
+            // Transient failures are retried by the mutation queue; the new state stays
+            const { status } = await window.GTAW.mutationQueue.submit({
+                key: `favorite:${id}`,
+                value: !isFavorite,
+                url: '/api.php?action=favorites',
                 method: isFavorite ? 'DELETE' : 'POST',
-                headers: { 
-                    'Content-Type': 'application/json',
-                    'X-CSRF-Token': csrfToken
-                },
-                body: JSON.stringify({ 
-                    furniture_id: id,
-                    csrf_token: csrfToken
-                })
+                body: { furniture_id: id }
             });
-            this.toast(isFavorite ? 'Removed from favorites' : 'Added to favorites', 'success');
-        } catch (error) {
-            if (btn) {
-                btn.classList.toggle('active');
-                btn.innerHTML = isFavorite ? '❤️' : '🤍';
+            
+            if (status === 'done') {
+                this.toast(isFavorite ? 'Removed from favorites' : 'Added to favorites', 'success');
+            } else if (status === 'queued') {
+                this.toast(window.GTAW.__('queue.queued'), 'info');
+            } else {
+                if (btn) {
+                    btn.classList.toggle('active');
+                    btn.innerHTML = isFavorite ? '❤️' : '🤍';
+                }
+                if (cardBtn && cardBtn !== btn) {
+                    cardBtn.classList.toggle('active');
+                    cardBtn.innerHTML = isFavorite ? '❤️' : '🤍';
+                }
+                if (typeof App !== 'undefined' && App.state.favorites) {
+                    if (isFavorite) {
+                        App.state.favorites.add(id);
+                    } else {
+                        App.state.favorites.delete(id);
+                    }
+                    this.updateLightboxFavoriteDetails(id);
+                }
+                this.toast('Failed to update favorite', 'error');
             }
-            if (cardBtn && cardBtn !== btn) {
-                cardBtn.classList.toggle('active');
-                cardBtn.innerHTML = isFavorite ? '❤️' : '🤍';
+            
+            // Removing a favorite drops its note and quantity on the server
+            if (isFavorite && status !== 'failed' && typeof App !== 'undefined') {
+                App.state.favoriteDetails.delete(id);
             }
-            this.toast('Failed to update favorite', 'error');
         } finally {
             if (btn) {
                 setTimeout(() => {
@@ -579,16 +670,46 @@ const CollectionPage = {
         window.GTAW.copyCommand(name);
     },
     
-    exportCommands() {
-        const commands = this.items.map(item => '/sf ' + item.name).join('\n');
-        const blob = new Blob([commands], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = this.collectionName.toLowerCase().replace(/[^a-z0-9]+/g, '-') + '-commands.txt';
-        a.click();
-        URL.revokeObjectURL(url);
-        this.toast('Exported ' + this.items.length + ' commands', 'success');
+    /**
+     * Open the shared export dialog (tags are loaded per chunk first)
+     */
+    async exportCommands() {
+        const loads = [];
+        for (let i = 0; i < this.items.length; i += this.tagsChunkSize) {
+            loads.push(this.loadTags(i));
+        }
+        await Promise.all(loads);
+        
+        window.GTAW.exportDialog.open(this.items.map(item => ({ ...item, tags: this.tagsById[item.id] || [] })), {
+            kind: 'collection',
+            title: window.GTAW.__('export.collection_title'),
+            filename: this.collectionName.toLowerCase().replace(/[^a-z0-9]+/g, '-')
+        });
+    },
+    
+    /**
+     * Load tags for the chunk of items starting at an index
+     * Served from GTAW.cache so exporting again is instant
+     */
+    async loadTags(index) {
+        const start = index - (index % this.tagsChunkSize);
+        const ids = this.items.slice(start, start + this.tagsChunkSize).map(item => item.id);
+        if (ids.every(id => id in this.tagsById)) return;
+        
+        const apply = (result) => {
+            if (!result.success) return;
+            ids.forEach(id => { this.tagsById[id] = []; });
+            result.data.forEach(item => { this.tagsById[item.id] = item.tags || []; });
+        };
+        
+        try {
+            const { data } = await window.GTAW.cache.fetch(`/api.php?action=furniture/batch&ids=${ids.join(',')}`, {
+                onUpdate: apply
+            });
+            apply(data);
+        } catch (error) {
+            console.error('Failed to load tags:', error);
+        }
     },
     
     /**
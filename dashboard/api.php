@@ -13,6 +13,7 @@ require_once __DIR__ . '/../includes/auth.php';
 require_once __DIR__ . '/../includes/functions.php';
 require_once __DIR__ . '/../includes/collections.php';
 require_once __DIR__ . '/../includes/submissions.php';
+require_once __DIR__ . '/../includes/saved-searches.php';
 require_once __DIR__ . '/../includes/api.php';
 require_once __DIR__ . '/../includes/api-controller.php';
 
@@ -95,6 +96,14 @@ try {
                         'description' => $description !== '' ? $description : null,
                         'is_public' => $isPublic,
                     ];
+                    
+                    if (collectionBudgetsAvailable($pdo) && array_key_exists('budget', $input)) {
+                        $budgetResult = Validator::collectionBudget($input['budget']);
+                        if (!$budgetResult['valid']) {
+                            jsonError($budgetResult['error']);
+                        }
+                        $data['budget'] = $budgetResult['data'];
+                    }
 
                     $id = createCollection($pdo, $userId, $data);
                     jsonSuccess(['id' => $id], 'Collection created');
@@ -126,6 +135,13 @@ try {
                 }
                 $data['description'] = $description !== '' ? $description : null;
             }
+            if (collectionBudgetsAvailable($pdo) && array_key_exists('budget', $input)) {
+                $budgetResult = Validator::collectionBudget($input['budget']);
+                if (!$budgetResult['valid']) {
+                    jsonError($budgetResult['error']);
+                }
+                $data['budget'] = $budgetResult['data'];
+            }
             
             $isPublic = getInputBool($input, 'is_public', false);
             
@@ -166,11 +182,12 @@ try {
             
             requireCollectionOwnership($pdo, $userId, $collectionId);
             
-            $stmt = $pdo->prepare('
-                SELECT id, name, description, is_public 
+            $budgetColumn = collectionBudgetsAvailable($pdo) ? ', budget' : '';
+            $stmt = $pdo->prepare("
+                SELECT id, name, description, is_public{$budgetColumn}
                 FROM collections 
                 WHERE id = ? AND user_id = ?
-            ');
+            ");
             $stmt->execute([$collectionId, $userId]);
             $original = $stmt->fetch(PDO::FETCH_ASSOC);
             
@@ -199,17 +216,29 @@ try {
                 
                 $newId = (int)$pdo->lastInsertId();
                 
-                // Copy all items with sort order
-                $stmt = $pdo->prepare('
-                    INSERT INTO collection_items (collection_id, furniture_id, sort_order)
-                    SELECT ?, furniture_id, sort_order
+                if (isset($original['budget'])) {
+                    $stmt = $pdo->prepare('UPDATE collections SET budget = ? WHERE id = ?');
+                    $stmt->execute([$original['budget'], $newId]);
+                }
+                
+                // Copy all items with sort order (and quantities, once migrated)
+                $columns = collectionItemQuantitiesAvailable($pdo)
+                    ? 'furniture_id, sort_order, quantity'
+                    : 'furniture_id, sort_order';
+                $stmt = $pdo->prepare("
+                    INSERT INTO collection_items (collection_id, {$columns})
+                    SELECT ?, {$columns}
                     FROM collection_items
                     WHERE collection_id = ?
-                ');
+                ");
                 $stmt->execute([$newId, $collectionId]);
                 
                 $itemCount = $stmt->rowCount();
                 
+                if (collectionSectionsAvailable($pdo)) {
+                    copyCollectionSections($pdo, $collectionId, $newId);
+                }
+                
                 $pdo->commit();
                 
                 jsonSuccess([
@@ -270,6 +299,36 @@ try {
             );
             break;
 
+        case 'collections/add-items':
+            requireMethod('POST');
+
+            // Rate limiting for collection item operations (per user)
+            withRateLimit(
+                'api_collections_items',
+                RATE_LIMIT_COLLECTIONS_ITEMS['max'],
+                RATE_LIMIT_COLLECTIONS_ITEMS['window'],
+                function () use ($pdo, $userId) {
+                    $input = getJsonInput() ?? $_POST;
+                    $collectionId = (int) ($input['collection_id'] ?? 0);
+
+                    requireCollectionOwnership($pdo, $userId, $collectionId);
+
+                    $idsResult = Validator::furnitureIds((array) ($input['furniture_ids'] ?? []));
+                    if (!$idsResult['valid']) {
+                        jsonError($idsResult['error']);
+                    }
+
+                    try {
+                        $result = addItemsToCollection($pdo, $collectionId, $idsResult['data']);
+                        jsonSuccess($result, 'Added to collection');
+                    } catch (RuntimeException $e) {
+                        jsonError('Failed to add to collection: ' . $e->getMessage());
+                    }
+                },
+                (string) $userId
+            );
+            break;
+
         case 'collections/remove-item':
             requireMethod('POST');
 
@@ -302,6 +361,52 @@ try {
             );
             break;
 
+        case 'collections/update-item':
+            requireMethod('POST');
+
+            if (!collectionItemQuantitiesAvailable($pdo)) {
+                jsonError('Item quantities are currently unavailable', 503);
+            }
+
+            // Rate limiting for collection item operations (per user)
+            withRateLimit(
+                'api_collections_items',
+                RATE_LIMIT_COLLECTIONS_ITEMS['max'],
+                RATE_LIMIT_COLLECTIONS_ITEMS['window'],
+                function () use ($pdo, $userId) {
+                    $input = getJsonInput() ?? $_POST;
+                    $collectionId = (int) ($input['collection_id'] ?? 0);
+                    $furnitureId = (int) ($input['furniture_id'] ?? 0);
+
+                    requireCollectionOwnership($pdo, $userId, $collectionId);
+
+                    $idResult = Validator::furnitureId($furnitureId);
+                    if (!$idResult['valid']) {
+                        jsonError($idResult['error']);
+                    }
+                    $furnitureId = $idResult['data'];
+
+                    $quantityResult = Validator::quantity((int) ($input['quantity'] ?? 0));
+                    if (!$quantityResult['valid']) {
+                        jsonError($quantityResult['error']);
+                    }
+
+                    try {
+                        if (!updateCollectionItemQuantity($pdo, $collectionId, $furnitureId, $quantityResult['data'])) {
+                            jsonError('Not in collection', 404);
+                        }
+                        jsonSuccess([
+                            'furniture_id' => $furnitureId,
+                            'quantity' => $quantityResult['data'],
+                        ], 'Quantity updated');
+                    } catch (RuntimeException $e) {
+                        jsonError('Failed to update quantity: ' . $e->getMessage());
+                    }
+                },
+                (string) $userId
+            );
+            break;
+
         case 'collections/reorder-items':
             requireMethod('POST');
 
@@ -315,10 +420,14 @@ try {
                 jsonError('Invalid order array');
             }
 
+            $sectionIds = array_column(getCollectionSections($pdo, $collectionId), 'id');
             foreach ($order as $item) {
                 if (!isset($item['id']) || !isset($item['order'])) {
                     jsonError('Invalid order format. Each item must have "id" and "order" fields');
                 }
+                if (isset($item['section_id']) && !in_array((int) $item['section_id'], $sectionIds, true)) {
+                    jsonError('Section not found', 404);
+                }
             }
 
             try {
@@ -329,6 +438,93 @@ try {
             }
             break;
 
+        case 'collections/add-section':
+            requireMethod('POST');
+
+            if (!collectionSectionsAvailable($pdo)) {
+                jsonError('Collection sections are currently unavailable', 503);
+            }
+
+            $input = getJsonInput() ?? $_POST;
+            $collectionId = (int) ($input['collection_id'] ?? 0);
+
+            requireCollectionOwnership($pdo, $userId, $collectionId);
+
+            $nameResult = Validator::sectionName((string) ($input['name'] ?? ''));
+            if (!$nameResult['valid']) {
+                jsonError($nameResult['error']);
+            }
+
+            $sections = getCollectionSections($pdo, $collectionId);
+            if (count($sections) >= MAX_COLLECTION_SECTIONS) {
+                jsonError('A collection can have up to ' . MAX_COLLECTION_SECTIONS . ' sections');
+            }
+            if (in_array(mb_strtolower($nameResult['data']), array_map('mb_strtolower', array_column($sections, 'name')), true)) {
+                jsonError('A section with this name already exists');
+            }
+
+            try {
+                $sectionId = createCollectionSection($pdo, $collectionId, $nameResult['data']);
+                jsonSuccess(['id' => $sectionId, 'name' => $nameResult['data']], 'Section added');
+            } catch (RuntimeException $e) {
+                jsonError('Failed to add section: ' . $e->getMessage());
+            }
+            break;
+
+        case 'collections/rename-section':
+            requireMethod('POST');
+
+            if (!collectionSectionsAvailable($pdo)) {
+                jsonError('Collection sections are currently unavailable', 503);
+            }
+
+            $input = getJsonInput() ?? $_POST;
+            $collectionId = (int) ($input['collection_id'] ?? 0);
+            $sectionId = (int) ($input['section_id'] ?? 0);
+
+            requireCollectionOwnership($pdo, $userId, $collectionId);
+
+            $nameResult = Validator::sectionName((string) ($input['name'] ?? ''));
+            if (!$nameResult['valid']) {
+                jsonError($nameResult['error']);
+            }
+
+            foreach (getCollectionSections($pdo, $collectionId) as $section) {
+                if ($section['id'] !== $sectionId && mb_strtolower($section['name']) === mb_strtolower($nameResult['data'])) {
+                    jsonError('A section with this name already exists');
+                }
+            }
+
+            try {
+                if (!renameCollectionSection($pdo, $collectionId, $sectionId, $nameResult['data'])) {
+                    jsonError('Section not found', 404);
+                }
+                jsonSuccess(['id' => $sectionId, 'name' => $nameResult['data']], 'Section renamed');
+            } catch (RuntimeException $e) {
+                jsonError('Failed to rename section: ' . $e->getMessage());
+            }
+            break;
+
+        case 'collections/delete-section':
+            requireMethod('POST');
+
+            if (!collectionSectionsAvailable($pdo)) {
+                jsonError('Collection sections are currently unavailable', 503);
+            }
+
+            $input = getJsonInput() ?? $_POST;
+            $collectionId = (int) ($input['collection_id'] ?? 0);
+            $sectionId = (int) ($input['section_id'] ?? 0);
+
+            requireCollectionOwnership($pdo, $userId, $collectionId);
+
+            if (!deleteCollectionSection($pdo, $collectionId, $sectionId)) {
+                jsonError('Section not found', 404);
+            }
+
+            jsonSuccess(null, 'Section deleted');
+            break;
+
         case 'collections/contains':
             requireMethod('GET');
 
@@ -341,7 +537,82 @@ try {
 
             $collections = getCollectionsContainingItem($pdo, $userId, $furnitureId);
             $ids = array_column($collections, 'id');
-            jsonSuccess($ids);
+            // Quantities let the picker take the right amount off a budget on removal
+            $quantities = array_map('intval', array_column($collections, 'quantity', 'id'));
+            jsonSuccess($ids, null, null, ['quantities' => (object) $quantities]);
+            break;
+
+        case 'collections/membership':
+            requireMethod('GET');
+
+            $idsResult = Validator::furnitureIds(explode(',', (string) getQuery('furniture_ids', '')));
+            if (!$idsResult['valid']) {
+                jsonError($idsResult['error']);
+            }
+
+            // JSON object even when empty, keyed by collection ID
+            jsonSuccess((object) getCollectionMembership($pdo, $userId, $idsResult['data']));
+            break;
+
+        // =============================================
+        // SAVED SEARCHES ENDPOINTS
+        // =============================================
+
+        case 'saved-searches':
+            requireMethod('GET');
+            jsonSuccess(getUserSavedSearches($pdo, $userId));
+            break;
+
+        case 'saved-searches/create':
+            requireMethod('POST');
+
+            if (!savedSearchesAvailable($pdo)) {
+                jsonError('Saved searches are currently unavailable', 503);
+            }
+
+            // Rate limiting for saving searches (per user)
+            withRateLimit(
+                'api_saved_searches',
+                RATE_LIMIT_SAVED_SEARCHES['max'],
+                RATE_LIMIT_SAVED_SEARCHES['window'],
+                function () use ($pdo, $userId) {
+                    $input = getJsonInput() ?? $_POST;
+                    $nameResult = Validator::savedSearchName((string) ($input['name'] ?? ''));
+                    if (!$nameResult['valid']) {
+                        jsonError($nameResult['error']);
+                    }
+
+                    $filters = $input['filters'] ?? null;
+                    if (!is_array($filters)) {
+                        jsonError('Filters are required');
+                    }
+
+                    // Overwriting an existing name doesn't count against the limit
+                    if (!savedSearchNameExists($pdo, $userId, $nameResult['data'])
+                        && countUserSavedSearches($pdo, $userId) >= MAX_SAVED_SEARCHES) {
+                        jsonError('You can save up to ' . MAX_SAVED_SEARCHES . ' searches. Delete one to save a new one.');
+                    }
+
+                    try {
+                        $search = saveSearch($pdo, $userId, $nameResult['data'], $filters);
+                        jsonSuccess($search, 'Search saved');
+                    } catch (RuntimeException $e) {
+                        jsonError('Failed to save search: ' . $e->getMessage());
+                    }
+                },
+                (string) $userId
+            );
+            break;
+
+        case 'saved-searches/delete':
+            requireMethod('POST');
+
+            $id = getQueryInt('id', 0);
+            if ($id <= 0 || !deleteSavedSearch($pdo, $userId, $id)) {
+                jsonError(ERROR_NOT_FOUND, 404);
+            }
+
+            jsonSuccess(null, 'Saved search deleted');
             break;
 
         // =============================================
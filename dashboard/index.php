@@ -13,6 +13,7 @@ require_once __DIR__ . '/../includes/auth.php';
 require_once __DIR__ . '/../includes/functions.php';
 require_once __DIR__ . '/../includes/collections.php';
 require_once __DIR__ . '/../includes/submissions.php';
+require_once __DIR__ . '/../includes/saved-searches.php';
 
 // Require user authentication
 requireAuth();
@@ -71,6 +72,10 @@ switch ($page) {
         }
         break;
     
+    case 'searches':
+        renderSavedSearches($pdo, $userId);
+        break;
+    
     case 'submissions':
         // Check if submissions feature is enabled
         if (!isFeatureEnabled('submissions_enabled')) {
@@ -167,6 +172,7 @@ function renderOverview(PDO $pdo, int $userId): void
 function renderFavorites(PDO $pdo, int $userId): void
 {
     $favorites = getUserFavorites($pdo, $userId);
+    $detailsAvailable = favoriteDetailsAvailable($pdo);
     ?>
     <div class="admin-header">
         <h1>❤️ <?= e(__('favorites.title')) ?></h1>
@@ -209,6 +215,10 @@ function renderFavorites(PDO $pdo, int $userId): void
                     <th><?= e(__('table.name')) ?></th>
                     <th><?= e(__('table.category')) ?></th>
                     <th style="width: 80px;"><?= e(__('table.price')) ?></th>
+                    <?php if ($detailsAvailable): ?>
+                    <th style="width: 90px;"><?= e(__('favorites.quantity')) ?></th>
+                    <th><?= e(__('favorites.note')) ?></th>
+                    <?php endif; ?>
                     <th style="width: 200px;"><?= e(__('table.actions')) ?></th>
                 </tr>
             </thead>
@@ -229,6 +239,23 @@ function renderFavorites(PDO $pdo, int $userId): void
                     <td><strong><?= e($item['name']) ?></strong></td>
                     <td><?= e($catDisplay) ?></td>
                     <td>$<?= number_format($item['price']) ?></td>
+                    <?php if ($detailsAvailable): ?>
+                    <td>
+                        <input type="number" class="favorite-quantity-input"
+                               min="1" max="<?= MAX_ITEM_QUANTITY ?>"
+                               value="<?= (int) $item['quantity'] ?>"
+                               aria-label="<?= e(__('favorites.quantity')) ?>"
+                               onchange="Dashboard.saveFavoriteDetails(<?= $item['id'] ?>, this.closest('tr'))">
+                    </td>
+                    <td>
+                        <input type="text" class="favorite-note-input"
+                               maxlength="<?= MAX_FAVORITE_NOTE_LENGTH ?>"
+                               value="<?= e($item['note'] ?? '') ?>"
+                               placeholder="<?= e(__('favorites.note_placeholder')) ?>"
+                               aria-label="<?= e(__('favorites.note')) ?>"
+                               onchange="Dashboard.saveFavoriteDetails(<?= $item['id'] ?>, this.closest('tr'))">
+                    </td>
+                    <?php endif; ?>
                     <td class="actions">
                         <button class="btn btn-sm" onclick="Dashboard.copyCommand('<?= e(addslashes($item['name'])) ?>')">📋 <?= e(__('card.copy')) ?></button>
                         <button class="btn btn-sm" onclick="Dashboard.addToCollection(<?= $item['id'] ?>)">📁</button>
@@ -323,6 +350,86 @@ function renderCollectionsList(PDO $pdo, int $userId): void
     <?php
 }
 
+function renderSavedSearches(PDO $pdo, int $userId): void
+{
+    $searches = getUserSavedSearches($pdo, $userId);
+    ?>
+    <div class="admin-header">
+        <h1>🔖 <?= e(__('saved_searches.title')) ?></h1>
+    </div>
+    
+    <?php if (empty($searches)): ?>
+    <div class="data-table-container">
+        <?= renderEmptyState(
+            '🔖',
+            __('saved_searches.empty'),
+            __('saved_searches.empty_hint'),
+            '/',
+            __('dashboard.browse')
+        ) ?>
+    </div>
+    <?php else: ?>
+    
+    <div class="data-table-container">
+        <table id="saved-searches-table" class="data-table">
+            <thead>
+                <tr>
+                    <th><?= e(__('table.name')) ?></th>
+                    <th><?= e(__('saved_searches.filters')) ?></th>
+                    <th style="width: 140px;"><?= e(__('saved_searches.saved_at')) ?></th>
+                    <th style="width: 160px;"><?= e(__('table.actions')) ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ($searches as $search): ?>
+                <?php $summary = describeSavedSearchFilters($search['filters']); ?>
+                <tr data-id="<?= $search['id'] ?>">
+                    <td><strong><?= e($search['name']) ?></strong></td>
+                    <td><?= e($summary !== '' ? $summary : __('saved_searches.no_filters')) ?></td>
+                    <td><?= e(date('M j, Y', strtotime($search['updated_at']))) ?></td>
+                    <td class="actions">
+                        <a href="/<?= $search['query'] !== '' ? '?' . e($search['query']) : '' ?>" class="btn btn-sm"><?= e(__('saved_searches.open')) ?></a>
+                        <button class="btn btn-sm btn-danger" onclick="Dashboard.deleteSavedSearch(<?= $search['id'] ?>, '<?= e(addslashes($search['name'])) ?>')">✕</button>
+                    </td>
+                </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+    </div>
+    <?php endif; ?>
+    <?php
+}
+
+/**
+ * Human-readable one-line summary of saved search filters
+ */
+function describeSavedSearchFilters(array $filters): string
+{
+    $parts = [];
+    
+    if ($filters['search'] !== '') {
+        $parts[] = '"' . $filters['search'] . '"';
+    }
+    if ($filters['category'] !== null) {
+        $parts[] = __('saved_searches.summary_category', ['category' => $filters['category']]);
+    }
+    if (!empty($filters['tags'])) {
+        $parts[] = __('saved_searches.summary_tags', ['tags' => implode(', ', $filters['tags'])]);
+    }
+    if ($filters['priceMin'] !== null || $filters['priceMax'] !== null) {
+        $parts[] = '$' . number_format($filters['priceMin'] ?? 0) . ' – ' . 
+            ($filters['priceMax'] !== null ? '$' . number_format($filters['priceMax']) : '∞');
+    }
+    if ($filters['favoritesOnly']) {
+        $parts[] = __('filter.favorites_only');
+    }
+    if ($filters['sort'] !== 'name' || $filters['order'] !== 'asc') {
+        $parts[] = __('saved_searches.summary_sort', ['sort' => $filters['sort'] . ' ' . $filters['order']]);
+    }
+    
+    return implode(' · ', $parts);
+}
+
 function renderCollectionView(PDO $pdo, int $userId, int $id): void
 {
     $currentUser = getCurrentUser();
@@ -333,6 +440,19 @@ function renderCollectionView(PDO $pdo, int $userId, int $id): void
     }
     
     $items = getCollectionItems($pdo, $id);
+    $totals = getCollectionTotals($pdo, $id);
+    $quantitiesAvailable = collectionItemQuantitiesAvailable($pdo);
+    $sections = getCollectionSections($pdo, $id);
+    $columnCount = $quantitiesAvailable ? 7 : 6;
+    
+    // Items without a section first, then one group per section (items arrive in that order)
+    $groups = [['id' => null, 'name' => null, 'items' => []]];
+    foreach ($sections as $section) {
+        $groups[$section['id']] = $section + ['items' => []];
+    }
+    foreach ($items as $item) {
+        $groups[$item['section_id'] ?? 0]['items'][] = $item;
+    }
     ?>
     <div class="admin-header">
         <h1>📁 <?= e($collection['name']) ?></h1>
@@ -349,6 +469,12 @@ function renderCollectionView(PDO $pdo, int $userId, int $id): void
     <p style="color: var(--text-secondary); margin-bottom: var(--spacing-lg);"><?= e($collection['description']) ?></p>
     <?php endif; ?>
     
+    <?php if (!empty($items)): ?>
+    <p class="collection-totals" id="collection-totals">
+        <?= e(__('collections.totals', ['count' => $totals['piece_count'], 'cost' => '$' . number_format($totals['total_cost'])])) ?>
+    </p>
+    <?php endif; ?>
+    
     <?php if (empty($items)): ?>
     <div class="data-table-container">
         <?= renderEmptyState(
@@ -372,6 +498,15 @@ function renderCollectionView(PDO $pdo, int $userId, int $id): void
     </div>
     <?php endif; ?>
     
+    <?php if (collectionSectionsAvailable($pdo)): ?>
+    <form class="collection-section-form" onsubmit="Dashboard.addCollectionSection(event, <?= $id ?>)">
+        <input type="text" name="name" required maxlength="100"
+               placeholder="<?= e(__('collections.section_placeholder')) ?>"
+               aria-label="<?= e(__('collections.section_name')) ?>">
+        <button type="submit" class="btn btn-sm">➕ <?= e(__('collections.add_section')) ?></button>
+    </form>
+    <?php endif; ?>
+    
     <div class="data-table-container">
         <table id="collection-items-table" class="data-table" data-sortable data-collection-id="<?= $id ?>">
             <thead>
@@ -381,17 +516,36 @@ function renderCollectionView(PDO $pdo, int $userId, int $id): void
                     <th><?= e(__('table.name')) ?></th>
                     <th><?= e(__('table.category')) ?></th>
                     <th style="width: 80px;"><?= e(__('table.price')) ?></th>
+                    <?php if ($quantitiesAvailable): ?>
+                    <th style="width: 90px;"><?= e(__('collections.quantity')) ?></th>
+                    <?php endif; ?>
                     <th style="width: 140px;"><?= e(__('table.actions')) ?></th>
                 </tr>
             </thead>
             <tbody>
-                <?php foreach ($items as $index => $item): ?>
+                <?php foreach ($groups as $group): ?>
+                <?php if (!empty($sections)): ?>
+                <tr class="collection-section-row" data-section-id="<?= $group['id'] ?? '' ?>">
+                    <td colspan="<?= $columnCount ?>">
+                        <?php if ($group['id'] === null): ?>
+                        <span class="collection-section-name"><?= e(__('collections.no_section')) ?></span>
+                        <?php else: ?>
+                        <span class="collection-section-name"><?= e($group['name']) ?></span>
+                        <span class="collection-section-actions">
+                            <button class="btn btn-sm" onclick="Dashboard.renameCollectionSection(<?= $id ?>, <?= $group['id'] ?>, this)">✏️ <?= e(__('collections.rename_section')) ?></button>
+                            <button class="btn btn-sm btn-danger" onclick="Dashboard.deleteCollectionSection(<?= $id ?>, <?= $group['id'] ?>)">✕</button>
+                        </span>
+                        <?php endif; ?>
+                    </td>
+                </tr>
+                <?php endif; ?>
+                <?php foreach ($group['items'] as $index => $item): ?>
                 <?php 
                 $cats = $item['categories'] ?? [];
                 $catDisplay = !empty($cats) ? $cats[0]['name'] : ($item['category_name'] ?? '');
                 if (count($cats) > 1) $catDisplay .= ' +' . (count($cats) - 1);
                 ?>
-                <tr data-id="<?= $item['id'] ?>" data-sort-order="<?= $item['sort_order'] ?? $index ?>">
+                <tr data-id="<?= $item['id'] ?>" data-sort-order="<?= $item['sort_order'] ?? $index ?>" data-price="<?= (int) $item['price'] ?>" data-quantity="<?= (int) $item['quantity'] ?>" data-section-id="<?= $item['section_id'] ?? '' ?>">
                     <td class="drag-handle" style="cursor: move; text-align: center; color: var(--text-muted);" title="<?= e(__('table.drag_reorder')) ?>">⋮⋮</td>
                     <td>
                         <img src="<?= e($item['image_url'] ?? '/images/placeholder.svg') ?>" 
@@ -402,12 +556,22 @@ function renderCollectionView(PDO $pdo, int $userId, int $id): void
                     <td><strong><?= e($item['name']) ?></strong></td>
                     <td><?= e($catDisplay) ?></td>
                     <td>$<?= number_format($item['price']) ?></td>
+                    <?php if ($quantitiesAvailable): ?>
+                    <td>
+                        <input type="number" class="collection-quantity-input"
+                               min="1" max="<?= MAX_ITEM_QUANTITY ?>"
+                               value="<?= (int) $item['quantity'] ?>"
+                               aria-label="<?= e(__('collections.quantity')) ?>"
+                               onchange="Dashboard.updateItemQuantity(<?= $id ?>, <?= $item['id'] ?>, this)">
+                    </td>
+                    <?php endif; ?>
                     <td class="actions">
                         <button class="btn btn-sm" onclick="Dashboard.copyCommand('<?= e(addslashes($item['name'])) ?>')">📋 <?= e(__('card.copy')) ?></button>
                         <button class="btn btn-sm btn-danger" onclick="Dashboard.removeFromCollection(<?= $id ?>, <?= $item['id'] ?>)">✕</button>
                     </td>
                 </tr>
                 <?php endforeach; ?>
+                <?php endforeach; ?>
             </tbody>
         </table>
     </div>
@@ -439,6 +603,13 @@ function renderCollectionAdd(PDO $pdo, int $userId): void
             <textarea id="description" name="description" rows="3" maxlength="500" placeholder="<?= e(__('collections.description_placeholder')) ?>"></textarea>
         </div>
         
+        <?php if (collectionBudgetsAvailable($pdo)): ?>
+        <div class="form-group">
+            <label for="budget"><?= e(__('collections.budget_optional')) ?></label>
+            <input type="number" id="budget" name="budget" min="0" max="<?= MAX_COLLECTION_BUDGET ?>" step="1" placeholder="<?= e(__('collections.budget_placeholder')) ?>">
+        </div>
+        <?php endif; ?>
+        
         <?php if (isFeatureEnabled('collections_public')): ?>
         <div class="form-group">
             <label class="checkbox-label" style="display: flex; align-items: center; gap: var(--spacing-sm); cursor: pointer;">
@@ -478,6 +649,10 @@ function renderCollectionEdit(PDO $pdo, int $userId, int $id): void
         </div>
     </div>
     
+    <?php if (isset($collection['budget'])): ?>
+    <?= renderCollectionBudget(getCollectionTotals($pdo, $id)['total_cost'], (int) $collection['budget']) ?>
+    <?php endif; ?>
+    
     <form class="admin-form" method="POST" data-ajax data-action="/dashboard/api.php?action=collections/update&id=<?= $id ?>" data-redirect="/dashboard/?page=collections">
         <input type="hidden" name="csrf_token" value="<?= e($csrfToken) ?>">
         
@@ -491,6 +666,13 @@ function renderCollectionEdit(PDO $pdo, int $userId, int $id): void
             <textarea id="description" name="description" rows="3" maxlength="500"><?= e($collection['description'] ?? '') ?></textarea>
         </div>
         
+        <?php if (collectionBudgetsAvailable($pdo)): ?>
+        <div class="form-group">
+            <label for="budget"><?= e(__('collections.budget_optional')) ?></label>
+            <input type="number" id="budget" name="budget" min="0" max="<?= MAX_COLLECTION_BUDGET ?>" step="1" value="<?= e((string) ($collection['budget'] ?? '')) ?>" placeholder="<?= e(__('collections.budget_placeholder')) ?>">
+        </div>
+        <?php endif; ?>
+        
         <?php if (isFeatureEnabled('collections_public')): ?>
         <div class="form-group">
             <label class="checkbox-label" style="display: flex; align-items: center; gap: var(--spacing-sm); cursor: pointer;">
@@ -656,6 +838,15 @@ function renderSubmissionNew(PDO $pdo): void
                     </div>
                 </div>
                 
+                <?php if (furnitureImagesAvailable($pdo)): ?>
+                <div class="form-group">
+                    <label for="gallery_urls"><?= e(__('submissions.gallery_urls')) ?></label>
+                    <textarea id="gallery_urls" name="gallery_urls" rows="3" 
+                              placeholder="<?= e(__('submissions.gallery_urls_placeholder')) ?>"><?= $isEdit ? e(implode("\n", getFurnitureGallery($pdo, $furnitureId))) : '' ?></textarea>
+                    <p class="form-help"><?= e(__('submissions.gallery_urls_help', ['max' => MAX_FURNITURE_IMAGES - 1])) ?></p>
+                </div>
+                <?php endif; ?>
+                
                 <?php if ($isEdit): ?>
                 <div class="form-group">
                     <label for="edit_notes"><?= e(__('submissions.edit_notes')) ?></label>
@@ -827,8 +1018,11 @@ function renderSubmissionView(PDO $pdo, int $userId, int $id): void
         <?php if (!empty($data['image_url'])): ?>
         <div class="form-group">
             <label><?= e(__('table.image')) ?></label>
-            <div class="image-preview">
+            <div class="image-preview image-preview-list">
                 <img src="<?= e($data['image_url']) ?>" alt="Preview">
+                <?php foreach ($data['gallery_urls'] ?? [] as $galleryUrl): ?>
+                <img src="<?= e($galleryUrl) ?>" alt="">
+                <?php endforeach; ?>
             </div>
         </div>
         <?php endif; ?>
@@ -43,6 +43,9 @@ const ERROR_UNKNOWN_ENDPOINT = 'Unknown endpoint';
  * @param bool $cacheable Whether this response can be cached (default: false for dynamic data)
  * @param int $cacheMaxAge Cache max age in seconds (default: 300 for cacheable responses)
  * @return never
+ * 
+ * GET responses always carry an ETag so the client cache (GTAW.cache) can
+ * revalidate them with If-None-Match, even when browsers may not store them.
  */
 function jsonSuccess(mixed $data = null, ?string $message = null, ?array $pagination = null, ?array $extra = null, bool $cacheable = false, int $cacheMaxAge = 300): never
 {
@@ -64,8 +67,10 @@ function jsonSuccess(mixed $data = null, ?string $message = null, ?array $pagina
         $response = array_merge($response, $extra);
     }
     
-    if ($cacheable) {
-        $etag = md5(json_encode($response));
+    $json = json_encode($response);
+    
+    if (($_SERVER['REQUEST_METHOD'] ?? 'GET') === 'GET') {
+        $etag = md5($json);
         header("ETag: \"{$etag}\"");
         
         $ifNoneMatch = $_SERVER['HTTP_IF_NONE_MATCH'] ?? '';
@@ -73,7 +78,9 @@ function jsonSuccess(mixed $data = null, ?string $message = null, ?array $pagina
             http_response_code(304);
             exit;
         }
-        
+    }
+    
+    if ($cacheable) {
         header("Cache-Control: public, max-age={$cacheMaxAge}");
     } else {
         header('Cache-Control: no-cache, no-store, must-revalidate');
@@ -81,7 +88,7 @@ function jsonSuccess(mixed $data = null, ?string $message = null, ?array $pagina
         header('Expires: 0');
     }
     
-    echo json_encode($response);
+    echo $json;
     exit;
 }
 
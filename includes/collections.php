@@ -20,22 +20,55 @@ require_once __DIR__ . '/repository.php';
 // COLLECTION FUNCTIONS
 // ============================================
 
+/**
+ * Check if collections have the budget column (see migrations/004_collection_budgets.sql)
+ */
+function collectionBudgetsAvailable(PDO $pdo): bool
+{
+    static $available = null;
+
+    if ($available === null) {
+        try {
+            $stmt = $pdo->query("SHOW COLUMNS FROM collections LIKE 'budget'");
+            $available = $stmt->rowCount() > 0;
+        } catch (Exception $e) {
+            $available = false;
+        }
+    }
+
+    return $available;
+}
+
 /**
  * Get all collections for a user
+ * 
+ * Each collection includes 'total_cost' (price times quantity of its items)
+ * and 'budget' (null when not set).
  */
 function getUserCollections(PDO $pdo, int $userId): array
 {
-    $stmt = $pdo->prepare('
+    $quantity = collectionItemQuantitiesAvailable($pdo) ? 'ci.quantity' : '1';
+    
+    $stmt = $pdo->prepare("
         SELECT c.*, 
                u.username as owner_username,
-               (SELECT COUNT(*) FROM collection_items ci WHERE ci.collection_id = c.id) as item_count
+               (SELECT COUNT(*) FROM collection_items ci WHERE ci.collection_id = c.id) as item_count,
+               (SELECT COALESCE(SUM({$quantity} * f.price), 0)
+                FROM collection_items ci
+                INNER JOIN furniture f ON ci.furniture_id = f.id
+                WHERE ci.collection_id = c.id) as total_cost
         FROM collections c
         INNER JOIN users u ON c.user_id = u.id
         WHERE c.user_id = ?
         ORDER BY c.created_at DESC
-    ');
+    ");
     $stmt->execute([$userId]);
-    return $stmt->fetchAll(PDO::FETCH_ASSOC);
+    
+    return array_map(function (array $collection): array {
+        $collection['total_cost'] = (int) $collection['total_cost'];
+        $collection['budget'] = isset($collection['budget']) ? (int) $collection['budget'] : null;
+        return $collection;
+    }, $stmt->fetchAll(PDO::FETCH_ASSOC));
 }
 
 /**
@@ -136,25 +169,68 @@ function userOwnsCollection(PDO $pdo, int $userId, int $collectionId): bool
 // COLLECTION ITEMS FUNCTIONS
 // ============================================
 
+/**
+ * Check if collection_items has the quantity column (see migrations/003_collection_item_quantities.sql)
+ */
+function collectionItemQuantitiesAvailable(PDO $pdo): bool
+{
+    static $available = null;
+
+    if ($available === null) {
+        try {
+            $stmt = $pdo->query("SHOW COLUMNS FROM collection_items LIKE 'quantity'");
+            $available = $stmt->rowCount() > 0;
+        } catch (Exception $e) {
+            $available = false;
+        }
+    }
+
+    return $available;
+}
+
 /**
  * Get items in a collection
+ * 
+ * Each item includes its 'quantity' (1 until the quantities migration has run)
+ * and its 'section_id' / 'section_name' (null when not in a section). Items
+ * without a section come first, then each section's items in section order.
  */
 function getCollectionItems(PDO $pdo, int $collectionId): array
 {
-    $stmt = $pdo->prepare('
+    $quantity = collectionItemQuantitiesAvailable($pdo) ? 'ci.quantity' : '1 as quantity';
+    
+    if (collectionSectionsAvailable($pdo)) {
+        $sectionColumns = 'ci.section_id, s.name as section_name';
+        $sectionJoin = 'LEFT JOIN collection_sections s ON ci.section_id = s.id';
+        $sectionOrder = 's.sort_order ASC, s.id ASC,';
+    } else {
+        $sectionColumns = 'NULL as section_id, NULL as section_name';
+        $sectionJoin = '';
+        $sectionOrder = '';
+    }
+
+    $stmt = $pdo->prepare("
         SELECT f.id, f.name, f.price, f.image_url,
-               ci.sort_order, ci.added_at
+               ci.sort_order, ci.added_at, {$quantity}, {$sectionColumns}
         FROM collection_items ci
         INNER JOIN furniture f ON ci.furniture_id = f.id
+        {$sectionJoin}
         WHERE ci.collection_id = ?
-        ORDER BY ci.sort_order ASC, ci.added_at DESC
-    ');
+        ORDER BY {$sectionOrder} ci.sort_order ASC, ci.added_at DESC
+    ");
     $stmt->execute([$collectionId]);
     $items = $stmt->fetchAll(PDO::FETCH_ASSOC);
     
-    // Attach categories and tags
+    foreach ($items as &$item) {
+        $item['quantity'] = (int) $item['quantity'];
+        $item['section_id'] = $item['section_id'] !== null ? (int) $item['section_id'] : null;
+    }
+    unset($item);
+    
+    // Attach categories, tags and images
     $items = attachCategoriesToFurniture($pdo, $items);
-    return attachTagsToFurniture($pdo, $items);
+    $items = attachTagsToFurniture($pdo, $items);
+    return attachImagesToFurniture($pdo, $items);
 }
 
 /**
@@ -187,6 +263,64 @@ function addToCollection(PDO $pdo, int $collectionId, int $furnitureId): bool
     }
 }
 
+/**
+ * Add several items to a collection at once
+ * 
+ * Items are appended in the given order. Items already in the collection
+ * or that no longer exist are skipped.
+ * 
+ * @param array<int> $furnitureIds Furniture IDs to add
+ * @return array ['added' => int, 'existing' => int]
+ * @throws RuntimeException If an unexpected database error occurs
+ */
+function addItemsToCollection(PDO $pdo, int $collectionId, array $furnitureIds): array
+{
+    $result = ['added' => 0, 'existing' => 0];
+    if (empty($furnitureIds)) {
+        return $result;
+    }
+    
+    $placeholders = implode(',', array_fill(0, count($furnitureIds), '?'));
+    $stmt = $pdo->prepare("SELECT id FROM furniture WHERE id IN ({$placeholders})");
+    $stmt->execute($furnitureIds);
+    $validIds = array_flip(array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN)));
+    
+    $stmt = $pdo->prepare('SELECT MAX(sort_order) FROM collection_items WHERE collection_id = ?');
+    $stmt->execute([$collectionId]);
+    $sortOrder = (int) $stmt->fetchColumn();
+    
+    try {
+        $pdo->beginTransaction();
+        $stmt = $pdo->prepare('
+            INSERT INTO collection_items (collection_id, furniture_id, sort_order)
+            VALUES (?, ?, ?)
+        ');
+        foreach ($furnitureIds as $furnitureId) {
+            if (!isset($validIds[$furnitureId])) {
+                continue;
+            }
+            try {
+                $stmt->execute([$collectionId, $furnitureId, ++$sortOrder]);
+                $result['added']++;
+            } catch (PDOException $e) {
+                // Duplicate entry - already in collection
+                if ($e->getCode() != 23000) {
+                    throw $e;
+                }
+                $result['existing']++;
+            }
+        }
+        $pdo->commit();
+    } catch (PDOException $e) {
+        if ($pdo->inTransaction()) {
+            $pdo->rollBack();
+        }
+        throw new RuntimeException('Failed to add items to collection: ' . $e->getMessage(), 0, $e);
+    }
+    
+    return $result;
+}
+
 /**
  * Remove item from collection
  * 
@@ -215,6 +349,9 @@ function isInCollection(PDO $pdo, int $collectionId, int $furnitureId): bool
 /**
  * Reorder collection items
  * 
+ * Entries that carry a 'section_id' key are also moved to that section
+ * (null for no section). Section IDs must belong to the collection.
+ * 
  * @throws RuntimeException If database is not available or update fails
  */
 function reorderCollectionItems(PDO $pdo, int $collectionId, array $order): bool
@@ -223,9 +360,20 @@ function reorderCollectionItems(PDO $pdo, int $collectionId, array $order): bool
         UPDATE collection_items SET sort_order = ? 
         WHERE collection_id = ? AND furniture_id = ?
     ');
+    $sectionStmt = collectionSectionsAvailable($pdo)
+        ? $pdo->prepare('
+            UPDATE collection_items SET sort_order = ?, section_id = ?
+            WHERE collection_id = ? AND furniture_id = ?
+        ')
+        : null;
     
     foreach ($order as $item) {
-        $result = $stmt->execute([(int) $item['order'], $collectionId, (int) $item['id']]);
+        if ($sectionStmt && array_key_exists('section_id', $item)) {
+            $sectionId = $item['section_id'] !== null ? (int) $item['section_id'] : null;
+            $result = $sectionStmt->execute([(int) $item['order'], $sectionId, $collectionId, (int) $item['id']]);
+        } else {
+            $result = $stmt->execute([(int) $item['order'], $collectionId, (int) $item['id']]);
+        }
         if (!$result) {
             throw new RuntimeException('Failed to reorder collection items');
         }
@@ -234,6 +382,60 @@ function reorderCollectionItems(PDO $pdo, int $collectionId, array $order): bool
     return true;
 }
 
+/**
+ * Set how many of an item a collection needs
+ * 
+ * @return bool False if the item isn't in the collection
+ * @throws RuntimeException If the quantity column is missing or the update fails
+ */
+function updateCollectionItemQuantity(PDO $pdo, int $collectionId, int $furnitureId, int $quantity): bool
+{
+    if (!collectionItemQuantitiesAvailable($pdo)) {
+        throw new RuntimeException('Collection item quantities are not set up');
+    }
+    
+    if (!isInCollection($pdo, $collectionId, $furnitureId)) {
+        return false;
+    }
+    
+    try {
+        $stmt = $pdo->prepare('UPDATE collection_items SET quantity = ? WHERE collection_id = ? AND furniture_id = ?');
+        $stmt->execute([$quantity, $collectionId, $furnitureId]);
+    } catch (PDOException $e) {
+        throw new RuntimeException('Failed to update quantity: ' . $e->getMessage(), 0, $e);
+    }
+    
+    return true;
+}
+
+/**
+ * Get a collection's total piece count and cost, counting each item's quantity
+ * 
+ * piece_count sums quantities, unlike item_count in getUserCollections()
+ * which counts distinct items.
+ * 
+ * @return array ['piece_count' => int, 'total_cost' => int]
+ */
+function getCollectionTotals(PDO $pdo, int $collectionId): array
+{
+    $quantity = collectionItemQuantitiesAvailable($pdo) ? 'ci.quantity' : '1';
+    
+    $stmt = $pdo->prepare("
+        SELECT COALESCE(SUM({$quantity}), 0) as piece_count,
+               COALESCE(SUM({$quantity} * f.price), 0) as total_cost
+        FROM collection_items ci
+        INNER JOIN furniture f ON ci.furniture_id = f.id
+        WHERE ci.collection_id = ?
+    ");
+    $stmt->execute([$collectionId]);
+    $row = $stmt->fetch(PDO::FETCH_ASSOC);
+    
+    return [
+        'piece_count' => (int) ($row['piece_count'] ?? 0),
+        'total_cost' => (int) ($row['total_cost'] ?? 0),
+    ];
+}
+
 /**
  * Count items in collection
  */
@@ -244,17 +446,202 @@ function countCollectionItems(PDO $pdo, int $collectionId): int
     return (int) $stmt->fetchColumn();
 }
 
+// ============================================
+// COLLECTION SECTIONS FUNCTIONS
+// ============================================
+
+/**
+ * Check if the collection_sections table exists (see migrations/005_collection_sections.sql)
+ */
+function collectionSectionsAvailable(PDO $pdo): bool
+{
+    static $available = null;
+
+    if ($available === null) {
+        try {
+            $stmt = $pdo->query("SHOW TABLES LIKE 'collection_sections'");
+            $available = $stmt->rowCount() > 0;
+        } catch (Exception $e) {
+            $available = false;
+        }
+    }
+
+    return $available;
+}
+
+/**
+ * Get the sections of a collection in display order
+ * 
+ * @return array<array{id: int, name: string, sort_order: int}>
+ */
+function getCollectionSections(PDO $pdo, int $collectionId): array
+{
+    if (!collectionSectionsAvailable($pdo)) {
+        return [];
+    }
+    
+    $stmt = $pdo->prepare('
+        SELECT id, name, sort_order
+        FROM collection_sections
+        WHERE collection_id = ?
+        ORDER BY sort_order ASC, id ASC
+    ');
+    $stmt->execute([$collectionId]);
+    
+    return array_map(fn(array $section): array => [
+        'id' => (int) $section['id'],
+        'name' => $section['name'],
+        'sort_order' => (int) $section['sort_order'],
+    ], $stmt->fetchAll(PDO::FETCH_ASSOC));
+}
+
+/**
+ * Add a section at the end of a collection
+ * 
+ * @return int The new section ID
+ * @throws RuntimeException If the table is missing or the insert fails
+ */
+function createCollectionSection(PDO $pdo, int $collectionId, string $name): int
+{
+    if (!collectionSectionsAvailable($pdo)) {
+        throw new RuntimeException('Collection sections are not set up');
+    }
+    
+    try {
+        $stmt = $pdo->prepare('
+            INSERT INTO collection_sections (collection_id, name, sort_order)
+            SELECT ?, ?, COALESCE(MAX(sort_order), 0) + 1
+            FROM collection_sections
+            WHERE collection_id = ?
+        ');
+        $stmt->execute([$collectionId, $name, $collectionId]);
+    } catch (PDOException $e) {
+        throw new RuntimeException('Failed to create section: ' . $e->getMessage(), 0, $e);
+    }
+    
+    return (int) $pdo->lastInsertId();
+}
+
+/**
+ * Rename a section of a collection
+ * 
+ * @return bool False if the section doesn't belong to the collection
+ * @throws RuntimeException If the update fails
+ */
+function renameCollectionSection(PDO $pdo, int $collectionId, int $sectionId, string $name): bool
+{
+    if (!collectionSectionExists($pdo, $collectionId, $sectionId)) {
+        return false;
+    }
+    
+    try {
+        $stmt = $pdo->prepare('UPDATE collection_sections SET name = ? WHERE id = ? AND collection_id = ?');
+        $stmt->execute([$name, $sectionId, $collectionId]);
+    } catch (PDOException $e) {
+        throw new RuntimeException('Failed to rename section: ' . $e->getMessage(), 0, $e);
+    }
+    
+    return true;
+}
+
+/**
+ * Delete a section of a collection
+ * 
+ * Its items stay in the collection without a section (the foreign key
+ * sets their section_id to NULL, see migrations/005).
+ * 
+ * @return bool False if the section doesn't belong to the collection
+ */
+function deleteCollectionSection(PDO $pdo, int $collectionId, int $sectionId): bool
+{
+    if (!collectionSectionsAvailable($pdo)) {
+        return false;
+    }
+    
+    $stmt = $pdo->prepare('DELETE FROM collection_sections WHERE id = ? AND collection_id = ?');
+    $stmt->execute([$sectionId, $collectionId]);
+    return $stmt->rowCount() > 0;
+}
+
+/**
+ * Check if a section belongs to a collection
+ */
+function collectionSectionExists(PDO $pdo, int $collectionId, int $sectionId): bool
+{
+    if (!collectionSectionsAvailable($pdo)) {
+        return false;
+    }
+    
+    $stmt = $pdo->prepare('SELECT 1 FROM collection_sections WHERE id = ? AND collection_id = ?');
+    $stmt->execute([$sectionId, $collectionId]);
+    return $stmt->fetch() !== false;
+}
+
+/**
+ * Copy the sections of one collection to another and put the copied items in them
+ * 
+ * Expects the items to have been copied to the target collection already.
+ */
+function copyCollectionSections(PDO $pdo, int $fromCollectionId, int $toCollectionId): void
+{
+    $insert = $pdo->prepare('INSERT INTO collection_sections (collection_id, name, sort_order) VALUES (?, ?, ?)');
+    $assign = $pdo->prepare('
+        UPDATE collection_items target
+        INNER JOIN collection_items source
+            ON source.furniture_id = target.furniture_id AND source.collection_id = ?
+        SET target.section_id = ?
+        WHERE target.collection_id = ? AND source.section_id = ?
+    ');
+    
+    foreach (getCollectionSections($pdo, $fromCollectionId) as $section) {
+        $insert->execute([$toCollectionId, $section['name'], $section['sort_order']]);
+        $assign->execute([$fromCollectionId, (int) $pdo->lastInsertId(), $toCollectionId, $section['id']]);
+    }
+}
+
+/**
+ * Get which of several furniture items each of the user's collections already holds
+ * 
+ * @param array<int> $furnitureIds Furniture IDs to look up
+ * @return array<int, array<int>> Collection ID => furniture IDs in it (collections holding none are left out)
+ */
+function getCollectionMembership(PDO $pdo, int $userId, array $furnitureIds): array
+{
+    if (empty($furnitureIds)) {
+        return [];
+    }
+    
+    $placeholders = implode(',', array_fill(0, count($furnitureIds), '?'));
+    $stmt = $pdo->prepare("
+        SELECT ci.collection_id, ci.furniture_id
+        FROM collection_items ci
+        INNER JOIN collections c ON c.id = ci.collection_id
+        WHERE c.user_id = ? AND ci.furniture_id IN ({$placeholders})
+    ");
+    $stmt->execute([$userId, ...$furnitureIds]);
+    
+    $membership = [];
+    foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $row) {
+        $membership[(int) $row['collection_id']][] = (int) $row['furniture_id'];
+    }
+    return $membership;
+}
+
 /**
  * Get user's collections that contain a specific furniture item
+ * 
+ * Each row includes the item's 'quantity' in that collection.
  */
 function getCollectionsContainingItem(PDO $pdo, int $userId, int $furnitureId): array
 {
-    $stmt = $pdo->prepare('
-        SELECT c.id, c.name, c.slug
+    $quantity = collectionItemQuantitiesAvailable($pdo) ? 'ci.quantity' : '1';
+    
+    $stmt = $pdo->prepare("
+        SELECT c.id, c.name, c.slug, {$quantity} as quantity
         FROM collections c
         INNER JOIN collection_items ci ON c.id = ci.collection_id
         WHERE c.user_id = ? AND ci.furniture_id = ?
-    ');
+    ");
     $stmt->execute([$userId, $furnitureId]);
     return $stmt->fetchAll(PDO::FETCH_ASSOC);
 }
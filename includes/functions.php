@@ -35,6 +35,8 @@ require_once __DIR__ . '/search.php';
  * @param string $sort Sort column (name, price, newest)
  * @param string $order Sort order (asc, desc)
  * @param int|null $userFavoritesId If set, only return favorites for this user ID
+ * @param int|null $priceMin Minimum price (inclusive)
+ * @param int|null $priceMax Maximum price (inclusive)
  */
 function getFurnitureList(
     PDO $pdo,
@@ -44,7 +46,9 @@ function getFurnitureList(
     array $tags = [],
     string $sort = 'name',
     string $order = 'asc',
-    ?int $userFavoritesId = null
+    ?int $userFavoritesId = null,
+    ?int $priceMin = null,
+    ?int $priceMax = null
 ): array {
     if (!is_array($tags)) {
         $tags = [];
@@ -93,6 +97,12 @@ function getFurnitureList(
         }
     }
     
+    $priceFilter = buildPriceFilter($priceMin, $priceMax);
+    if ($priceFilter['sql'] !== '') {
+        $where[] = $priceFilter['sql'];
+        $params = array_merge($params, $priceFilter['params']);
+    }
+    
     $whereClause = !empty($where) ? 'WHERE ' . implode(' AND ', $where) : '';
     
     $countSql = "SELECT COUNT(DISTINCT f.id) 
@@ -124,6 +134,7 @@ function getFurnitureList(
     
     $items = attachCategoriesToFurniture($pdo, $items);
     $items = attachTagsToFurniture($pdo, $items);
+    $items = attachImagesToFurniture($pdo, $items);
     
     return [
         'items' => $items,
@@ -131,6 +142,57 @@ function getFurnitureList(
     ];
 }
 
+/**
+ * Build a price range condition for furniture queries
+ * 
+ * Bounds are inclusive. Swapped bounds are normalized so min <= max.
+ * 
+ * @param int|null $priceMin Minimum price, null for no lower bound
+ * @param int|null $priceMax Maximum price, null for no upper bound
+ * @return array ['sql' => condition without leading AND (empty if unbounded), 'params' => [...]]
+ */
+function buildPriceFilter(?int $priceMin, ?int $priceMax): array
+{
+    if ($priceMin !== null && $priceMax !== null && $priceMin > $priceMax) {
+        [$priceMin, $priceMax] = [$priceMax, $priceMin];
+    }
+    
+    $conditions = [];
+    $params = [];
+    
+    if ($priceMin !== null && $priceMin > 0) {
+        $conditions[] = 'f.price >= ?';
+        $params[] = $priceMin;
+    }
+    if ($priceMax !== null && $priceMax >= 0) {
+        $conditions[] = 'f.price <= ?';
+        $params[] = $priceMax;
+    }
+    
+    return [
+        'sql' => implode(' AND ', $conditions),
+        'params' => $params,
+    ];
+}
+
+/**
+ * Get the lowest and highest furniture price
+ * 
+ * Used to scale the price range slider.
+ * 
+ * @return array ['min' => int, 'max' => int]
+ */
+function getFurniturePriceRange(PDO $pdo): array
+{
+    $row = $pdo->query('SELECT MIN(price) AS min_price, MAX(price) AS max_price FROM furniture')
+        ->fetch(PDO::FETCH_ASSOC);
+    
+    return [
+        'min' => (int) ($row['min_price'] ?? 0),
+        'max' => (int) ($row['max_price'] ?? 0),
+    ];
+}
+
 /**
  * Search furniture by name, category, and tags
  * 
@@ -318,6 +380,132 @@ function getRelatedFurniture(PDO $pdo, int $id, int $limit = 4): array
     return attachCategoriesToFurniture($pdo, $items);
 }
 
+/**
+ * Get furniture similar to an item (lightbox "Similar items" strip)
+ * 
+ * Candidates share at least one category or tag with the item. Each gets a
+ * 0-100 similarity from:
+ * - Category overlap: 30 points
+ * - Tag overlap: 50 points
+ * - Same name (via findPotentialDuplicates()): 20 points
+ * 
+ * Signals the item itself has no data for (no tags, no categories) are left
+ * out of the total so untagged items can still reach 100.
+ * 
+ * @return array Items with a 'similarity' percentage, best match first
+ */
+function getSimilarFurniture(PDO $pdo, int $id, int $limit = 8): array
+{
+    $stmt = $pdo->prepare('SELECT name FROM furniture WHERE id = ?');
+    $stmt->execute([$id]);
+    $name = $stmt->fetchColumn();
+    
+    if ($name === false) {
+        return [];
+    }
+    
+    $stmt = $pdo->prepare('SELECT category_id FROM furniture_categories WHERE furniture_id = ? ORDER BY is_primary DESC');
+    $stmt->execute([$id]);
+    $categoryIds = array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+    
+    $stmt = $pdo->prepare('SELECT tag_id FROM furniture_tags WHERE furniture_id = ?');
+    $stmt->execute([$id]);
+    $tagIds = array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+    
+    $candidates = [];
+    
+    if (!empty($categoryIds) || !empty($tagIds)) {
+        // IN () needs at least one value; 0 never matches an ID
+        $categoryIn = $categoryIds ?: [0];
+        $tagIn = $tagIds ?: [0];
+        $categoryPlaceholders = implode(',', array_fill(0, count($categoryIn), '?'));
+        $tagPlaceholders = implode(',', array_fill(0, count($tagIn), '?'));
+        
+        // Rank a larger pool by raw overlap, then score it below
+        $stmt = $pdo->prepare("
+            SELECT 
+                f.id, 
+                f.name, 
+                f.price, 
+                f.image_url,
+                COALESCE(c.shared, 0) as shared_categories,
+                COALESCE(t.shared, 0) as shared_tags
+            FROM furniture f
+            LEFT JOIN (
+                SELECT furniture_id, COUNT(*) as shared
+                FROM furniture_categories
+                WHERE category_id IN ({$categoryPlaceholders})
+                GROUP BY furniture_id
+            ) c ON c.furniture_id = f.id
+            LEFT JOIN (
+                SELECT furniture_id, COUNT(*) as shared
+                FROM furniture_tags
+                WHERE tag_id IN ({$tagPlaceholders})
+                GROUP BY furniture_id
+            ) t ON t.furniture_id = f.id
+            WHERE f.id != ?
+              AND (c.shared IS NOT NULL OR t.shared IS NOT NULL)
+            ORDER BY shared_tags DESC, shared_categories DESC, f.id DESC
+            LIMIT ?
+        ");
+        
+        $paramIndex = 1;
+        foreach (array_merge($categoryIn, $tagIn, [$id]) as $value) {
+            $stmt->bindValue($paramIndex++, $value, PDO::PARAM_INT);
+        }
+        $stmt->bindValue($paramIndex, $limit * 5, PDO::PARAM_INT);
+        $stmt->execute();
+        
+        foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $row) {
+            $candidates[(int)$row['id']] = $row + ['same_name' => false];
+        }
+    }
+    
+    // Same-named items rank as similar even without shared categories or tags
+    foreach (findPotentialDuplicates($pdo, $name, $categoryIds[0] ?? null, $id, $limit) as $match) {
+        $matchId = (int)$match['id'];
+        $candidates[$matchId] ??= [
+            'id' => $matchId,
+            'name' => $match['name'],
+            'price' => $match['price'],
+            'image_url' => $match['image_url'],
+            'shared_categories' => 0,
+            'shared_tags' => 0,
+        ];
+        $candidates[$matchId]['same_name'] = true;
+    }
+    
+    if (empty($candidates)) {
+        return [];
+    }
+    
+    $weights = ['categories' => empty($categoryIds) ? 0 : 30, 'tags' => empty($tagIds) ? 0 : 50, 'name' => 20];
+    $total = array_sum($weights);
+    
+    $items = [];
+    foreach ($candidates as $candidate) {
+        $score = $weights['name'] * ($candidate['same_name'] ? 1 : 0);
+        if ($weights['categories'] > 0) {
+            $score += $weights['categories'] * min(1, (int)$candidate['shared_categories'] / count($categoryIds));
+        }
+        if ($weights['tags'] > 0) {
+            $score += $weights['tags'] * min(1, (int)$candidate['shared_tags'] / count($tagIds));
+        }
+        
+        $items[] = [
+            'id' => (int)$candidate['id'],
+            'name' => $candidate['name'],
+            'price' => $candidate['price'],
+            'image_url' => $candidate['image_url'],
+            'similarity' => (int)round($score / $total * 100),
+        ];
+    }
+    
+    usort($items, fn($a, $b) => [$b['similarity'], $b['id']] <=> [$a['similarity'], $a['id']]);
+    
+    return attachCategoriesToFurniture($pdo, array_slice($items, 0, $limit));
+}
+
 /**
  * Get single furniture item by ID
  * 
@@ -382,7 +570,7 @@ function getFurnitureById(PDO $pdo, int $id): ?array
     // Backwards compatibility
     addBackwardsCompatibilityCategoryFields($item);
     
-    return $item;
+    return attachImagesToFurniture($pdo, [$item])[0];
 }
 
 /**
@@ -485,6 +673,46 @@ function attachTagsToFurniture(PDO $pdo, array $items): array
     return $items;
 }
 
+/**
+ * Attach the ordered image list to furniture items
+ * 
+ * 'images' starts with the main image_url, followed by the gallery
+ * (see migrations/006_furniture_images.sql). Items without any image get [].
+ */
+function attachImagesToFurniture(PDO $pdo, array $items): array
+{
+    if (empty($items)) {
+        return $items;
+    }
+    
+    $galleryMap = [];
+    
+    if (furnitureImagesAvailable($pdo)) {
+        $ids = array_column($items, 'id');
+        $placeholders = implode(',', array_fill(0, count($ids), '?'));
+        
+        $stmt = $pdo->prepare("
+            SELECT furniture_id, image_url
+            FROM furniture_images
+            WHERE furniture_id IN ({$placeholders})
+            ORDER BY sort_order ASC, id ASC
+        ");
+        $stmt->execute($ids);
+        
+        while ($row = $stmt->fetch(PDO::FETCH_ASSOC)) {
+            $galleryMap[$row['furniture_id']][] = $row['image_url'];
+        }
+    }
+    
+    foreach ($items as &$item) {
+        $item['images'] = array_values(array_filter(
+            array_merge([$item['image_url'] ?? null], $galleryMap[$item['id']] ?? [])
+        ));
+    }
+    
+    return $items;
+}
+
 /**
  * Create furniture item
  * 
@@ -515,6 +743,10 @@ function createFurniture(PDO $pdo, array $data): int
         syncFurnitureTags($pdo, $furnitureId, $data['tags']);
     }
     
+    if (!empty($data['gallery_urls'])) {
+        syncFurnitureGallery($pdo, $furnitureId, $data['gallery_urls']);
+    }
+    
     return $furnitureId;
 }
 
@@ -550,7 +782,7 @@ function updateFurniture(PDO $pdo, int $id, array $data): bool
     }
     $hasCategoryUpdate = $categoryIds !== null;
     
-    if (empty($fields) && !$hasCategoryUpdate && !isset($data['tags'])) {
+    if (empty($fields) && !$hasCategoryUpdate && !isset($data['tags']) && !isset($data['gallery_urls'])) {
         throw new RuntimeException('No data provided to update');
     }
     
@@ -576,6 +808,10 @@ function updateFurniture(PDO $pdo, int $id, array $data): bool
         syncFurnitureTags($pdo, $id, $data['tags']);
     }
     
+    if (isset($data['gallery_urls'])) {
+        syncFurnitureGallery($pdo, $id, $data['gallery_urls']);
+    }
+    
     return true;
 }
 
@@ -616,6 +852,74 @@ function updateFurnitureImage(PDO $pdo, int $id, string $imageUrl): bool
     return true;
 }
 
+/**
+ * Check if the furniture_images table exists (see migrations/006_furniture_images.sql)
+ */
+function furnitureImagesAvailable(PDO $pdo): bool
+{
+    static $available = null;
+    
+    if ($available === null) {
+        try {
+            $stmt = $pdo->query("SHOW TABLES LIKE 'furniture_images'");
+            $available = $stmt->rowCount() > 0;
+        } catch (Exception $e) {
+            $available = false;
+        }
+    }
+    
+    return $available;
+}
+
+/**
+ * Get the gallery image URLs of a furniture item (main image not included), in order
+ */
+function getFurnitureGallery(PDO $pdo, int $furnitureId): array
+{
+    if (!furnitureImagesAvailable($pdo)) {
+        return [];
+    }
+    
+    $stmt = $pdo->prepare('SELECT image_url FROM furniture_images WHERE furniture_id = ? ORDER BY sort_order ASC, id ASC');
+    $stmt->execute([$furnitureId]);
+    return $stmt->fetchAll(PDO::FETCH_COLUMN);
+}
+
+/**
+ * Replace the gallery of a furniture item with the given URLs, in order
+ * 
+ * Does nothing until the furniture_images migration has been applied.
+ */
+function syncFurnitureGallery(PDO $pdo, int $furnitureId, array $imageUrls): void
+{
+    if (!furnitureImagesAvailable($pdo)) {
+        return;
+    }
+    
+    $imageUrls = array_values($imageUrls);
+    if ($imageUrls === getFurnitureGallery($pdo, $furnitureId)) {
+        return;
+    }
+    
+    $stmt = $pdo->prepare('DELETE FROM furniture_images WHERE furniture_id = ?');
+    $stmt->execute([$furnitureId]);
+    
+    if (empty($imageUrls)) {
+        return;
+    }
+    
+    $values = [];
+    $params = [];
+    foreach ($imageUrls as $position => $imageUrl) {
+        $values[] = '(?, ?, ?)';
+        $params[] = $furnitureId;
+        $params[] = $imageUrl;
+        $params[] = $position;
+    }
+    $stmt = $pdo->prepare('INSERT INTO furniture_images (furniture_id, image_url, sort_order) VALUES ' . implode(', ', $values));
+    $stmt->execute($params);
+}
+
 /**
  * Sync furniture tags
  * 
@@ -1211,26 +1515,103 @@ function deleteTag(PDO $pdo, int $id): bool
 // FAVORITES FUNCTIONS
 // ============================================
 
+/**
+ * Check if the favorites table has the note/quantity columns (see migrations/002_favorite_details.sql)
+ */
+function favoriteDetailsAvailable(PDO $pdo): bool
+{
+    static $available = null;
+
+    if ($available === null) {
+        try {
+            $stmt = $pdo->query("SHOW COLUMNS FROM favorites LIKE 'quantity'");
+            $available = $stmt->rowCount() > 0;
+        } catch (Exception $e) {
+            $available = false;
+        }
+    }
+
+    return $available;
+}
+
 /**
  * Get user's favorites
+ * 
+ * Each item includes the private 'note' and wanted 'quantity' (null and 1
+ * until the favorite details migration has run).
  */
 function getUserFavorites(PDO $pdo, int $userId): array
 {
-    $stmt = $pdo->prepare('
+    $details = favoriteDetailsAvailable($pdo)
+        ? 'fav.note, fav.quantity'
+        : 'NULL as note, 1 as quantity';
+
+    $stmt = $pdo->prepare("
         SELECT f.id, f.name, f.price, f.image_url,
-               fav.created_at as favorited_at
+               fav.created_at as favorited_at, {$details}
         FROM favorites fav
         INNER JOIN furniture f ON fav.furniture_id = f.id
         WHERE fav.user_id = ?
         ORDER BY fav.created_at DESC
-    ');
+    ");
     $stmt->execute([$userId]);
     $items = $stmt->fetchAll(PDO::FETCH_ASSOC);
     
+    foreach ($items as &$item) {
+        $item['quantity'] = (int) $item['quantity'];
+    }
+    unset($item);
+    
     $items = attachCategoriesToFurniture($pdo, $items);
     return attachTagsToFurniture($pdo, $items);
 }
 
+/**
+ * Update the private note and/or wanted quantity of a favorite
+ * 
+ * @param PDO $pdo Database connection
+ * @param int $userId User ID
+ * @param int $furnitureId Favorited furniture ID
+ * @param array $data Validated 'note' (string|null) and/or 'quantity' (int)
+ * @return bool False if the item isn't in the user's favorites
+ * @throws RuntimeException If the details columns are missing or the update fails
+ */
+function updateFavoriteDetails(PDO $pdo, int $userId, int $furnitureId, array $data): bool
+{
+    if (!favoriteDetailsAvailable($pdo)) {
+        throw new RuntimeException('Favorite details are not set up');
+    }
+
+    if (!isFavorited($pdo, $userId, $furnitureId)) {
+        return false;
+    }
+
+    $fields = [];
+    $params = [];
+    if (array_key_exists('note', $data)) {
+        $fields[] = 'note = ?';
+        $params[] = $data['note'];
+    }
+    if (array_key_exists('quantity', $data)) {
+        $fields[] = 'quantity = ?';
+        $params[] = $data['quantity'];
+    }
+    if (empty($fields)) {
+        return true;
+    }
+
+    try {
+        $params[] = $userId;
+        $params[] = $furnitureId;
+        $stmt = $pdo->prepare('UPDATE favorites SET ' . implode(', ', $fields) . ' WHERE user_id = ? AND furniture_id = ?');
+        $stmt->execute($params);
+    } catch (PDOException $e) {
+        throw new RuntimeException('Failed to update favorite: ' . $e->getMessage(), 0, $e);
+    }
+
+    return true;
+}
+
 /**
  * Get user's favorite IDs (for quick checking)
  */
@@ -1276,6 +1657,67 @@ function addFavorite(PDO $pdo, int $userId, int $furnitureId): bool
     }
 }
 
+/**
+ * Add several furniture items to favorites at once
+ * 
+ * Items that are already favorited or no longer exist are skipped.
+ * 
+ * @param PDO $pdo Database connection
+ * @param int $userId User ID
+ * @param array<int> $furnitureIds Furniture IDs to add
+ * @return array ['added' => int, 'existing' => int, 'not_found' => int]
+ * @throws RuntimeException If an unexpected database error occurs
+ */
+function addFavoritesBulk(PDO $pdo, int $userId, array $furnitureIds): array
+{
+    $result = ['added' => 0, 'existing' => 0, 'not_found' => 0];
+    if (empty($furnitureIds)) {
+        return $result;
+    }
+    
+    $placeholders = implode(',', array_fill(0, count($furnitureIds), '?'));
+    
+    $stmt = $pdo->prepare("SELECT id FROM furniture WHERE id IN ({$placeholders})");
+    $stmt->execute($furnitureIds);
+    $existingIds = array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+    $result['not_found'] = count($furnitureIds) - count($existingIds);
+    
+    $stmt = $pdo->prepare("SELECT furniture_id FROM favorites WHERE user_id = ? AND furniture_id IN ({$placeholders})");
+    $stmt->execute(array_merge([$userId], $furnitureIds));
+    $alreadyFavorited = array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+    $result['existing'] = count($alreadyFavorited);
+    
+    $toAdd = array_values(array_diff($existingIds, $alreadyFavorited));
+    if (empty($toAdd)) {
+        return $result;
+    }
+    
+    try {
+        $pdo->beginTransaction();
+        $stmt = $pdo->prepare('INSERT INTO favorites (user_id, furniture_id) VALUES (?, ?)');
+        foreach ($toAdd as $furnitureId) {
+            try {
+                $stmt->execute([$userId, $furnitureId]);
+                $result['added']++;
+            } catch (PDOException $e) {
+                // Added concurrently - count as existing
+                if ($e->getCode() != 23000) {
+                    throw $e;
+                }
+                $result['existing']++;
+            }
+        }
+        $pdo->commit();
+    } catch (PDOException $e) {
+        if ($pdo->inTransaction()) {
+            $pdo->rollBack();
+        }
+        throw new RuntimeException('Failed to add favorites: ' . $e->getMessage(), 0, $e);
+    }
+    
+    return $result;
+}
+
 /**
  * Remove furniture from favorites
  * 
@@ -1633,6 +2075,40 @@ function renderEmptyState(
     HTML;
 }
 
+/**
+ * Render a collection's budget progress bar (spent vs. budget)
+ * 
+ * @param int $spent Total cost of the collection's items
+ * @param int $budget Collection budget
+ * @return string HTML
+ */
+function renderCollectionBudget(int $spent, int $budget): string
+{
+    $overBudget = $spent > $budget;
+    $percent = $budget > 0 ? min(100, (int) round($spent / $budget * 100)) : 100;
+    
+    $label = e(__('collections.budget_spent', [
+        'spent' => '$' . number_format($spent),
+        'budget' => '$' . number_format($budget),
+    ]));
+    $status = $overBudget
+        ? e(__('collections.budget_over', ['amount' => '$' . number_format($spent - $budget)]))
+        : e(__('collections.budget_left', ['amount' => '$' . number_format($budget - $spent)]));
+    $class = $overBudget ? ' over-budget' : '';
+    
+    return <<<HTML
+    <div class="budget-progress{$class}">
+        <div class="budget-progress-label">
+            <span>{$label}</span>
+            <span class="budget-progress-status">{$status}</span>
+        </div>
+        <div class="budget-progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="{$percent}" aria-label="{$label}">
+            <div class="budget-progress-fill" style="width: {$percent}%"></div>
+        </div>
+    </div>
+    HTML;
+}
+
 /**
  * Render a furniture card HTML
  * 
@@ -1690,6 +2166,12 @@ function renderFurnitureCard(array $item, bool $isFavorited = false, bool $showF
     
     $formattedPrice = number_format($price, 0, '.', ',');
     
+    // Collection items needed more than once ("6x dining chair")
+    $quantity = (int) ($item['quantity'] ?? 1);
+    $quantityBadge = $quantity > 1
+        ? "<span class=\"card-quantity\" title=\"" . e(__('collections.quantity')) . "\">×{$quantity}</span>"
+        : '';
+    
     $favoriteButton = '';
     if ($showFavoriteButton) {
         $favoriteClass = $isFavorited ? 'active' : '';
@@ -1699,6 +2181,7 @@ function renderFurnitureCard(array $item, bool $isFavorited = false, bool $showF
         <button 
             class="btn-favorite {$favoriteClass}" 
             data-id="{$id}"
+            data-pending-key="favorite:{$id}"
             title="{$favoriteTitle}"
             aria-label="{$favoriteTitle}"
         >
@@ -1725,6 +2208,7 @@ function renderFurnitureCard(array $item, bool $isFavorited = false, bool $showF
                 loading="lazy"
                 onerror="this.src='/images/placeholder.svg'"
             >
+            {$quantityBadge}
         </div>
         <div class="card-body">
             <h3 title="{$name}">{$name}</h3>
@@ -151,7 +151,6 @@ function getJsTranslations(): array
         'card.copy_command',
         
         // Favorites
-        'favorites.login_required',
         'favorites.added',
         'favorites.removed',
         'favorites.failed',
@@ -162,6 +161,17 @@ function getJsTranslations(): array
         'favorites.nothing_to_export',
         'favorites.nothing_to_clear',
         'favorites.export_failed',
+        'favorites.details_saved',
+        'favorites.details_failed',
+        'guest_favorites.added',
+        'guest_favorites.limit',
+        'guest_favorites.merge_title',
+        'guest_favorites.merge_prompt',
+        'guest_favorites.merge',
+        'guest_favorites.discard',
+        'guest_favorites.merged',
+        'guest_favorites.merge_failed',
+        'guest_favorites.discarded',
         
         // Collections
         'collections.added',
@@ -176,10 +186,23 @@ function getJsTranslations(): array
         'collections.confirm_remove_item',
         'collections.nothing_to_export',
         'collections.pick_title',
+        'collections.pick_title_bulk',
+        'collections.bulk_added',
         'collections.no_collections',
-        'collections.create_first',
         'collections.new_collection',
+        'collections.create_and_add',
+        'collections.created',
+        'collections.name_placeholder',
         'collections.added_status',
+        'collections.totals',
+        'collections.quantity_updated',
+        'collections.budget_would_exceed',
+        'collections.budget_confirm',
+        'collections.rename_section_prompt',
+        'collections.confirm_delete_section',
+        'collections.section_added',
+        'collections.section_renamed',
+        'collections.section_deleted',
         
         // Submissions
         'submissions.confirm_cancel',
@@ -192,6 +215,9 @@ function getJsTranslations(): array
         
         // Lightbox
         'lightbox.share_copied',
+        'lightbox.similar_none',
+        'lightbox.similar_match',
+        'lightbox.gallery_image',
         
         // Search & Filter
         'search.no_results',
@@ -201,6 +227,21 @@ function getJsTranslations(): array
         'search.did_you_mean',
         'search.try_category',
         'search.dismiss',
+        'search.matched_via',
+        'search.chip_phrase',
+        'search.chip_exclude',
+        'search.chip_tag',
+        'search.chip_cat',
+        'search.chip_exclude_tag',
+        'search.chip_exclude_cat',
+        'search.chip_price',
+        'search.chip_id',
+        'search.chip_remove',
+        'autocomplete.search_for',
+        'autocomplete.type_search',
+        'autocomplete.type_furniture',
+        'autocomplete.type_category',
+        'autocomplete.type_tag',
         'filter.clear_all',
         'filter.clear_all_short',
         'filter.remove_tag',
@@ -218,6 +259,9 @@ function getJsTranslations(): array
         'error.network',
         'error.network_retry',
         'error.failed_to_load',
+        'error.load_failed',
+        'error.load_failed_hint',
+        'error.retry',
         
         // Success
         'success.saved',
@@ -233,6 +277,83 @@ function getJsTranslations(): array
         'pagination.next_page',
         'pagination.page_info',
         'pagination.items',
+        'pagination.load_more',
+        'pagination.loading_more',
+        'pagination.load_more_failed',
+        'pagination.showing',
+        'pagination.mode_infinite',
+        'pagination.mode_pages',
+        
+        // Compare
+        'compare.add',
+        'compare.remove',
+        'compare.title',
+        'compare.open',
+        'compare.clear',
+        'compare.share',
+        'compare.count',
+        'compare.limit',
+        'compare.need_more',
+        'compare.link_copied',
+        'compare.price',
+        'compare.categories',
+        'compare.tags',
+        'compare.lowest_price',
+        
+        // Selection
+        'selection.select_item',
+        'selection.count',
+        'selection.limit',
+        'selection.favorite',
+        'selection.add_to_collection',
+        'selection.copy_commands',
+        'selection.select_all',
+        'selection.clear',
+        'selection.done',
+        'selection.favorited',
+        'selection.commands_copied',
+        'selection.login_required',
+        
+        // Saved searches
+        'saved_searches.delete',
+        'saved_searches.none',
+        'saved_searches.name_placeholder',
+        'saved_searches.save',
+        'saved_searches.name_required',
+        'saved_searches.saved',
+        'saved_searches.deleted',
+        'saved_searches.confirm_delete',
+        
+        // Offline & pending changes
+        'offline.banner',
+        'offline.back_online',
+        'queue.queued',
+        'queue.synced',
+        'queue.failed',
+        
+        // Export
+        'export.title',
+        'export.favorites_title',
+        'export.collection_title',
+        'export.format',
+        'export.format_commands',
+        'export.format_csv',
+        'export.format_json',
+        'export.format_markdown',
+        'export.format_bbcode',
+        'export.batch_size',
+        'export.batch_header',
+        'export.copy_batch',
+        'export.preview',
+        'export.copy',
+        'export.download',
+        'export.copied',
+        'export.downloaded',
+        'export.column_name',
+        'export.column_categories',
+        'export.column_price',
+        'export.column_quantity',
+        'export.column_tags',
     ]);
 }
 
@@ -388,6 +388,31 @@ class ImageProcessor
         return $localPath;
     }
 
+    /**
+     * Process furniture gallery images: download and convert external URLs, then update database
+     * 
+     * Local paths are kept as they are; an image that fails to process keeps
+     * its original URL, like the main image does.
+     * 
+     * @param PDO $pdo Database connection
+     * @param int $furnitureId Furniture item ID
+     * @param array $imageUrls Gallery image URLs in display order
+     * @return array The gallery as saved
+     */
+    public function processFurnitureGallery(PDO $pdo, int $furnitureId, array $imageUrls): array
+    {
+        $gallery = array_map(
+            fn($imageUrl) => $this->processFromUrl($imageUrl, $furnitureId) ?? $imageUrl,
+            array_values($imageUrls)
+        );
+        
+        if ($gallery !== array_values($imageUrls)) {
+            syncFurnitureGallery($pdo, $furnitureId, $gallery);
+        }
+        
+        return $gallery;
+    }
+
     /**
      * Delete a furniture image file
      * 
@@ -427,6 +452,11 @@ class ImageProcessor
         
         $stmt = $pdo->query('SELECT image_url FROM furniture WHERE image_url IS NOT NULL');
         $dbImages = $stmt->fetchAll(PDO::FETCH_COLUMN);
+        
+        if (furnitureImagesAvailable($pdo)) {
+            $stmt = $pdo->query('SELECT image_url FROM furniture_images');
+            $dbImages = array_merge($dbImages, $stmt->fetchAll(PDO::FETCH_COLUMN));
+        }
         $dbFilenames = array_map('basename', $dbImages);
         
         $deleted = 0;
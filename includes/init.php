@@ -125,6 +125,41 @@ const MAX_IMAGE_SIZE = 10 * 1024 * 1024;
  */
 const MAX_FURNITURE_NAME_LENGTH = 255;
 
+/**
+ * Maximum number of items accepted by bulk endpoints
+ */
+const MAX_BULK_ITEMS = 100;
+
+/**
+ * Maximum images per furniture item (main image included)
+ */
+const MAX_FURNITURE_IMAGES = 10;
+
+/**
+ * Maximum items in the lightbox "Similar items" strip
+ */
+const MAX_SIMILAR_FURNITURE = 8;
+
+/**
+ * Maximum private note length on a favorite (characters)
+ */
+const MAX_FAVORITE_NOTE_LENGTH = 255;
+
+/**
+ * Maximum wanted quantity of a favorite or collection item
+ */
+const MAX_ITEM_QUANTITY = 999;
+
+/**
+ * Maximum collection budget (dollars)
+ */
+const MAX_COLLECTION_BUDGET = 1000000000;
+
+/**
+ * Maximum sections (rooms) per collection
+ */
+const MAX_COLLECTION_SECTIONS = 50;
+
 /**
  * Rate limiting constants
  * Format: ['max' => max_attempts, 'window' => window_seconds]
@@ -133,6 +168,7 @@ const RATE_LIMIT_FAVORITES = ['max' => 30, 'window' => 60];
 const RATE_LIMIT_COLLECTIONS_CREATE = ['max' => 10, 'window' => 60];
 const RATE_LIMIT_COLLECTIONS_ITEMS = ['max' => 50, 'window' => 60];
 const RATE_LIMIT_SUBMISSIONS_CREATE = ['max' => 5, 'window' => 60];
+const RATE_LIMIT_SAVED_SEARCHES = ['max' => 20, 'window' => 60];
 
 /**
  * Cache TTL constants (in seconds)
@@ -321,6 +357,18 @@ function getQueryInt(string $key, int $default = 0): int
     return is_numeric($value) ? (int) $value : $default;
 }
 
+/**
+ * Get optional integer query parameter (from GET only)
+ * 
+ * @param string $key Input key
+ * @return int|null Integer value, or null if missing, empty, or invalid
+ */
+function getQueryIntOrNull(string $key): ?int
+{
+    $value = getQuery($key, null);
+    return is_numeric($value) ? (int) $value : null;
+}
+
 /**
  * Get boolean value from an array (typically from POST or normalized input)
  * 
@@ -371,7 +371,8 @@ class TagGroupRepository extends Repository
 class CollectionRepository extends Repository
 {
     protected string $table = 'collections';
-    protected array $fillable = ['user_id', 'name', 'slug', 'description', 'is_public'];
+    // 'budget' is only passed when collectionBudgetsAvailable()
+    protected array $fillable = ['user_id', 'name', 'slug', 'description', 'is_public', 'budget'];
     protected int $userId;
     
     public function __construct(PDO $pdo, int $userId)
@@ -0,0 +1,242 @@
+<?php
+/**
+ * GTAW Furniture Catalog - Saved Search Functions
+ *
+ * Functions for managing named filter combinations saved by users.
+ * Filters are stored in the shape of App.state.filters and restored
+ * on the catalog page through its regular URL parameters.
+ */
+
+declare(strict_types=1);
+
+// Prevent direct access
+if (basename($_SERVER['PHP_SELF']) === 'saved-searches.php') {
+    http_response_code(403);
+    exit('Direct access forbidden');
+}
+
+// ============================================
+// SAVED SEARCH CONSTANTS
+// ============================================
+
+const MAX_SAVED_SEARCHES = 25;
+
+const SAVED_SEARCH_SORTS = ['name', 'price', 'newest'];
+
+// ============================================
+// SAVED SEARCH FUNCTIONS
+// ============================================
+
+/**
+ * Check if the saved_searches table exists (see migrations/001_saved_searches.sql)
+ */
+function savedSearchesAvailable(PDO $pdo): bool
+{
+    static $available = null;
+
+    if ($available === null) {
+        try {
+            $stmt = $pdo->query("SHOW TABLES LIKE 'saved_searches'");
+            $available = $stmt->rowCount() > 0;
+        } catch (Exception $e) {
+            $available = false;
+        }
+    }
+
+    return $available;
+}
+
+/**
+ * Get all saved searches for a user, newest first
+ *
+ * Each row gets decoded 'filters' and a ready-to-use catalog 'query' string.
+ */
+function getUserSavedSearches(PDO $pdo, int $userId): array
+{
+    if (!savedSearchesAvailable($pdo)) {
+        return [];
+    }
+
+    $stmt = $pdo->prepare('
+        SELECT id, name, filters, created_at, updated_at
+        FROM saved_searches
+        WHERE user_id = ?
+        ORDER BY updated_at DESC, id DESC
+    ');
+    $stmt->execute([$userId]);
+
+    return array_map('hydrateSavedSearch', $stmt->fetchAll(PDO::FETCH_ASSOC));
+}
+
+/**
+ * Count saved searches for a user
+ */
+function countUserSavedSearches(PDO $pdo, int $userId): int
+{
+    if (!savedSearchesAvailable($pdo)) {
+        return 0;
+    }
+
+    $stmt = $pdo->prepare('SELECT COUNT(*) FROM saved_searches WHERE user_id = ?');
+    $stmt->execute([$userId]);
+    return (int) $stmt->fetchColumn();
+}
+
+/**
+ * Save the given filters under a name
+ *
+ * Saving again under an existing name replaces that search's filters.
+ *
+ * @return array The saved search (hydrated)
+ * @throws RuntimeException If the table is missing or the insert fails
+ */
+function saveSearch(PDO $pdo, int $userId, string $name, array $filters): array
+{
+    if (!savedSearchesAvailable($pdo)) {
+        throw new RuntimeException('Saved searches are not set up');
+    }
+
+    $filters = normalizeSavedSearchFilters($filters);
+
+    try {
+        $stmt = $pdo->prepare('
+            INSERT INTO saved_searches (user_id, name, filters)
+            VALUES (?, ?, ?)
+            ON DUPLICATE KEY UPDATE filters = VALUES(filters), updated_at = CURRENT_TIMESTAMP
+        ');
+        $stmt->execute([$userId, $name, json_encode($filters)]);
+
+        $stmt = $pdo->prepare('
+            SELECT id, name, filters, created_at, updated_at
+            FROM saved_searches
+            WHERE user_id = ? AND name = ?
+        ');
+        $stmt->execute([$userId, $name]);
+        $row = $stmt->fetch(PDO::FETCH_ASSOC);
+    } catch (PDOException $e) {
+        throw new RuntimeException('Failed to save search', 0, $e);
+    }
+
+    if (!$row) {
+        throw new RuntimeException('Failed to save search');
+    }
+
+    return hydrateSavedSearch($row);
+}
+
+/**
+ * Check if a saved search with this name already exists for the user
+ */
+function savedSearchNameExists(PDO $pdo, int $userId, string $name): bool
+{
+    if (!savedSearchesAvailable($pdo)) {
+        return false;
+    }
+
+    $stmt = $pdo->prepare('SELECT 1 FROM saved_searches WHERE user_id = ? AND name = ?');
+    $stmt->execute([$userId, $name]);
+    return $stmt->fetch() !== false;
+}
+
+/**
+ * Delete a saved search owned by the user
+ *
+ * @return bool False if the search doesn't exist or belongs to someone else
+ */
+function deleteSavedSearch(PDO $pdo, int $userId, int $id): bool
+{
+    if (!savedSearchesAvailable($pdo)) {
+        return false;
+    }
+
+    $stmt = $pdo->prepare('DELETE FROM saved_searches WHERE id = ? AND user_id = ?');
+    $stmt->execute([$id, $userId]);
+    return $stmt->rowCount() > 0;
+}
+
+/**
+ * Reduce client-supplied filters to the known App.state.filters keys
+ *
+ * Pagination and the compare selection are intentionally not part of a saved search.
+ */
+function normalizeSavedSearchFilters(array $filters): array
+{
+    $tags = $filters['tags'] ?? [];
+    if (is_string($tags)) {
+        $tags = explode(',', $tags);
+    }
+    $tags = array_values(array_unique(array_filter(
+        array_map(fn($tag) => substr(trim((string) $tag), 0, 100), (array) $tags),
+        fn($tag) => $tag !== ''
+    )));
+
+    $sort = (string) ($filters['sort'] ?? 'name');
+    $order = strtolower((string) ($filters['order'] ?? 'asc'));
+
+    $priceMin = $filters['priceMin'] ?? null;
+    $priceMax = $filters['priceMax'] ?? null;
+
+    $category = trim((string) ($filters['category'] ?? ''));
+
+    return [
+        'category' => $category !== '' ? substr($category, 0, 100) : null,
+        'tags' => array_slice($tags, 0, 50),
+        'search' => substr(trim((string) ($filters['search'] ?? '')), 0, 200),
+        'sort' => in_array($sort, SAVED_SEARCH_SORTS, true) ? $sort : 'name',
+        'order' => $order === 'desc' ? 'desc' : 'asc',
+        'favoritesOnly' => (bool) ($filters['favoritesOnly'] ?? false),
+        'priceMin' => is_numeric($priceMin) && (int) $priceMin >= 0 ? (int) $priceMin : null,
+        'priceMax' => is_numeric($priceMax) && (int) $priceMax >= 0 ? (int) $priceMax : null,
+    ];
+}
+
+/**
+ * Build the catalog query string for saved filters
+ *
+ * Mirrors App.updateUrl() so the catalog restores the search through parseUrlParams().
+ */
+function buildSavedSearchQuery(array $filters): string
+{
+    $params = [];
+
+    if (!empty($filters['category'])) {
+        $params['category'] = $filters['category'];
+    }
+    if (!empty($filters['search'])) {
+        $params['search'] = $filters['search'];
+    }
+    if (!empty($filters['tags'])) {
+        $params['tags'] = implode(',', $filters['tags']);
+    }
+    if (($filters['sort'] ?? 'name') !== 'name' || ($filters['order'] ?? 'asc') !== 'asc') {
+        $params['sort'] = $filters['sort'] . '-' . $filters['order'];
+    }
+    if (!empty($filters['favoritesOnly'])) {
+        $params['favorites'] = '1';
+    }
+    if (isset($filters['priceMin'])) {
+        $params['price_min'] = (string) $filters['priceMin'];
+    }
+    if (isset($filters['priceMax'])) {
+        $params['price_max'] = (string) $filters['priceMax'];
+    }
+
+    return http_build_query($params, '', '&', PHP_QUERY_RFC3986);
+}
+
+/**
+ * Decode a saved_searches row for output
+ */
+function hydrateSavedSearch(array $row): array
+{
+    $filters = normalizeSavedSearchFilters(json_decode($row['filters'] ?? '', true) ?: []);
+
+    return [
+        'id' => (int) $row['id'],
+        'name' => $row['name'],
+        'filters' => $filters,
+        'query' => buildSavedSearchQuery($filters),
+        'created_at' => $row['created_at'],
+        'updated_at' => $row['updated_at'],
+    ];
+}
@@ -13,6 +13,7 @@
  * - Category-aware search with relevance boosting
  * - Synonym auto-discovery from search patterns
  * - Multi-language support (English, French)
+ * - Query syntax: "phrases", -exclusions, tag:, cat:, price:, id:
  */
 
 declare(strict_types=1);
@@ -1898,6 +1899,214 @@ function getPopularSearches(PDO $pdo, int $days = 7, int $limit = 20): array
     }
 }
 
+// ============================================
+// QUERY SYNTAX
+// ============================================
+
+/**
+ * Parse operators out of a search query
+ * 
+ * Supported syntax (mirrored by App.parseSearchQuery() in js/app.js):
+ * - "quoted phrase"   name must contain the exact phrase
+ * - -word, -"phrase"  name must not contain it
+ * - tag:modern        item has the tag (slug or name; quote values with spaces)
+ * - cat:seating       item is in the category (slug or name)
+ * - -tag:, -cat:      item must not have the tag / be in the category
+ * - price:<5000       also <=, >, >=, =, and ranges like price:1000-5000
+ * - id:123            specific item(s), comma-separated
+ * 
+ * Anything else, including unknown prefixes, stays free text.
+ * 
+ * @param string $query Raw search query
+ * @return array{text: string, phrases: string[], exclude: string[], tags: string[], categories: string[], exclude_tags: string[], exclude_categories: string[], ids: int[], price_min: int|null, price_max: int|null, has_operators: bool}
+ */
+function parseSearchQuery(string $query): array
+{
+    $parsed = [
+        'text' => '',
+        'phrases' => [],
+        'exclude' => [],
+        'tags' => [],
+        'categories' => [],
+        'exclude_tags' => [],
+        'exclude_categories' => [],
+        'ids' => [],
+        'price_min' => null,
+        'price_max' => null,
+        'has_operators' => false,
+    ];
+    
+    $words = [];
+    preg_match_all('/(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/iu', $query, $matches, PREG_SET_ORDER);
+    
+    foreach ($matches as $match) {
+        $negated = $match[1] === '-';
+        $prefix = strtolower($match[2] ?? '');
+        $isQuoted = isset($match[3]) && $match[3] !== '' && ($match[4] ?? '') === '';
+        $value = trim($isQuoted ? $match[3] : ($match[4] ?? ''));
+        $raw = $match[0];
+        
+        if ($value === '') {
+            continue;
+        }
+        
+        $recognised = true;
+        switch ($prefix) {
+            case 'tag':
+                $parsed[$negated ? 'exclude_tags' : 'tags'][] = strtolower($value);
+                break;
+            
+            case 'cat':
+                $parsed[$negated ? 'exclude_categories' : 'categories'][] = strtolower($value);
+                break;
+            
+            case 'id':
+                // -id: has no meaning; keep it as typed
+                if ($negated) {
+                    $recognised = false;
+                    break;
+                }
+                $ids = array_filter(array_map('intval', explode(',', $value)), fn($id) => $id > 0);
+                if (empty($ids)) {
+                    $recognised = false;
+                    break;
+                }
+                $parsed['ids'] = array_merge($parsed['ids'], $ids);
+                break;
+            
+            case 'price':
+                $recognised = !$negated && applyPriceOperator($parsed, $value);
+                break;
+            
+            case '':
+                if ($negated) {
+                    $parsed['exclude'][] = $value;
+                } elseif ($isQuoted) {
+                    $parsed['phrases'][] = $value;
+                } else {
+                    $recognised = false;
+                }
+                break;
+            
+            default:
+                $recognised = false;
+        }
+        
+        if ($recognised) {
+            $parsed['has_operators'] = true;
+        } else {
+            $words[] = $raw;
+        }
+    }
+    
+    $parsed['ids'] = array_values(array_unique(array_slice($parsed['ids'], 0, MAX_BULK_ITEMS)));
+    $parsed['text'] = trim(implode(' ', $words));
+    
+    return $parsed;
+}
+
+/**
+ * Apply a price:… operator value to parsed query bounds
+ * 
+ * @return bool False if the value isn't a recognised price expression
+ */
+function applyPriceOperator(array &$parsed, string $value): bool
+{
+    $value = str_replace([',', '$', ' '], '', $value);
+    
+    if (preg_match('/^(\d+)-(\d+)$/', $value, $m)) {
+        $parsed['price_min'] = (int) min($m[1], $m[2]);
+        $parsed['price_max'] = (int) max($m[1], $m[2]);
+        return true;
+    }
+    
+    if (!preg_match('/^(<=|>=|<|>|=)?(\d+)$/', $value, $m)) {
+        return false;
+    }
+    
+    $amount = (int) $m[2];
+    switch ($m[1]) {
+        case '<':
+            $parsed['price_max'] = max(0, $amount - 1);
+            break;
+        case '<=':
+            $parsed['price_max'] = $amount;
+            break;
+        case '>':
+            $parsed['price_min'] = $amount + 1;
+            break;
+        case '>=':
+            $parsed['price_min'] = $amount;
+            break;
+        default:
+            $parsed['price_min'] = $amount;
+            $parsed['price_max'] = $amount;
+    }
+    
+    return true;
+}
+
+/**
+ * Build SQL conditions (on alias f) for the operators of a parsed query
+ * 
+ * Price operators are not included; they are merged with the price filter
+ * so the stricter bound wins.
+ * 
+ * @return array{sql: string[], params: array}
+ */
+function buildQuerySyntaxFilter(array $parsed): array
+{
+    $conditions = [];
+    $params = [];
+    
+    foreach ($parsed['phrases'] as $phrase) {
+        $conditions[] = 'f.name LIKE ?';
+        $params[] = '%' . escapeLikeValue($phrase) . '%';
+    }
+    
+    foreach ($parsed['exclude'] as $word) {
+        $conditions[] = 'f.name NOT LIKE ?';
+        $params[] = '%' . escapeLikeValue($word) . '%';
+    }
+    
+    $tagFilters = ['EXISTS' => $parsed['tags'], 'NOT EXISTS' => $parsed['exclude_tags']];
+    foreach ($tagFilters as $operator => $tags) {
+        foreach ($tags as $tag) {
+            $conditions[] = "{$operator} (SELECT 1 FROM furniture_tags ft_q
+                                 INNER JOIN tags t_q ON ft_q.tag_id = t_q.id
+                                 WHERE ft_q.furniture_id = f.id AND (t_q.slug = ? OR LOWER(t_q.name) = ?))";
+            $params[] = $tag;
+            $params[] = $tag;
+        }
+    }
+    
+    $categoryFilters = ['EXISTS' => $parsed['categories'], 'NOT EXISTS' => $parsed['exclude_categories']];
+    foreach ($categoryFilters as $operator => $categories) {
+        foreach ($categories as $category) {
+            $conditions[] = "{$operator} (SELECT 1 FROM furniture_categories fc_q
+                                 INNER JOIN categories c_q ON fc_q.category_id = c_q.id
+                                 WHERE fc_q.furniture_id = f.id AND (c_q.slug = ? OR LOWER(c_q.name) = ?))";
+            $params[] = $category;
+            $params[] = $category;
+        }
+    }
+    
+    if (!empty($parsed['ids'])) {
+        $conditions[] = 'f.id IN (' . implode(',', array_fill(0, count($parsed['ids']), '?')) . ')';
+        $params = array_merge($params, $parsed['ids']);
+    }
+    
+    return ['sql' => $conditions, 'params' => $params];
+}
+
+/**
+ * Escape LIKE wildcards (% and _) so user input matches literally
+ */
+function escapeLikeValue(string $value): string
+{
+    return addcslashes($value, '\\%_');
+}
+
 // ============================================
 // ENHANCED SEARCH FUNCTION
 // ============================================
@@ -1905,6 +2114,9 @@ function getPopularSearches(PDO $pdo, int $days = 7, int $limit = 20): array
 /**
  * Enhanced furniture search with FULLTEXT, synonyms, and analytics
  * 
+ * Query operators (see parseSearchQuery()) become SQL conditions; only the
+ * remaining free text and quoted phrases go through synonym expansion.
+ * 
  * @param PDO $pdo Database connection
  * @param string $query Search query
  * @param int $page Page number
@@ -1912,6 +2124,9 @@ function getPopularSearches(PDO $pdo, int $days = 7, int $limit = 20): array
  * @param int|null $userFavoritesId Filter to user's favorites only
  * @param bool $expandSynonyms Whether to expand with synonyms
  * @param bool $logSearch Whether to log this search
+ * @param string|null $categoryFilter Active category slug (relevance boost)
+ * @param int|null $priceMin Minimum price (inclusive)
+ * @param int|null $priceMax Maximum price (inclusive)
  * @return array
  */
 function searchFurnitureEnhanced(
@@ -1922,7 +2137,9 @@ function searchFurnitureEnhanced(
     ?int $userFavoritesId = null,
     bool $expandSynonyms = true,
     bool $logSearchQuery = true,
-    ?string $categoryFilter = null  // Category-aware search
+    ?string $categoryFilter = null,  // Category-aware search
+    ?int $priceMin = null,
+    ?int $priceMax = null
 ): array {
     $startTime = microtime(true);
     
@@ -1943,12 +2160,21 @@ function searchFurnitureEnhanced(
     $page = max(1, $page);
     $offset = ($page - 1) * $perPage;
     
+    // Split operators from free text; phrases still count towards relevance
+    $parsed = parseSearchQuery($query);
+    $rawQuery = trim($query);
+    $originalQuery = trim(implode(' ', array_merge([$parsed['text']], $parsed['phrases'])));
+    
     // Tokenize and expand query with all features
     // Note: useFuzzy is false - fuzzy matching only used for zero-result suggestions
-    $originalQuery = trim($query);
-    $expanded = $expandSynonyms 
-        ? tokenizeAndExpandQuery($query, 20, false, true) 
-        : ['terms' => [$query], 'weights' => [$query => 1.0], 'original' => $query];
+    if ($originalQuery === '') {
+        // Operators only (e.g. "tag:modern price:<5000"): filter without a text match
+        $expanded = ['terms' => [], 'weights' => [], 'original' => ''];
+    } elseif ($expandSynonyms) {
+        $expanded = tokenizeAndExpandQuery($originalQuery, 20, false, true);
+    } else {
+        $expanded = ['terms' => [$originalQuery], 'weights' => [$originalQuery => 1.0], 'original' => $originalQuery];
+    }
     
     $searchTerms = $expanded['terms'];
     $wasExpanded = count($searchTerms) > 1;
@@ -1961,15 +2187,34 @@ function searchFurnitureEnhanced(
         $favoritesParams[] = $userFavoritesId;
     }
     
+    // Extra conditions applied on top of the text match
+    $syntaxFilter = buildQuerySyntaxFilter($parsed);
+    $filterWhere = $syntaxFilter['sql'];
+    $filterParams = $syntaxFilter['params'];
+    
+    // price: operators narrow the price filter, they never widen it
+    if ($parsed['price_min'] !== null) {
+        $priceMin = max($priceMin ?? 0, $parsed['price_min']);
+    }
+    if ($parsed['price_max'] !== null) {
+        $priceMax = $priceMax !== null ? min($priceMax, $parsed['price_max']) : $parsed['price_max'];
+    }
+    $priceFilter = buildPriceFilter($priceMin, $priceMax);
+    if ($priceFilter['sql'] !== '') {
+        $filterWhere[] = $priceFilter['sql'];
+        $filterParams = array_merge($filterParams, $priceFilter['params']);
+    }
+    $filterSql = implode(' AND ', $filterWhere);
+    
     // Check if FULLTEXT index exists
     $useFulltext = checkFulltextIndex($pdo);
     
-    if ($useFulltext) {
+    if ($useFulltext && !empty($searchTerms)) {
         // Build FULLTEXT query
-        $result = searchWithFulltext($pdo, $searchTerms, $originalQuery, $favoritesJoin, $favoritesParams, $perPage, $offset);
+        $result = searchWithFulltext($pdo, $searchTerms, $originalQuery, $favoritesJoin, $favoritesParams, $perPage, $offset, $filterSql, $filterParams);
     } else {
         // Fall back to LIKE-based search
-        $result = searchWithLike($pdo, $searchTerms, $originalQuery, $favoritesJoin, $favoritesParams, $perPage, $offset);
+        $result = searchWithLike($pdo, $searchTerms, $originalQuery, $favoritesJoin, $favoritesParams, $perPage, $offset, $filterSql, $filterParams);
     }
     
     // Apply category-aware relevance boosting
@@ -1983,7 +2228,7 @@ function searchFurnitureEnhanced(
     // Log search query
     if ($logSearchQuery) {
         $userId = function_exists('getCurrentUserId') ? getCurrentUserId() : null;
-        logSearch($pdo, $originalQuery, $result['total'], $searchTerms, $executionTimeMs, $userId);
+        logSearch($pdo, $rawQuery, $result['total'], $searchTerms, $executionTimeMs, $userId);
     }
     
     // Build response
@@ -1995,6 +2240,20 @@ function searchFurnitureEnhanced(
     // Add search metadata
     $searchMeta = [];
     
+    if ($parsed['has_operators']) {
+        $searchMeta['operators'] = array_filter([
+            'phrases' => $parsed['phrases'],
+            'exclude' => $parsed['exclude'],
+            'tags' => $parsed['tags'],
+            'categories' => $parsed['categories'],
+            'exclude_tags' => $parsed['exclude_tags'],
+            'exclude_categories' => $parsed['exclude_categories'],
+            'ids' => $parsed['ids'],
+            'price_min' => $parsed['price_min'],
+            'price_max' => $parsed['price_max'],
+        ], fn($value) => $value !== null && $value !== []);
+    }
+    
     // Handle French translation: User typed French -> Translated to English -> Search in English DB
     if (isset($expanded['language']) && $expanded['language'] === 'fr' && isset($expanded['translated'])) {
         $searchMeta['language'] = 'fr';
@@ -2022,7 +2281,7 @@ function searchFurnitureEnhanced(
     }
     
     // Only suggest typo corrections when zero results are found
-    if ($result['total'] === 0) {
+    if ($result['total'] === 0 && $originalQuery !== '') {
         // Try fuzzy matching as a "did you mean" suggestion
         $words = preg_split('/\s+/', strtolower(trim($originalQuery)), -1, PREG_SPLIT_NO_EMPTY);
         $fuzzySuggestions = [];
@@ -2089,6 +2348,9 @@ function checkFulltextIndex(PDO $pdo): bool
 
 /**
  * Search using FULLTEXT index (faster, better relevance)
+ * 
+ * $filterSql is an optional condition (without leading AND) applied on top of
+ * the text match, with its placeholders bound from $filterParams.
  */
 function searchWithFulltext(
     PDO $pdo,
@@ -2097,7 +2359,9 @@ function searchWithFulltext(
     string $favoritesJoin,
     array $favoritesParams,
     int $perPage,
-    int $offset
+    int $offset,
+    string $filterSql = '',
+    array $filterParams = []
 ): array {
     // Build FULLTEXT boolean query
     // Format: +term* for required prefix match
@@ -2112,7 +2376,8 @@ function searchWithFulltext(
     }
     
     $fulltextQuery = implode(' ', $fulltextTerms);
-    $likeQuery = '%' . $originalQuery . '%';
+    $likeQuery = '%' . escapeLikeValue($originalQuery) . '%';
+    $filterClause = $filterSql !== '' ? "AND ({$filterSql})" : '';
     
     // Count query
     $countSql = "
@@ -2123,18 +2388,19 @@ function searchWithFulltext(
         LEFT JOIN categories c_search ON fc_search.category_id = c_search.id
         LEFT JOIN furniture_tags ft ON f.id = ft.furniture_id
         LEFT JOIN tags t ON ft.tag_id = t.id
-        WHERE MATCH(f.name) AGAINST(? IN BOOLEAN MODE)
+        WHERE (MATCH(f.name) AGAINST(? IN BOOLEAN MODE)
            OR c_search.name LIKE ?
-           OR t.name LIKE ?
+           OR t.name LIKE ?)
+        {$filterClause}
     ";
     
-    $countParams = array_merge($favoritesParams, [$fulltextQuery, $likeQuery, $likeQuery]);
+    $countParams = array_merge($favoritesParams, [$fulltextQuery, $likeQuery, $likeQuery], $filterParams);
     $stmt = $pdo->prepare($countSql);
     $stmt->execute($countParams);
     $total = (int) $stmt->fetchColumn();
     
     // Main query with relevance scoring
-    $primaryLike = '%' . $originalQuery . '%';
+    $primaryLike = '%' . escapeLikeValue($originalQuery) . '%';
     
     $sql = "
         SELECT DISTINCT f.id, f.name, f.price, f.image_url, f.created_at,
@@ -2153,9 +2419,10 @@ function searchWithFulltext(
         LEFT JOIN categories c_search ON fc_search.category_id = c_search.id
         LEFT JOIN furniture_tags ft ON f.id = ft.furniture_id
         LEFT JOIN tags t ON ft.tag_id = t.id
-        WHERE MATCH(f.name) AGAINST(? IN BOOLEAN MODE)
+        WHERE (MATCH(f.name) AGAINST(? IN BOOLEAN MODE)
            OR c_search.name LIKE ?
-           OR t.name LIKE ?
+           OR t.name LIKE ?)
+        {$filterClause}
         ORDER BY relevance ASC, ft_score DESC, f.name ASC
         LIMIT ? OFFSET ?
     ";
@@ -2164,6 +2431,7 @@ function searchWithFulltext(
         [$primaryLike, $fulltextQuery, $primaryLike, $fulltextQuery],
         $favoritesParams,
         [$fulltextQuery, $likeQuery, $likeQuery],
+        $filterParams,
         [$perPage, $offset]
     );
     
@@ -2176,19 +2444,24 @@ function searchWithFulltext(
         unset($item['relevance'], $item['ft_score']);
     }
     
-    // Attach categories and tags
+    // Attach categories, tags and images
     if (function_exists('attachCategoriesToFurniture')) {
         $items = attachCategoriesToFurniture($pdo, $items);
     }
     if (function_exists('attachTagsToFurniture')) {
         $items = attachTagsToFurniture($pdo, $items);
     }
+    if (function_exists('attachImagesToFurniture')) {
+        $items = attachImagesToFurniture($pdo, $items);
+    }
     
     return ['items' => $items, 'total' => $total];
 }
 
 /**
  * Search using LIKE (fallback when FULLTEXT not available)
+ * 
+ * Accepts the same optional $filterSql / $filterParams as searchWithFulltext().
  */
 function searchWithLike(
     PDO $pdo,
@@ -2197,19 +2470,26 @@ function searchWithLike(
     string $favoritesJoin,
     array $favoritesParams,
     int $perPage,
-    int $offset
+    int $offset,
+    string $filterSql = '',
+    array $filterParams = []
 ): array {
     // Build OR conditions for all terms
     $searchConditions = [];
     $searchParams = [];
     
     foreach ($searchTerms as $term) {
-        $termLike = '%' . $term . '%';
+        $termLike = '%' . escapeLikeValue($term) . '%';
         $searchConditions[] = "(f.name LIKE ? OR c_search.name LIKE ? OR t.name LIKE ?)";
         $searchParams = array_merge($searchParams, [$termLike, $termLike, $termLike]);
     }
     
-    $searchWhere = '(' . implode(' OR ', $searchConditions) . ')';
+    // No terms means an operators-only query: match everything the filters allow
+    $searchWhere = empty($searchConditions) ? '(1 = 1)' : '(' . implode(' OR ', $searchConditions) . ')';
+    if ($filterSql !== '') {
+        $searchWhere .= " AND ({$filterSql})";
+        $searchParams = array_merge($searchParams, $filterParams);
+    }
     
     // Count query
     $countSql = "
@@ -2229,7 +2509,7 @@ function searchWithLike(
     $total = (int) $stmt->fetchColumn();
     
     // Main query with relevance scoring
-    $primaryLike = '%' . $originalQuery . '%';
+    $primaryLike = '%' . escapeLikeValue($originalQuery) . '%';
     
     $sql = "
         SELECT DISTINCT f.id, f.name, f.price, f.image_url, f.created_at,
@@ -2267,17 +2547,111 @@ function searchWithLike(
         unset($item['relevance']);
     }
     
-    // Attach categories and tags
+    // Attach categories, tags and images
     if (function_exists('attachCategoriesToFurniture')) {
         $items = attachCategoriesToFurniture($pdo, $items);
     }
     if (function_exists('attachTagsToFurniture')) {
         $items = attachTagsToFurniture($pdo, $items);
     }
+    if (function_exists('attachImagesToFurniture')) {
+        $items = attachImagesToFurniture($pdo, $items);
+    }
     
     return ['items' => $items, 'total' => $total];
 }
 
+// ============================================
+// SEARCH SUGGESTIONS (Autocomplete)
+// ============================================
+
+/**
+ * Get lightweight search-as-you-type suggestions
+ * 
+ * Uses the same query expansion as searchFurnitureEnhanced() (French translation
+ * and synonyms), but only matches names and skips counting, analytics and
+ * category/tag attachment so it stays cheap enough to call on every keystroke.
+ * 
+ * @param PDO $pdo Database connection
+ * @param string $query Partial search query
+ * @param int $limit Maximum suggestions per type
+ * @return array{furniture: array, categories: array, tags: array, did_you_mean: string|null}
+ */
+function getSearchSuggestions(PDO $pdo, string $query, int $limit = 5): array
+{
+    $query = strtolower(trim($query));
+    $limit = min(max(1, $limit), 10);
+    
+    $suggestions = [
+        'furniture' => [],
+        'categories' => [],
+        'tags' => [],
+        'did_you_mean' => null,
+    ];
+    
+    if (strlen($query) < 2) {
+        return $suggestions;
+    }
+    
+    SynonymManager::init($pdo);
+    $expanded = tokenizeAndExpandQuery($query, 10, false, true);
+    $terms = array_values(array_unique(array_filter(
+        array_merge([$query], $expanded['terms']),
+        fn($term) => strlen($term) >= 2
+    )));
+    
+    $nameConditions = implode(' OR ', array_fill(0, count($terms), 'name LIKE ?'));
+    $termLikes = array_map(fn($term) => '%' . escapeLikeValue($term) . '%', $terms);
+    $prefixLike = escapeLikeValue($query) . '%';
+    $containsLike = '%' . escapeLikeValue($query) . '%';
+    
+    // Furniture: prefix matches first, then anything containing the typed text, then synonym matches
+    $stmt = $pdo->prepare("
+        SELECT id, name, price, image_url
+        FROM furniture
+        WHERE {$nameConditions}
+        ORDER BY CASE WHEN name LIKE ? THEN 1 WHEN name LIKE ? THEN 2 ELSE 3 END, name ASC
+        LIMIT ?
+    ");
+    $stmt->execute(array_merge($termLikes, [$prefixLike, $containsLike, $limit]));
+    $suggestions['furniture'] = array_map(function ($row) {
+        $row['id'] = (int) $row['id'];
+        $row['price'] = (int) $row['price'];
+        return $row;
+    }, $stmt->fetchAll(PDO::FETCH_ASSOC));
+    
+    $stmt = $pdo->prepare("
+        SELECT id, name, slug, icon
+        FROM categories
+        WHERE {$nameConditions}
+        ORDER BY CASE WHEN name LIKE ? THEN 1 ELSE 2 END, sort_order ASC, name ASC
+        LIMIT ?
+    ");
+    $stmt->execute(array_merge($termLikes, [$prefixLike, $limit]));
+    $suggestions['categories'] = $stmt->fetchAll(PDO::FETCH_ASSOC);
+    
+    $stmt = $pdo->prepare("
+        SELECT id, name, slug, color
+        FROM tags
+        WHERE {$nameConditions}
+        ORDER BY CASE WHEN name LIKE ? THEN 1 ELSE 2 END, name ASC
+        LIMIT ?
+    ");
+    $stmt->execute(array_merge($termLikes, [$prefixLike, $limit]));
+    $suggestions['tags'] = $stmt->fetchAll(PDO::FETCH_ASSOC);
+    
+    // Nothing matched at all: offer a typo correction, as the full search does
+    if (empty($suggestions['furniture']) && empty($suggestions['categories']) && empty($suggestions['tags'])) {
+        $words = preg_split('/\s+/', $query, -1, PREG_SPLIT_NO_EMPTY);
+        if (count($words) === 1 && strlen($words[0]) >= 3) {
+            $matches = getFuzzyMatchesForTerm($words[0]);
+            $suggestions['did_you_mean'] = $matches[0]['term'] ?? null;
+        }
+    }
+    
+    return $suggestions;
+}
+
 // ============================================
 // SYNONYM MANAGEMENT (Admin)
 // ============================================
@@ -232,11 +232,14 @@ function approveSubmission(PDO $pdo, int $submissionId, int $adminId): bool
             $furnitureId = $submission['furniture_id'];
         }
         
-        // Process image if URL provided
+        // Process images if URLs provided
+        $processor = new ImageProcessor();
         if ($furnitureId && !empty($data['image_url'])) {
-            $processor = new ImageProcessor();
             $processor->processFurnitureImage($pdo, $furnitureId, $data['image_url']);
         }
+        if ($furnitureId && !empty($data['gallery_urls'])) {
+            $processor->processFurnitureGallery($pdo, $furnitureId, $data['gallery_urls']);
+        }
         
         // Update submission status
         $stmt = $pdo->prepare('
@@ -371,6 +374,19 @@ function validateSubmissionInput(array $input, string $type): array
         $data['image_url'] = $imageUrlResult['data'];
     }
     
+    // Gallery images validation
+    if (isset($input['gallery_urls']) && (is_array($input['gallery_urls']) || is_string($input['gallery_urls']))) {
+        $galleryResult = Validator::galleryUrls($input['gallery_urls'], $data['image_url'] ?? null);
+        if (!$galleryResult['valid']) {
+            $errors['gallery_urls'] = $galleryResult['error'];
+        } else {
+            $data['gallery_urls'] = $galleryResult['data'];
+            if (empty($data['image_url']) && !empty($data['gallery_urls'])) {
+                $data['image_url'] = array_shift($data['gallery_urls']);
+            }
+        }
+    }
+    
     // Tags validation
     if (isset($input['tags']) && is_array($input['tags'])) {
         $tagsResult = Validator::tags($input['tags']);
@@ -137,6 +137,41 @@ class Validator
         return ['valid' => false, 'error' => 'Image must be a relative path in /images/ directory or a valid HTTP/HTTPS URL', 'data' => null];
     }
 
+    /**
+     * Validate the gallery images shown after a furniture item's main image
+     * 
+     * Accepts an array or one URL per line (textarea). Each URL is checked
+     * with imageUrl(); blank lines, duplicates and the main image itself are
+     * dropped and the order is kept.
+     * 
+     * @param array|string $urls The gallery image URLs to validate
+     * @param string|null $mainImageUrl The item's main image URL
+     * @return array{valid: bool, error: string|null, data: array<string>}
+     */
+    public static function galleryUrls(array|string $urls, ?string $mainImageUrl = null): array
+    {
+        if (is_string($urls)) {
+            $urls = preg_split('/\R/', $urls);
+        }
+        
+        $gallery = [];
+        foreach ($urls as $url) {
+            $result = self::imageUrl((string) $url);
+            if (!$result['valid']) {
+                return ['valid' => false, 'error' => $result['error'], 'data' => []];
+            }
+            if ($result['data'] !== null && $result['data'] !== $mainImageUrl && !in_array($result['data'], $gallery, true)) {
+                $gallery[] = $result['data'];
+            }
+        }
+        
+        if (count($gallery) > MAX_FURNITURE_IMAGES - 1) {
+            return ['valid' => false, 'error' => 'A furniture item can have at most ' . MAX_FURNITURE_IMAGES . ' images', 'data' => []];
+        }
+        
+        return ['valid' => true, 'error' => null, 'data' => $gallery];
+    }
+
     /**
      * Validate tags array
      * 
@@ -174,6 +209,110 @@ class Validator
         return ['valid' => true, 'error' => null, 'data' => $name];
     }
 
+    /**
+     * Validate collection section name
+     * 
+     * @param string $name The section name to validate
+     * @return array{valid: bool, error: string|null, data: string|null}
+     */
+    public static function sectionName(string $name): array
+    {
+        $name = trim($name);
+        
+        if ($name === '') {
+            return ['valid' => false, 'error' => 'Section name is required', 'data' => null];
+        }
+        
+        if (mb_strlen($name) > 100) {
+            return ['valid' => false, 'error' => 'Section name must be 100 characters or less', 'data' => null];
+        }
+        
+        return ['valid' => true, 'error' => null, 'data' => $name];
+    }
+
+    /**
+     * Validate an optional collection budget
+     * 
+     * An empty value is valid and removes the budget (data null).
+     * 
+     * @param mixed $budget The budget to validate (form string or number)
+     * @return array{valid: bool, error: string|null, data: int|null}
+     */
+    public static function collectionBudget(mixed $budget): array
+    {
+        $budget = is_string($budget) ? trim(str_replace(',', '', $budget)) : $budget;
+        
+        if ($budget === null || $budget === '') {
+            return ['valid' => true, 'error' => null, 'data' => null];
+        }
+        
+        if (!is_numeric($budget) || (int) $budget < 0 || (int) $budget > MAX_COLLECTION_BUDGET) {
+            return ['valid' => false, 'error' => 'Budget must be a whole number between 0 and ' . number_format(MAX_COLLECTION_BUDGET), 'data' => null];
+        }
+        
+        return ['valid' => true, 'error' => null, 'data' => (int) $budget];
+    }
+
+    /**
+     * Validate saved search name
+     * 
+     * @param string $name The saved search name to validate
+     * @return array{valid: bool, error: string|null, data: string|null}
+     */
+    public static function savedSearchName(string $name): array
+    {
+        $name = trim($name);
+        
+        if ($name === '') {
+            return ['valid' => false, 'error' => 'Search name is required', 'data' => null];
+        }
+        
+        if (mb_strlen($name) > 100) {
+            return ['valid' => false, 'error' => 'Search name must be 100 characters or less', 'data' => null];
+        }
+        
+        return ['valid' => true, 'error' => null, 'data' => $name];
+    }
+
+    /**
+     * Validate a private favorite note
+     * 
+     * Whitespace (including line breaks) is collapsed so the note fits on one export line.
+     * An empty note is valid and clears the note (data null).
+     * 
+     * @param string $note The note to validate
+     * @return array{valid: bool, error: string|null, data: string|null}
+     */
+    public static function favoriteNote(string $note): array
+    {
+        $note = trim(preg_replace('/\s+/u', ' ', $note) ?? '');
+        
+        if ($note === '') {
+            return ['valid' => true, 'error' => null, 'data' => null];
+        }
+        
+        if (mb_strlen($note) > MAX_FAVORITE_NOTE_LENGTH) {
+            return ['valid' => false, 'error' => 'Note must be ' . MAX_FAVORITE_NOTE_LENGTH . ' characters or less', 'data' => null];
+        }
+        
+        return ['valid' => true, 'error' => null, 'data' => $note];
+    }
+
+    /**
+     * Validate a wanted quantity (favorites and collection items)
+     * 
+     * @param int $quantity The quantity to validate
+     * @return array{valid: bool, error: string|null, data: int|null}
+     */
+    public static function quantity(int $quantity): array
+    {
+        if ($quantity < 1 || $quantity > MAX_ITEM_QUANTITY) {
+            return ['valid' => false, 'error' => 'Quantity must be between 1 and ' . MAX_ITEM_QUANTITY, 'data' => null];
+        }
+        
+        return ['valid' => true, 'error' => null, 'data' => $quantity];
+    }
+
     /**
      * Validate username
      * 
@@ -226,6 +365,37 @@ class Validator
         return ['valid' => true, 'error' => null, 'data' => $id];
     }
 
+    /**
+     * Validate a list of furniture IDs for bulk operations
+     * 
+     * Drops invalid and duplicate IDs, keeping the original order.
+     * 
+     * @param array $ids The furniture IDs to validate
+     * @param int $maxCount Maximum number of IDs allowed
+     * @return array{valid: bool, error: string|null, data: array<int>}
+     */
+    public static function furnitureIds(array $ids, int $maxCount = MAX_BULK_ITEMS): array
+    {
+        $validIds = [];
+        foreach ($ids as $id) {
+            $id = (int) $id;
+            if (self::furnitureId($id)['valid']) {
+                $validIds[$id] = $id;
+            }
+        }
+        $validIds = array_values($validIds);
+        
+        if (empty($validIds)) {
+            return ['valid' => false, 'error' => 'No valid furniture IDs given', 'data' => []];
+        }
+        
+        if (count($validIds) > $maxCount) {
+            return ['valid' => false, 'error' => "Too many items (maximum {$maxCount})", 'data' => []];
+        }
+        
+        return ['valid' => true, 'error' => null, 'data' => $validIds];
+    }
+
     /**
      * Validate category name
      * 
@@ -370,6 +540,20 @@ class Validator
             $data['image_url'] = $imageUrlResult['data'];
         }
         
+        // Gallery images validation (optional, kept as is when not sent)
+        if (isset($input['gallery_urls']) && (is_array($input['gallery_urls']) || is_string($input['gallery_urls']))) {
+            $galleryResult = self::galleryUrls($input['gallery_urls'], $data['image_url'] ?? null);
+            if (!$galleryResult['valid']) {
+                $errors['gallery_urls'] = $galleryResult['error'];
+            } else {
+                $data['gallery_urls'] = $galleryResult['data'];
+                // Cards show the main image, so a gallery never starts without one
+                if (empty($data['image_url']) && !empty($data['gallery_urls'])) {
+                    $data['image_url'] = array_shift($data['gallery_urls']);
+                }
+            }
+        }
+        
         // Tags validation (optional)
         if (isset($input['tags'])) {
             $tagsResult = self::tags($input['tags']);
@@ -44,11 +44,20 @@ require_once __DIR__ . '/templates/header.php';
                     placeholder="<?= e(__('search.placeholder')) ?>" 
                     aria-label="<?= e(__('search.placeholder')) ?>"
                     autocomplete="off"
+                    role="combobox"
+                    aria-autocomplete="list"
+                    aria-expanded="false"
+                    aria-controls="search-autocomplete"
                 >
+                <div id="search-autocomplete" class="autocomplete-dropdown" role="listbox" aria-label="<?= e(__('autocomplete.label')) ?>"></div>
             </div>
+            <div id="search-chips" class="search-chips" aria-live="polite" hidden></div>
             <p class="search-hint">
                 <?= e(__('search.hint')) ?>
             </p>
+            <p class="search-hint search-syntax-hint">
+                <?= e(__('search.syntax_hint')) ?>
+            </p>
         </div>
     </section>
 
@@ -75,10 +84,53 @@ require_once __DIR__ . '/templates/header.php';
                     </select>
                 </div>
                 
-                <?php if ($currentUser): ?>
+                <div class="filter-group price-filter">
+                    <label for="price-min"><?= e(__('filter.price')) ?></label>
+                    <input 
+                        type="number" 
+                        id="price-min" 
+                        class="price-input" 
+                        min="0" 
+                        step="1" 
+                        inputmode="numeric"
+                        placeholder="<?= e(__('filter.price_min')) ?>" 
+                        aria-label="<?= e(__('filter.price_min_label')) ?>"
+                    >
+                    <div id="price-slider" class="price-slider">
+                        <div class="price-slider-track"></div>
+                        <input type="range" id="price-range-min" min="0" max="0" step="1" value="0" aria-label="<?= e(__('filter.price_min_label')) ?>">
+                        <input type="range" id="price-range-max" min="0" max="0" step="1" value="0" aria-label="<?= e(__('filter.price_max_label')) ?>">
+                    </div>
+                    <input 
+                        type="number" 
+                        id="price-max" 
+                        class="price-input" 
+                        min="0" 
+                        step="1" 
+                        inputmode="numeric"
+                        placeholder="<?= e(__('filter.price_max')) ?>" 
+                        aria-label="<?= e(__('filter.price_max_label')) ?>"
+                    >
+                </div>
+                
+                <!-- Guests filter their local favorites client-side (App.loadGuestFavoritesPage) -->
                 <button type="button" id="favorites-only" class="btn-favorites-filter" aria-pressed="false">
                     ❤️ <?= e(__('filter.favorites_only')) ?>
                 </button>
+                
+                <button type="button" id="select-mode" class="btn-select-mode" aria-pressed="false" title="<?= e(__('selection.mode_hint')) ?>">
+                    ☑️ <?= e(__('selection.mode')) ?>
+                </button>
+                
+                <?php if ($currentUser): ?>
+                <div id="saved-searches" class="saved-searches">
+                    <button type="button" id="saved-searches-toggle" class="btn-saved-searches" aria-haspopup="true" aria-expanded="false">
+                        🔖 <?= e(__('saved_searches.menu')) ?>
+                    </button>
+                    <div id="saved-searches-panel" class="saved-searches-panel" hidden>
+                        <!-- Populated by JavaScript -->
+                    </div>
+                </div>
                 <?php endif; ?>
                 
                 <button type="button" id="clear-filters" class="btn-clear-filters" style="display: none;">
@@ -118,6 +170,16 @@ require_once __DIR__ . '/templates/header.php';
             </div>
         </div>
     </section>
+    
+    <!-- Compare Tray -->
+    <div id="compare-tray" class="compare-tray" aria-label="<?= e(__('compare.tray_label')) ?>" aria-live="polite" hidden>
+        <!-- Populated by JavaScript -->
+    </div>
+    
+    <!-- Bulk Selection Bar -->
+    <div id="selection-bar" class="selection-bar" aria-label="<?= e(__('selection.bar_label')) ?>" aria-live="polite" hidden>
+        <!-- Populated by JavaScript -->
+    </div>
 <?php endif; ?>
 
 <?php require_once __DIR__ . '/templates/footer.php'; ?>
@@ -8,10 +8,20 @@
  * - Tag filtering
  * - Favorites management
  * - URL state persistence
+ * - Paged or infinite scroll grid
+ * - Virtualized rendering for large result sets
+ * - Side-by-side compare tray
+ * - Multi-select with bulk actions
+ * - Saved searches (logged-in users)
+ * - Search-as-you-type autocomplete
+ * - Search query syntax (phrases, exclusions, field prefixes) shown as chips
+ * - Search match highlighting, including synonym and translated matches
+ * - Cached catalog responses (GTAW.cache), revalidated in the background
  */
 
 // Application constants
 const DEBOUNCE_DELAY_SEARCH = 300; // Milliseconds to wait before triggering search
+const DEBOUNCE_DELAY_AUTOCOMPLETE = 150; // Suggestions should appear before the grid reloads
 
 const App = {
     // Application state
@@ -21,16 +31,37 @@ const App = {
         tags: [],        // flat list
         tagGroups: [],   // grouped structure { groups: [...], ungrouped: [...] }
         favorites: new Set(),
+        favoriteDetails: new Map(), // id => { note, quantity } for the user's favorites
         filters: {
             category: null,
             tags: [],
             search: '',
             sort: 'name',
             order: 'asc',
-            favoritesOnly: false
+            favoritesOnly: false,
+            priceMin: null,
+            priceMax: null
         },
+        priceRange: { min: 0, max: 0 }, // catalog-wide bounds for the price slider
+        compare: {
+            ids: [],    // selected furniture IDs, in selection order
+            items: {}   // id => item data, kept across page changes
+        },
+        selection: {
+            active: false,
+            ids: new Set(),
+            lastIndex: null // index in state.furniture of the last toggled card, for shift-click ranges
+        },
+        savedSearches: [], // the user's saved filter combinations (server-side)
         currentFurnitureForCollection: null,
         searchMeta: null, // Search metadata (synonym expansion info)
+        highlightTerms: { literal: [], expanded: [] }, // terms to mark in titles for the current search
+        autocomplete: {
+            items: [],       // flattened suggestions: { type, label, value, ... }
+            activeIndex: -1,
+            query: '',       // free text the suggestions were fetched for
+            operators: ''    // query syntax tokens typed alongside it
+        },
         pagination: {
             page: 1,
             per_page: (window.GTAW_SETTINGS?.items_per_page) || 24,
@@ -43,15 +74,30 @@ const App = {
         lightbox: {
             isOpen: false,
             currentIndex: -1,
-            isNavigating: false
+            relatedItem: null,     // similar item shown outside state.furniture (see showRelatedItem())
+            isLoadingPage: false,  // crossing into another page of results
+            loadToken: 0           // bumped per navigation so stale image loads are dropped
+        },
+        infiniteScroll: {
+            enabled: false,
+            loadingMore: false,
+            failed: false   // the last "Load more" failed; wait for an explicit retry
+        },
+        virtualGrid: {
+            enabled: false,
+            columns: 1,
+            rowHeight: 0,   // card height + row gap, in pixels
+            startIndex: -1, // rendered slice of state.furniture
+            endIndex: -1
         }
     },
 
-    // Cache settings (TTL in milliseconds)
-    // Note: Cache keys are versioned to invalidate when structure changes
-    cacheConfig: {
-        categories: { key: 'gtaw_categories_v2', ttl: 5 * 60 * 1000 }, // 5 minutes
-        tags: { key: 'gtaw_tags_grouped_v2', ttl: 5 * 60 * 1000 }     // Changed from flat to grouped
+    // Lightbox image preloading
+    lightboxPreload: {
+        distance: 3,       // items preloaded on each side of the current one
+        repeatDelay: 120,  // ms an image waits while an arrow key is held down
+        images: new Map(), // url -> Image, kept so the browser doesn't drop them
+        timer: null
     },
 
     // Recently viewed settings
@@ -60,9 +106,47 @@ const App = {
         maxItems: 15
     },
 
+    // Guest favorites (localStorage until merged into an account)
+    guestFavoritesConfig: {
+        key: 'gtaw_guest_favorites',
+        maxItems: 100, // Merged in one favorites/bulk request (MAX_BULK_ITEMS)
+        batchSize: 20  // furniture/batch limit
+    },
+
+    // Infinite scroll settings
+    infiniteScrollConfig: {
+        key: 'gtaw_scroll_mode',
+        rootMargin: 600 // Start loading the next page this many pixels before the end
+    },
+
+    // Compare tray settings
+    compareConfig: {
+        maxItems: 4
+    },
+
+    // Autocomplete settings
+    autocompleteConfig: {
+        minLength: 2,
+        limit: 5 // Per suggestion type
+    },
+
+    // Multi-select settings
+    selectionConfig: {
+        maxItems: 100 // Matches MAX_BULK_ITEMS on the server
+    },
+
+    // Virtualized grid settings
+    virtualGridConfig: {
+        threshold: 60,  // Only window the grid above this many loaded items
+        overscanRows: 3 // Extra rows kept above and below the viewport
+    },
+
     // DOM element cache
     elements: {},
 
+    // In-flight AbortControllers by api() channel
+    _requestControllers: {},
+
     /**
      * Initialize the application
      */
@@ -71,6 +155,9 @@ const App = {
         this.initTheme();
         this.bindEvents();
         this.bindLightboxEvents();
+        this.bindFavoriteDetailsEvents();
+        this.initInfiniteScroll();
+        this.initVirtualGrid();
         this.showSkeletonLoading();
 
         this.parseUrlParams();
@@ -78,10 +165,16 @@ const App = {
         await Promise.all([
             this.loadCategories(),
             this.loadTags(),
+            this.loadPriceRange(),
+            this.loadCompareItems(),
             this.checkAuth()
         ]);
 
+        // Not awaited: the grid doesn't depend on it
+        this.loadSavedSearches();
+
         await this.loadFurniture();
+        this.handleCompareLink();
     },
 
     /**
@@ -143,29 +236,46 @@ const App = {
             grid: document.getElementById('furniture-grid'),
             searchInput: document.getElementById('search-input'),
             searchContainer: document.querySelector('.search-container'),
+            autocomplete: document.getElementById('search-autocomplete'),
+            searchChips: document.getElementById('search-chips'),
             categorySelect: document.getElementById('category-filter'),
             sortSelect: document.getElementById('sort-filter'),
             favoritesOnlyBtn: document.getElementById('favorites-only'),
+            priceMinInput: document.getElementById('price-min'),
+            priceMaxInput: document.getElementById('price-max'),
+            priceSlider: document.getElementById('price-slider'),
+            priceRangeMin: document.getElementById('price-range-min'),
+            priceRangeMax: document.getElementById('price-range-max'),
             tagFiltersContainer: document.getElementById('tag-filters-container'),
             activeTags: document.getElementById('active-tags'),
             activeTagsList: document.getElementById('active-tags-list'),
             clearFiltersBtn: document.getElementById('clear-filters'),
             pagination: document.getElementById('pagination'),
+            compareTray: document.getElementById('compare-tray'),
+            selectModeBtn: document.getElementById('select-mode'),
+            selectionBar: document.getElementById('selection-bar'),
+            savedSearches: document.getElementById('saved-searches'),
+            savedSearchesToggle: document.getElementById('saved-searches-toggle'),
+            savedSearchesPanel: document.getElementById('saved-searches-panel'),
             loadingOverlay: document.getElementById('loading'),
             toastContainer: document.getElementById('toast-container'),
             themeToggle: document.getElementById('theme-toggle'),
             // Lightbox elements
             lightbox: document.getElementById('lightbox'),
             lightboxImage: document.getElementById('lightbox-image'),
+            lightboxGallery: document.getElementById('lightbox-gallery'),
             lightboxTitle: document.getElementById('lightbox-title'),
             lightboxMeta: document.getElementById('lightbox-meta'),
             lightboxTags: document.getElementById('lightbox-tags'),
             lightboxCopy: document.getElementById('lightbox-copy'),
             lightboxFavorite: document.getElementById('lightbox-favorite'),
+            lightboxFavoriteDetails: document.getElementById('lightbox-favorite-details'),
             lightboxEdit: document.getElementById('lightbox-edit'),
             lightboxShare: document.getElementById('lightbox-share'),
             lightboxAddCollection: document.getElementById('lightbox-add-collection'),
             lightboxSuggestEdit: document.getElementById('lightbox-suggest-edit'),
+            lightboxSimilar: document.getElementById('lightbox-similar'),
+            lightboxSimilarGrid: document.getElementById('lightbox-similar-grid'),
             lightboxClose: document.querySelector('.lightbox-close'),
             lightboxPrev: document.querySelector('.lightbox-nav.prev'),
             lightboxNext: document.querySelector('.lightbox-nav.next')
@@ -176,15 +286,18 @@ const App = {
      * Bind event listeners
      */
     bindEvents() {
+        // Queued writes the server rejected after all
+        document.addEventListener('gtaw:mutation-failed', (e) => this.handleMutationFailed(e.detail));
+
         // Search with debounce and visual feedback
-        let searchTimeout;
         this.elements.searchInput?.addEventListener('input', (e) => {
-            clearTimeout(searchTimeout);
+            clearTimeout(this._searchTimeout);
             
             // Show searching state
             this.elements.searchContainer?.classList.add('searching');
+            this.renderSearchChips();
             
-            searchTimeout = setTimeout(() => {
+            this._searchTimeout = setTimeout(() => {
                 this.elements.searchContainer?.classList.remove('searching');
                 this.state.filters.search = e.target.value.trim();
                 this.state.pagination.page = 1;
@@ -193,6 +306,16 @@ const App = {
             }, DEBOUNCE_DELAY_SEARCH);
         });
 
+        this.bindAutocompleteEvents();
+
+        // Remove a query syntax chip
+        this.elements.searchChips?.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.search-chip-remove');
+            if (removeBtn) {
+                this.removeSearchChip(parseInt(removeBtn.dataset.index, 10));
+            }
+        });
+
         // Theme toggle
         this.elements.themeToggle?.addEventListener('click', () => {
             this.toggleTheme();
@@ -233,6 +356,14 @@ const App = {
             this.clearAllFilters();
         });
 
+        // Multi-select mode toggle
+        this.elements.selectModeBtn?.addEventListener('click', () => {
+            this.toggleSelectMode();
+        });
+
+        this.bindPriceFilterEvents();
+        this.bindSavedSearchEvents();
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             // Press '/' to focus search
@@ -241,23 +372,32 @@ const App = {
                 this.elements.searchInput?.focus();
             }
 
-            // Press Escape to blur search or close lightbox
+            // Press Escape to blur search, close lightbox or leave selection mode
             if (e.key === 'Escape') {
                 if (this.state.lightbox.isOpen) {
                     this.closeLightbox();
                 } else if (document.activeElement === this.elements.searchInput) {
                     this.elements.searchInput.blur();
+                } else if (this.state.selection.active && !document.querySelector('.modal-overlay.active')) {
+                    this.toggleSelectMode(false);
                 }
             }
 
-            // Lightbox navigation
-            if (this.state.lightbox.isOpen) {
+            // Ctrl/Cmd+A selects every loaded card while in selection mode
+            if ((e.ctrlKey || e.metaKey) && (e.key === 'a' || e.key === 'A') &&
+                this.state.selection.active && !this.isInputFocused() && !this.state.lightbox.isOpen) {
+                e.preventDefault();
+                this.selectAll();
+            }
+
+            // Lightbox navigation (not while typing a favorite note)
+            if (this.state.lightbox.isOpen && !this.isInputFocused()) {
                 if (e.key === 'ArrowLeft') {
                     e.preventDefault();
-                    this.lightboxPrev();
+                    this.lightboxPrev(e.repeat);
                 } else if (e.key === 'ArrowRight') {
                     e.preventDefault();
-                    this.lightboxNext();
+                    this.lightboxNext(e.repeat);
                 } else if (e.key === 'c' || e.key === 'C') {
                     // Copy command from lightbox
                     const name = this.elements.lightboxCopy?.dataset.name;
@@ -282,9 +422,19 @@ const App = {
         this.elements.grid?.addEventListener('click', (e) => {
             const copyBtn = e.target.closest('.btn-copy');
             const favBtn = e.target.closest('.btn-favorite');
+            const compareBtn = e.target.closest('.btn-compare');
+            const selectBtn = e.target.closest('.card-select');
             const cardImage = e.target.closest('.card-image');
 
-            if (copyBtn) {
+            if (selectBtn) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.toggleSelection(parseInt(selectBtn.dataset.id, 10), e.shiftKey);
+            } else if (compareBtn) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.toggleCompare(parseInt(compareBtn.dataset.id, 10));
+            } else if (copyBtn) {
                 e.preventDefault();
                 e.stopPropagation();
                 this.copyCommand(copyBtn.dataset.name);
@@ -296,7 +446,12 @@ const App = {
                 const card = cardImage.closest('.furniture-card');
                 if (card) {
                     e.preventDefault();
-                    this.openLightbox(parseInt(card.dataset.id, 10));
+                    // In selection mode the image acts as a large checkbox
+                    if (this.state.selection.active) {
+                        this.toggleSelection(parseInt(card.dataset.id, 10), e.shiftKey);
+                    } else {
+                        this.openLightbox(parseInt(card.dataset.id, 10));
+                    }
                 }
             }
         });
@@ -322,6 +477,16 @@ const App = {
                 }
             }
 
+            // Press Space to toggle selection while in selection mode
+            if (e.key === ' ' && this.state.selection.active) {
+                e.preventDefault();
+                const id = parseInt(card.dataset.id, 10);
+                if (id) {
+                    this.toggleSelection(id, e.shiftKey);
+                }
+                return;
+            }
+
             // Press Enter or Space to open lightbox
             if (e.key === 'Enter' || e.key === ' ') {
                 e.preventDefault();
@@ -336,6 +501,7 @@ const App = {
         window.addEventListener('popstate', () => {
             this.parseUrlParams();
             this.loadFurniture();
+            this.loadCompareItems();
             this.syncFiltersToUI();
         });
     },
@@ -349,6 +515,20 @@ const App = {
             return;
         }
         
+        // Zoom/pan, touch gestures and image thumbnails (CollectionPage attaches its own)
+        window.GTAW.lightboxZoom.attach(
+            this.elements.lightbox?.querySelector('.lightbox-image-container'),
+            this.elements.lightboxImage,
+            () => this.state.lightbox.isOpen
+        );
+        window.GTAW.lightboxSwipe.attach(this.elements.lightbox, {
+            isActive: () => this.state.lightbox.isOpen,
+            onPrev: () => this.lightboxPrev(),
+            onNext: () => this.lightboxNext(),
+            onClose: () => this.closeLightbox()
+        });
+        window.GTAW.lightboxGallery.attach(this.elements.lightboxGallery, this.elements.lightboxImage);
+        
         // Close button
         this.elements.lightboxClose?.addEventListener('click', () => {
             this.closeLightbox();
@@ -361,6 +541,14 @@ const App = {
             }
         });
 
+        // Similar items jump the lightbox to that item (links stay usable for new tabs)
+        this.elements.lightboxSimilarGrid?.addEventListener('click', (e) => {
+            const link = e.target.closest('.similar-item');
+            if (!link || e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) return;
+            e.preventDefault();
+            this.showRelatedItem(parseInt(link.dataset.id, 10));
+        });
+
         // Navigation buttons
         this.elements.lightboxPrev?.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -400,7 +588,7 @@ const App = {
         // Add to Collection button in lightbox
         this.elements.lightboxAddCollection?.addEventListener('click', (e) => {
             e.stopPropagation();
-            const item = this.state.furniture[this.state.lightbox.currentIndex];
+            const item = this.getLightboxItem();
             if (item) {
                 this.openCollectionModal(item.id);
             }
@@ -409,7 +597,7 @@ const App = {
         // Suggest Edit button in lightbox
         this.elements.lightboxSuggestEdit?.addEventListener('click', (e) => {
             e.stopPropagation();
-            const item = this.state.furniture[this.state.lightbox.currentIndex];
+            const item = this.getLightboxItem();
             if (item) {
                 // Navigate to suggest edit page
                 window.location.href = `/dashboard/?page=submissions&action=new&furniture_id=${item.id}`;
@@ -439,14 +627,20 @@ const App = {
 
     /**
      * Navigate grid using arrow keys
+     * 
+     * In virtualized mode only part of the grid is in the DOM, so positions
+     * are resolved against state.furniture instead of the rendered cards.
      */
     navigateGrid(currentCard, direction) {
-        const cards = Array.from(this.elements.grid?.querySelectorAll('.furniture-card') || []);
-        const currentIndex = cards.indexOf(currentCard);
+        const virtual = this.state.virtualGrid.enabled;
+        const cards = virtual ? [] : Array.from(this.elements.grid?.querySelectorAll('.furniture-card') || []);
+        const total = virtual ? this.state.furniture.length : cards.length;
+        const currentIndex = virtual
+            ? this.state.furniture.findIndex(f => f.id === parseInt(currentCard.dataset.id, 10))
+            : cards.indexOf(currentCard);
         if (currentIndex === -1) return;
 
-        const gridStyle = window.getComputedStyle(this.elements.grid);
-        const columns = gridStyle.gridTemplateColumns.split(' ').length;
+        const columns = virtual ? this.state.virtualGrid.columns : this.getGridColumns();
 
         let nextIndex;
         switch (direction) {
@@ -454,24 +648,36 @@ const App = {
                 nextIndex = currentIndex > 0 ? currentIndex - 1 : currentIndex;
                 break;
             case 'ArrowRight':
-                nextIndex = currentIndex < cards.length - 1 ? currentIndex + 1 : currentIndex;
+                nextIndex = currentIndex < total - 1 ? currentIndex + 1 : currentIndex;
                 break;
             case 'ArrowUp':
                 nextIndex = currentIndex >= columns ? currentIndex - columns : currentIndex;
                 break;
             case 'ArrowDown':
-                nextIndex = currentIndex + columns < cards.length ? currentIndex + columns : currentIndex;
+                nextIndex = currentIndex + columns < total ? currentIndex + columns : currentIndex;
                 break;
             default:
                 return;
         }
 
-        if (nextIndex !== currentIndex && cards[nextIndex]) {
-            cards[nextIndex].focus();
-            cards[nextIndex].scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        if (nextIndex === currentIndex) return;
+
+        const nextCard = virtual ? this.getVirtualCard(nextIndex) : cards[nextIndex];
+        if (nextCard) {
+            nextCard.focus();
+            nextCard.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
         }
     },
 
+    /**
+     * Count the columns of the furniture grid as laid out by CSS
+     */
+    getGridColumns() {
+        if (!this.elements.grid) return 1;
+        const gridStyle = window.getComputedStyle(this.elements.grid);
+        return Math.max(1, gridStyle.gridTemplateColumns.split(' ').length);
+    },
+
     /**
      * Get CSRF token from shared helper
      */
@@ -481,9 +687,17 @@ const App = {
 
     /**
      * API helper
+     * Pass options.endpoint to call another API script (e.g. '/dashboard/api.php')
+     *
+     * Pass options.channel to make requests on that channel last-request-wins:
+     * starting one aborts the previous, which then rejects with an AbortError
+     * (see isAbortError()).
+     *
+     * Pass options.cache for GET requests to serve a cached response instantly
+     * (GTAW.cache); options.onUpdate(result) runs if revalidation finds new data.
      */
     async api(action, options = {}) {
-        const url = new URL('/api.php', window.location.origin);
+        const url = new URL(options.endpoint || '/api.php', window.location.origin);
         url.searchParams.set('action', action);
 
         if (options.params) {
@@ -517,8 +731,19 @@ const App = {
             fetchOptions.body = JSON.stringify(body);
         }
 
-        const response = await fetch(url, fetchOptions);
-        const data = await response.json();
+        // The controller stays registered after the response so a newer request
+        // can still cancel the background revalidation of a cached one
+        if (options.channel) {
+            this.abortRequest(options.channel);
+            const controller = new AbortController();
+            this._requestControllers[options.channel] = controller;
+            fetchOptions.signal = controller.signal;
+        }
+
+        // request() without an etag never resolves { notModified }, so data is always set
+        const { data } = options.cache && method === 'GET'
+            ? await window.GTAW.cache.fetch(url, { fetchOptions, onUpdate: options.onUpdate })
+            : await window.GTAW.cache.request(url, fetchOptions);
 
         if (!data.success) {
             throw new Error(data.error || 'API request failed');
@@ -528,57 +753,31 @@ const App = {
     },
 
     /**
-     * Get cached data or fetch fresh
+     * Abort the in-flight request on a channel, if any
      */
-    getCached(key) {
-        try {
-            const cached = localStorage.getItem(key);
-            if (!cached) return null;
-            
-            const { data, timestamp, ttl } = JSON.parse(cached);
-            if (Date.now() - timestamp > ttl) {
-                localStorage.removeItem(key);
-                return null;
-            }
-            return data;
-        } catch {
-            return null;
-        }
+    abortRequest(channel) {
+        this._requestControllers[channel]?.abort();
+        delete this._requestControllers[channel];
     },
 
     /**
-     * Set cached data with TTL
+     * Check if an error comes from an aborted (superseded) request
      */
-    setCache(key, data, ttl) {
-        try {
-            localStorage.setItem(key, JSON.stringify({
-                data,
-                timestamp: Date.now(),
-                ttl
-            }));
-        } catch {
-            // Storage quota exceeded or disabled
-        }
+    isAbortError(error) {
+        return error?.name === 'AbortError';
     },
 
     /**
      * Load categories for filter dropdown (with caching)
      */
     async loadCategories() {
-        try {
-            const { key, ttl } = this.cacheConfig.categories;
-            
-            const cached = this.getCached(key);
-            if (cached) {
-                this.state.categories = cached;
-                this.renderCategoryFilter();
-                return;
-            }
-            
-            const { data } = await this.api('categories');
+        const apply = ({ data }) => {
             this.state.categories = data;
-            this.setCache(key, data, ttl);
             this.renderCategoryFilter();
+        };
+
+        try {
+            apply(await this.api('categories', { cache: true, onUpdate: apply }));
         } catch (error) {
             console.error('Failed to load categories:', error);
         }
@@ -589,22 +788,20 @@ const App = {
      * Now loads grouped structure: { groups: [...], ungrouped: [...] }
      */
     async loadTags() {
-        try {
-            const { key, ttl } = this.cacheConfig.tags;
-            
-            const cached = this.getCached(key);
-            if (cached && (Array.isArray(cached.groups) || Array.isArray(cached.ungrouped))) {
-                this.state.tagGroups = cached;
-                this.state.tags = this.flattenTags(cached);
-                this.renderTagFilters();
-                return;
-            }
-            
-            const { data } = await this.api('tags');
+        const apply = ({ data }) => {
             this.state.tagGroups = data;
             this.state.tags = this.flattenTags(data);
-            this.setCache(key, data, ttl);
             this.renderTagFilters();
+        };
+
+        try {
+            apply(await this.api('tags', {
+                cache: true,
+                // A category's tags (loadTagsForCategory) replace these once one is picked
+                onUpdate: (result) => {
+                    if (!this.state.filters.category) apply(result);
+                }
+            }));
         } catch (error) {
             console.error('Failed to load tags:', error);
         }
@@ -625,24 +822,34 @@ const App = {
                 }
             }
             
-            const { data } = await this.api('tags/for-categories', {
-                params: { category_ids: categoryIds.join(',') }
-            });
-            
-            // Merge general and category-specific tags
-            const combinedGroups = [
-                ...(data.general?.groups || []),
-                ...(data.category_specific?.groups || [])
-            ];
-            
-            this.state.tagGroups = { groups: combinedGroups, ungrouped: [] };
-            this.state.tags = this.flattenTags(this.state.tagGroups);
-            
-            // Clear category-specific tags from filters when category changes
-            this.clearInvalidTagFilters();
-            
-            this.renderTagFilters();
+            const apply = ({ data }) => {
+                // Merge general and category-specific tags
+                const combinedGroups = [
+                    ...(data.general?.groups || []),
+                    ...(data.category_specific?.groups || [])
+                ];
+
+                this.state.tagGroups = { groups: combinedGroups, ungrouped: [] };
+                this.state.tags = this.flattenTags(this.state.tagGroups);
+
+                // Clear category-specific tags from filters when category changes
+                this.clearInvalidTagFilters();
+
+                this.renderTagFilters();
+            };
+
+            apply(await this.api('tags/for-categories', {
+                params: { category_ids: categoryIds.join(',') },
+                channel: 'tags',
+                cache: true,
+                onUpdate: (result) => {
+                    if (this.state.filters.category === categorySlug) apply(result);
+                }
+            }));
         } catch (error) {
+            // The category changed again; the newer request renders the tags
+            if (this.isAbortError(error)) return;
+
             console.error('Failed to load tags for category:', error);
             // Fallback to general tags
             await this.loadTags();
@@ -682,6 +889,22 @@ const App = {
         return tags;
     },
 
+    /**
+     * Load catalog price bounds for the price slider (with caching)
+     */
+    async loadPriceRange() {
+        const apply = ({ data: range }) => {
+            this.state.priceRange = { min: range.min || 0, max: range.max || 0 };
+            this.renderPriceFilter();
+        };
+
+        try {
+            apply(await this.api('furniture/price-range', { cache: true, onUpdate: apply }));
+        } catch (error) {
+            console.error('Failed to load price range:', error);
+        }
+    },
+
     /**
      * Check if user is logged in
      */
@@ -691,8 +914,15 @@ const App = {
             this.state.user = data;
             await this.loadUserFavorites();
         } catch (error) {
-            // Not logged in, that's fine
+            // Not logged in, that's fine: favorites live in localStorage
             this.state.user = null;
+            this.state.favorites = new Set(this.getGuestFavorites());
+            return;
+        }
+
+        // Not awaited: the prompt must not hold up the first render
+        if (this.getGuestFavorites().length > 0) {
+            this.offerGuestFavoritesMerge();
         }
     },
 
@@ -705,6 +935,17 @@ const App = {
         try {
             const { data } = await this.api('favorites');
             this.state.favorites = new Set(data.map(f => f.id));
+            this.state.favoriteDetails = new Map(data.map(f => [f.id, { note: f.note || '', quantity: f.quantity || 1 }]));
+            // Writes still waiting in the mutation queue
+            window.GTAW.mutationQueue.getOwn()
+                .filter(entry => entry.key.startsWith('favorite:'))
+                .forEach(({ value, body }) => {
+                    if (value) {
+                        this.state.favorites.add(body.furniture_id);
+                    } else {
+                        this.state.favorites.delete(body.furniture_id);
+                    }
+                });
         } catch (error) {
             console.error('Failed to load favorites:', error);
         }
@@ -712,16 +953,33 @@ const App = {
 
     /**
      * Load furniture items
+     * 
+     * With { append: true } the requested page is added to the end of
+     * state.furniture instead of replacing the grid (infinite scroll).
+     * Returns true when the results were applied.
+     *
+     * Whole pages are served from GTAW.cache when possible and re-rendered
+     * only if revalidation returns different results. Appended pages and
+     * favorites-only results are always fetched. A guest's favorites-only
+     * results are built client-side by loadGuestFavoritesPage().
      */
-    async loadFurniture() {
-        this.setLoading(true);
-        
-        this.elements.grid?.classList.add('loading');
+    async loadFurniture({ append = false, page = null } = {}) {
+        const requestId = (this._furnitureRequestId || 0) + 1;
+        this._furnitureRequestId = requestId;
+
+        if (append) {
+            this.state.infiniteScroll.loadingMore = true;
+            this.state.infiniteScroll.failed = false;
+            this.renderPagination();
+        } else {
+            this.setLoading(true);
+            this.elements.grid?.classList.add('loading');
+        }
 
         try {
             const action = this.state.filters.search ? 'furniture/search' : 'furniture';
             const params = {
-                page: this.state.pagination.page,
+                page: page || this.state.pagination.page,
                 per_page: this.state.pagination.per_page,
                 category: this.state.filters.category,
                 tags: this.state.filters.tags.join(','),
@@ -737,26 +995,106 @@ const App = {
                 params.favorites_only = '1';
             }
 
-            const result = await this.api(action, { params });
+            params.price_min = this.state.filters.priceMin;
+            params.price_max = this.state.filters.priceMax;
+
+            // Appends share the channel, so a filter change also cancels a pending "Load more"
+            const result = this.state.filters.favoritesOnly && !this.state.user
+                ? await this.loadGuestFavoritesPage(params)
+                : await this.api(action, {
+                    params,
+                    channel: 'furniture',
+                    cache: !append && !this.state.filters.favoritesOnly,
+                    onUpdate: (fresh) => {
+                        // Keep the open lightbox's index valid; the next load picks the change up
+                        if (requestId === this._furnitureRequestId && !this.state.lightbox.isOpen) {
+                            this.applyFurnitureResult(fresh, false);
+                        }
+                    }
+                });
 
-            this.state.furniture = result.data;
-            this.state.pagination = { ...this.state.pagination, ...result.pagination };
-            
-            // Store search metadata for synonym expansion display
-            this.state.searchMeta = result.search_meta || null;
+            // A newer request (e.g. a filter change) superseded this one
+            if (requestId !== this._furnitureRequestId) {
+                return false;
+            }
 
-            this.render();
+            this.applyFurnitureResult(result, append);
+            return true;
         } catch (error) {
+            if (this.isAbortError(error) || requestId !== this._furnitureRequestId) {
+                return false;
+            }
+
             console.error('Failed to load furniture:', error);
-            this.toast(window.GTAW.__('error.loading'), 'error');
+            if (append) {
+                this.state.infiniteScroll.failed = true;
+            } else {
+                this.renderLoadError();
+            }
+            return false;
         } finally {
-            this.setLoading(false);
-            setTimeout(() => {
-                this.elements.grid?.classList.remove('loading');
-            }, 50);
+            if (append) {
+                this.state.infiniteScroll.loadingMore = false;
+                if (requestId === this._furnitureRequestId) {
+                    this.renderPagination();
+                }
+            } else if (requestId === this._furnitureRequestId) {
+                // A superseding request keeps the loading state until it finishes
+                this.setLoading(false);
+                setTimeout(() => {
+                    this.elements.grid?.classList.remove('loading');
+                }, 50);
+            }
+        }
+    },
+
+    /**
+     * Show a furniture API result in the grid
+     */
+    applyFurnitureResult(result, append) {
+        this.state.pagination = { ...this.state.pagination, ...result.pagination };
+
+        // Store search metadata for synonym expansion display
+        this.state.searchMeta = result.search_meta || null;
+        this.state.highlightTerms = this.getHighlightTerms();
+
+        if (append) {
+            // Skip items already shown (e.g. a deep-linked item or shifted page boundaries)
+            const loadedIds = new Set(this.state.furniture.map(f => f.id));
+            const newItems = result.data.filter(item => !loadedIds.has(item.id));
+            this.state.furniture = this.state.furniture.concat(newItems);
+            this.appendCards(newItems);
+        } else {
+            this.state.furniture = result.data;
+            this.pruneSelection();
+            this.render();
         }
     },
 
+    /**
+     * Check if there are pages after the last loaded one
+     */
+    hasMorePages() {
+        return this.state.pagination.page < this.state.pagination.total_pages;
+    },
+
+    /**
+     * Append the next page to the grid (infinite scroll / "Load more")
+     */
+    async loadMore() {
+        if (this.state.infiniteScroll.loadingMore || this.state.loading || !this.hasMorePages()) {
+            return false;
+        }
+
+        const loaded = await this.loadFurniture({ append: true, page: this.state.pagination.page + 1 });
+        if (loaded) {
+            // Appended pages refine the current history entry instead of adding new ones
+            this.updateUrl({ replace: true });
+            this.checkInfiniteScroll();
+        }
+        return loaded;
+    },
+
     /**
      * Copy /sf command to clipboard
      * Delegates to shared GTAW.copyCommand() for consistent behavior
@@ -770,7 +1108,7 @@ const App = {
      */
     async toggleFavorite(furnitureId) {
         if (!this.state.user) {
-            this.toast(window.GTAW.__('favorites.login_required'), 'info');
+            this.toggleGuestFavorite(furnitureId);
             return;
         }
 
@@ -784,14 +1122,25 @@ const App = {
         }
         this.updateFavoriteButton(furnitureId);
 
-        try {
-            await this.api('favorites', {
-                method: isFavorite ? 'DELETE' : 'POST',
-                body: { furniture_id: furnitureId }
-            });
+        // Transient failures are retried by the mutation queue; the optimistic state stays
+        const { status } = await window.GTAW.mutationQueue.submit({
+            key: `favorite:${furnitureId}`,
+            value: !isFavorite,
+            url: '/api.php?action=favorites',
+            method: isFavorite ? 'DELETE' : 'POST',
+            body: { furniture_id: furnitureId }
+        });
+
+        // Removing a favorite drops its note and quantity on the server
+        if (isFavorite && status !== 'failed') {
+            this.state.favoriteDetails.delete(furnitureId);
+        }
 
+        if (status === 'done') {
             this.toast(isFavorite ? window.GTAW.__('favorites.removed') : window.GTAW.__('favorites.added'), 'success');
-        } catch (error) {
+        } else if (status === 'queued') {
+            this.toast(window.GTAW.__('queue.queued'), 'info');
+        } else {
             // Revert on error
             if (isFavorite) {
                 this.state.favorites.add(furnitureId);
@@ -803,6 +1152,175 @@ const App = {
         }
     },
 
+    /**
+     * Resync favorites after the mutation queue gave up on a queued favorite write
+     */
+    async handleMutationFailed(mutation) {
+        if (!mutation.key.startsWith('favorite:')) return;
+
+        await this.loadUserFavorites();
+        this.updateFavoriteButton(mutation.body.furniture_id);
+    },
+
+    // =========================================
+    // GUEST FAVORITES
+    // =========================================
+
+    /**
+     * Get the guest's favorite IDs, most recently added first
+     */
+    getGuestFavorites() {
+        try {
+            const ids = JSON.parse(localStorage.getItem(this.guestFavoritesConfig.key) || '[]');
+            return Array.isArray(ids) ? ids.filter(Number.isInteger) : [];
+        } catch {
+            return [];
+        }
+    },
+
+    /**
+     * Store the guest's favorite IDs
+     * @returns {boolean} False if localStorage is unavailable or full
+     */
+    setGuestFavorites(ids) {
+        try {
+            if (ids.length === 0) {
+                localStorage.removeItem(this.guestFavoritesConfig.key);
+            } else {
+                localStorage.setItem(this.guestFavoritesConfig.key, JSON.stringify(ids));
+            }
+            return true;
+        } catch (e) {
+            return false;
+        }
+    },
+
+    /**
+     * Toggle a favorite for a visitor who isn't logged in
+     */
+    toggleGuestFavorite(furnitureId) {
+        const ids = this.getGuestFavorites();
+        const isFavorite = ids.includes(furnitureId);
+
+        if (!isFavorite && ids.length >= this.guestFavoritesConfig.maxItems) {
+            this.toast(window.GTAW.__('guest_favorites.limit', { count: this.guestFavoritesConfig.maxItems }), 'error');
+            return;
+        }
+
+        const next = isFavorite ? ids.filter(id => id !== furnitureId) : [furnitureId, ...ids];
+        if (!this.setGuestFavorites(next)) {
+            this.toast(window.GTAW.__('favorites.failed'), 'error');
+            return;
+        }
+
+        this.state.favorites = new Set(next);
+        this.updateFavoriteButton(furnitureId);
+        this.toast(isFavorite ? window.GTAW.__('favorites.removed') : window.GTAW.__('guest_favorites.added'), 'success');
+    },
+
+    /**
+     * Build a favorites-only result page from the guest's local favorites
+     *
+     * Mirrors the server-side filters (category, any of the tags, price,
+     * search words in the name) and sorting, and returns the same
+     * { data, pagination } shape as the furniture endpoints. "Newest" sorts
+     * by ID, which follows insertion order.
+     */
+    async loadGuestFavoritesPage(params) {
+        const ids = this.getGuestFavorites();
+        const { batchSize } = this.guestFavoritesConfig;
+
+        const batches = [];
+        for (let i = 0; i < ids.length; i += batchSize) {
+            batches.push(this.api('furniture/batch', {
+                params: { ids: ids.slice(i, i + batchSize).join(',') },
+                cache: true
+            }));
+        }
+        let items = (await Promise.all(batches)).flatMap(result => result.data);
+
+        const { category, tags, search, priceMin, priceMax, sort, order } = this.state.filters;
+        const words = (search || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+        items = items.filter(item => {
+            const price = Number(item.price);
+            const name = item.name.toLowerCase();
+            return (!category || (item.categories || []).some(c => c.slug === category))
+                && (tags.length === 0 || (item.tags || []).some(t => tags.includes(t.slug)))
+                && (priceMin === null || price >= priceMin)
+                && (priceMax === null || price <= priceMax)
+                && words.every(word => name.includes(word));
+        });
+
+        const compare = {
+            price: (a, b) => Number(a.price) - Number(b.price),
+            newest: (a, b) => a.id - b.id
+        }[sort] || ((a, b) => a.name.localeCompare(b.name));
+        items.sort(order === 'desc' ? (a, b) => compare(b, a) : compare);
+
+        const perPage = params.per_page;
+        const totalPages = Math.max(1, Math.ceil(items.length / perPage));
+        const page = Math.min(Math.max(1, params.page), totalPages);
+
+        return {
+            data: items.slice((page - 1) * perPage, page * perPage),
+            pagination: { page, per_page: perPage, total: items.length, total_pages: totalPages }
+        };
+    },
+
+    /**
+     * Offer to move the guest's local favorites into the account that just logged in
+     */
+    offerGuestFavoritesMerge() {
+        const count = this.getGuestFavorites().length;
+
+        window.GTAW.showModal('guest-favorites-modal', window.GTAW.__('guest_favorites.merge_title'), `
+            <p>${this.escapeHtml(window.GTAW.__('guest_favorites.merge_prompt', { count }))}</p>
+            <div class="guest-favorites-actions">
+                <button class="btn" onclick="App.discardGuestFavorites()">${this.escapeHtml(window.GTAW.__('guest_favorites.discard'))}</button>
+                <button class="btn btn-primary" onclick="App.mergeGuestFavorites()">${this.escapeHtml(window.GTAW.__('guest_favorites.merge'))}</button>
+            </div>
+        `);
+    },
+
+    /**
+     * Add the guest's local favorites to the account, then forget them
+     */
+    async mergeGuestFavorites() {
+        const ids = this.getGuestFavorites();
+        window.GTAW.closeModal('guest-favorites-modal');
+        if (ids.length === 0) return;
+
+        try {
+            const { data } = await this.api('favorites/bulk', {
+                method: 'POST',
+                body: { furniture_ids: ids.slice(0, this.guestFavoritesConfig.maxItems) }
+            });
+
+            this.setGuestFavorites([]);
+            await this.loadUserFavorites();
+            ids.forEach(id => this.updateFavoriteButton(id));
+            if (this.state.filters.favoritesOnly) {
+                this.loadFurniture();
+            }
+
+            this.toast(window.GTAW.__('guest_favorites.merged', { count: data.added, existing: data.existing }), 'success');
+        } catch (error) {
+            // Keep the local list so the next login offers the merge again
+            console.error('Failed to merge guest favorites:', error);
+            this.toast(window.GTAW.__('guest_favorites.merge_failed'), 'error');
+        }
+    },
+
+    /**
+     * Forget the guest's local favorites without merging them
+     */
+    discardGuestFavorites() {
+        this.setGuestFavorites([]);
+        window.GTAW.closeModal('guest-favorites-modal');
+        this.toast(window.GTAW.__('guest_favorites.discarded'), 'info');
+    },
+
     /**
      * Update a single favorite button without re-rendering
      */
@@ -816,7 +1334,7 @@ const App = {
         }
         
         if (this.state.lightbox.isOpen) {
-            const currentItem = this.state.furniture[this.state.lightbox.currentIndex];
+            const currentItem = this.getLightboxItem();
             if (currentItem && currentItem.id === furnitureId) {
                 this.updateLightboxFavoriteButton(furnitureId);
             }
@@ -862,6 +1380,7 @@ const App = {
 
         this.state.lightbox.isOpen = true;
         this.state.lightbox.currentIndex = index;
+        this.state.lightbox.relatedItem = null;
         
         this.elements.lightbox?.classList.add('active');
         document.body.style.overflow = 'hidden';
@@ -873,17 +1392,64 @@ const App = {
     },
 
     /**
-     * Close lightbox
+     * Show a similar item in the open lightbox
+     *
+     * Items outside the current results are shown detached from the list
+     * (state.furniture stays as filtered); prev/next return to the list item
+     * the lightbox was on.
      */
-    closeLightbox() {
-        this.state.lightbox.isOpen = false;
-        this.state.lightbox.currentIndex = -1;
-        
-        this.elements.lightbox?.classList.remove('active');
-        document.body.style.overflow = '';
-    },
+    async showRelatedItem(furnitureId) {
+        const index = this.state.furniture.findIndex(f => f.id === furnitureId);
+        if (index !== -1) {
+            this.state.lightbox.relatedItem = null;
+            this.state.lightbox.currentIndex = index;
+        } else {
+            try {
+                const result = await this.api('furniture/single', { params: { id: furnitureId } });
+                if (!result.data || !result.data.id) {
+                    this.toast(window.GTAW.__('empty.not_found'), 'error');
+                    return;
+                }
+                if (!this.state.lightbox.isOpen) return;
+                this.state.lightbox.relatedItem = result.data;
+            } catch (error) {
+                console.error('Failed to load furniture item:', error);
+                this.toast(window.GTAW.__('error.failed_to_load'), 'error');
+                return;
+            }
+        }
 
-    /**
+        this.trackRecentlyViewed(furnitureId);
+        await this.updateLightboxContent();
+    },
+
+    /**
+     * Get the item the lightbox is showing
+     */
+    getLightboxItem() {
+        return this.state.lightbox.relatedItem || this.state.furniture[this.state.lightbox.currentIndex];
+    },
+
+    /**
+     * Close lightbox
+     */
+    closeLightbox() {
+        this.state.lightbox.isOpen = false;
+        this.state.lightbox.currentIndex = -1;
+        this.state.lightbox.relatedItem = null;
+        this.state.lightbox.loadToken++;
+        clearTimeout(this.lightboxPreload.timer);
+        this.lightboxPreload.images.clear();
+        // Don't flash this item's image under the spinner when the next one opens
+        this.elements.lightboxImage?.removeAttribute('src');
+        this.elements.lightboxImage?.parentElement.classList.remove('loading');
+        window.GTAW.lightboxZoom.reset();
+        
+        this.elements.lightbox?.classList.remove('active');
+        document.body.style.overflow = '';
+    },
+
+    /**
      * Track a furniture view in localStorage
      */
     trackRecentlyViewed(furnitureId) {
@@ -913,45 +1479,115 @@ const App = {
 
     /**
      * Navigate to previous item in lightbox
+     * @param {boolean} repeat - Arrow key held down (see updateLightboxContent())
      */
-    lightboxPrev() {
-        if (this.state.lightbox.currentIndex > 0 && !this.state.lightbox.isNavigating) {
+    lightboxPrev(repeat = false) {
+        if (this.state.lightbox.isLoadingPage) return;
+
+        if (this.state.lightbox.relatedItem) {
+            this.returnFromRelatedItem();
+        } else if (this.state.lightbox.currentIndex > 0) {
             this.state.lightbox.currentIndex--;
-            this.updateLightboxContent();
+            this.updateLightboxContent({ repeat });
+        } else if (this.canLightboxCrossPage(-1)) {
+            this.lightboxCrossPage(-1);
         }
     },
 
     /**
      * Navigate to next item in lightbox
+     * @param {boolean} repeat - Arrow key held down (see updateLightboxContent())
      */
-    lightboxNext() {
-        if (this.state.lightbox.currentIndex < this.state.furniture.length - 1 && !this.state.lightbox.isNavigating) {
+    lightboxNext(repeat = false) {
+        if (this.state.lightbox.isLoadingPage) return;
+
+        if (this.state.lightbox.relatedItem) {
+            this.returnFromRelatedItem();
+        } else if (this.state.lightbox.currentIndex < this.state.furniture.length - 1) {
             this.state.lightbox.currentIndex++;
+            this.updateLightboxContent({ repeat });
+        } else if (this.canLightboxCrossPage(1)) {
+            this.lightboxCrossPage(1);
+        }
+    },
+
+    /**
+     * Leave a related item and go back to the list item the lightbox was on
+     */
+    returnFromRelatedItem() {
+        this.state.lightbox.relatedItem = null;
+        if (this.state.furniture[this.state.lightbox.currentIndex]) {
+            this.updateLightboxContent();
+        } else {
+            this.closeLightbox();
+        }
+    },
+
+    /**
+     * Check if the lightbox can move past the loaded items into another page
+     * (backwards only in paged mode, infinite scroll never unloads earlier pages)
+     */
+    canLightboxCrossPage(direction) {
+        if (direction > 0) {
+            return this.hasMorePages();
+        }
+        return !this.state.infiniteScroll.enabled && this.state.pagination.page > 1;
+    },
+
+    /**
+     * Load the adjacent page and continue lightbox navigation there
+     */
+    async lightboxCrossPage(direction) {
+        this.state.lightbox.isLoadingPage = true;
+
+        let loaded = false;
+        let index = 0;
+        try {
+            if (this.state.infiniteScroll.enabled) {
+                index = this.state.furniture.length;
+                loaded = await this.loadMore();
+            } else {
+                this.state.pagination.page += direction;
+                loaded = await this.loadFurniture();
+                if (loaded) {
+                    this.updateUrl();
+                    index = direction > 0 ? 0 : this.state.furniture.length - 1;
+                } else {
+                    this.state.pagination.page -= direction;
+                }
+            }
+        } finally {
+            this.state.lightbox.isLoadingPage = false;
+        }
+
+        if (loaded && this.state.lightbox.isOpen && this.state.furniture[index]) {
+            this.state.lightbox.currentIndex = index;
             this.updateLightboxContent();
         }
     },
 
     /**
-     * Update lightbox content - simple direct swap with fixed dimensions
+     * Update lightbox content
+     *
+     * Text and buttons switch at once; the image is swapped in once it has
+     * decoded (see showLightboxImage()). While an arrow key is held down
+     * (options.repeat) the image, preloading and similar items wait until the
+     * key rests, so the lightbox keeps up with the key repeat through long lists.
      */
-    async updateLightboxContent() {
+    async updateLightboxContent({ repeat = false } = {}) {
         const index = this.state.lightbox.currentIndex;
-        const item = this.state.furniture[index];
+        const item = this.getLightboxItem();
+        const isRelated = Boolean(this.state.lightbox.relatedItem);
         
         if (!item) return;
 
-        // Prevent rapid navigation
-        if (this.state.lightbox.isNavigating) {
-            return;
-        }
-        this.state.lightbox.isNavigating = true;
-
-        const imageUrl = item.image_url || '/images/placeholder.svg';
-        const activeImg = this.elements.lightboxImage;
+        const token = ++this.state.lightbox.loadToken;
+        // The outgoing image stays up until the next one decodes; don't keep it zoomed
+        window.GTAW.lightboxZoom.reset();
         
         // Update text content
         if (this.elements.lightboxTitle) {
-            this.elements.lightboxTitle.textContent = item.name;
+            this.elements.lightboxTitle.innerHTML = this.highlightName(item.name);
         }
         if (this.elements.lightboxMeta) {
             // Build categories display for lightbox (show all)
@@ -979,21 +1615,102 @@ const App = {
         if (this.elements.lightboxSuggestEdit) {
             this.elements.lightboxSuggestEdit.href = `/dashboard/?page=submissions&action=new&furniture_id=${item.id}`;
         }
+        // Both lead back to the list from a related item
         if (this.elements.lightboxPrev) {
-            this.elements.lightboxPrev.disabled = index === 0;
+            this.elements.lightboxPrev.disabled = !isRelated && index === 0 && !this.canLightboxCrossPage(-1);
         }
         if (this.elements.lightboxNext) {
-            this.elements.lightboxNext.disabled = index === this.state.furniture.length - 1;
+            this.elements.lightboxNext.disabled = !isRelated && index === this.state.furniture.length - 1 && !this.canLightboxCrossPage(1);
         }
         
-        // Direct image swap (no fade, container dimensions are fixed)
-        if (activeImg) {
-            activeImg.src = imageUrl;
-            activeImg.alt = item.name;
-        }
+        window.GTAW.lightboxGallery.show(item);
         
-        // Allow navigation again
-        this.state.lightbox.isNavigating = false;
+        clearTimeout(this.lightboxPreload.timer);
+        if (repeat) {
+            this.elements.lightboxImage?.parentElement.classList.add('loading');
+            await new Promise(resolve => {
+                this.lightboxPreload.timer = setTimeout(resolve, this.lightboxPreload.repeatDelay);
+            });
+            if (token !== this.state.lightbox.loadToken) return;
+        }
+
+        this.loadLightboxSimilar(item.id);
+        this.preloadLightboxNeighbours(index);
+        await this.showLightboxImage(item, token);
+    },
+
+    /**
+     * Swap the lightbox image once it has decoded
+     *
+     * The old image stays up, blurred under a spinner, until then (no blank
+     * frame). Loads superseded by a newer navigation are dropped.
+     */
+    async showLightboxImage(item, token) {
+        const activeImg = this.elements.lightboxImage;
+        if (!activeImg) return;
+
+        const imageUrl = item.image_url || '/images/placeholder.svg';
+        const container = activeImg.parentElement;
+        const image = this.getLightboxPreload(imageUrl);
+
+        if (!image.complete) {
+            container.classList.add('loading');
+        }
+
+        let src = imageUrl;
+        try {
+            await image.decode();
+        } catch {
+            src = '/images/placeholder.svg';
+        }
+
+        if (token !== this.state.lightbox.loadToken) return;
+
+        // Container dimensions are fixed, so a direct swap doesn't shift the layout.
+        // A gallery thumbnail picked in the meantime wins.
+        if (window.GTAW.lightboxGallery.index === 0) {
+            activeImg.src = src;
+        }
+        activeImg.alt = item.name;
+        container.classList.remove('loading');
+    },
+
+    /**
+     * Get the preloading Image for a URL, starting the download if needed
+     */
+    getLightboxPreload(url) {
+        let image = this.lightboxPreload.images.get(url);
+        if (!image) {
+            image = new Image();
+            image.decoding = 'async';
+            image.src = url;
+            this.lightboxPreload.images.set(url, image);
+        }
+        return image;
+    },
+
+    /**
+     * Preload the images of the items around the lightbox item
+     * (only loaded items; pages beyond them are fetched on arrival)
+     */
+    preloadLightboxNeighbours(index) {
+        const { distance, images } = this.lightboxPreload;
+        const wanted = new Set();
+
+        for (let offset = 1; offset <= distance; offset++) {
+            [index + offset, index - offset].forEach(i => {
+                const url = this.state.furniture[i]?.image_url;
+                if (url) wanted.add(url);
+            });
+        }
+        const current = this.state.furniture[index]?.image_url;
+        if (current) wanted.add(current);
+
+        // Forget images that fell out of the window (the browser cache keeps them)
+        images.forEach((image, url) => {
+            if (!wanted.has(url)) images.delete(url);
+        });
+        wanted.forEach(url => this.getLightboxPreload(url));
     },
 
     /**
@@ -1018,78 +1735,1283 @@ const App = {
         tagsContainer.style.display = 'flex';
     },
 
+    /**
+     * Load the "Similar items" strip for the lightbox item
+     * (shared categories, tag overlap and same-name matches, see getSimilarFurniture())
+     */
+    async loadLightboxSimilar(furnitureId) {
+        const grid = this.elements.lightboxSimilarGrid;
+        if (!grid || !this.elements.lightboxSimilar) return;
+
+        this.elements.lightboxSimilar.hidden = false;
+        grid.dataset.id = furnitureId;
+        grid.innerHTML = '<div class="loading-spinner"></div>';
+
+        // Ignore responses for an item the lightbox has already moved past
+        const apply = ({ data }) => {
+            if (grid.dataset.id === String(furnitureId)) {
+                this.renderLightboxSimilar(data || []);
+            }
+        };
+
+        try {
+            apply(await this.api('furniture/similar', {
+                params: { id: furnitureId },
+                channel: 'similar',
+                cache: true,
+                onUpdate: apply
+            }));
+        } catch (error) {
+            if (this.isAbortError(error)) return;
+            console.error('Failed to load similar items:', error);
+            this.elements.lightboxSimilar.hidden = true;
+        }
+    },
+
+    /**
+     * Render the "Similar items" strip
+     */
+    renderLightboxSimilar(items) {
+        const grid = this.elements.lightboxSimilarGrid;
+        const __ = window.GTAW.__;
+        const escapeHtml = window.GTAW.escapeHtml;
+
+        if (items.length === 0) {
+            grid.innerHTML = `<p class="no-results">${escapeHtml(__('lightbox.similar_none'))}</p>`;
+            return;
+        }
+
+        grid.innerHTML = items.map(item => `
+            <a href="/?furniture=${item.id}" class="similar-item" data-id="${item.id}" title="${escapeHtml(item.name)}">
+                <img src="${escapeHtml(item.image_url || '/images/placeholder.svg')}" alt="" loading="lazy"
+                     onerror="this.src='/images/placeholder.svg'">
+                <span class="similar-item-info">
+                    <span class="similar-name">${escapeHtml(item.name)}</span>
+                    <span class="similar-score">${escapeHtml(__('lightbox.similar_match', { percent: item.similarity }))}</span>
+                </span>
+            </a>
+        `).join('');
+    },
+
+
+    /**
+     * Update lightbox favorite button state
+     */
+    updateLightboxFavoriteButton(furnitureId) {
+        if (!this.elements.lightboxFavorite) return;
+        
+        const isFav = this.state.favorites.has(furnitureId);
+        this.elements.lightboxFavorite.classList.toggle('active', isFav);
+        this.elements.lightboxFavorite.innerHTML = isFav ? '❤️' : '🤍';
+        this.elements.lightboxFavorite.setAttribute('title', isFav ? window.GTAW.__('favorites.remove') : window.GTAW.__('favorites.add'));
+        this.elements.lightboxFavorite.setAttribute('aria-label', isFav ? window.GTAW.__('favorites.remove') : window.GTAW.__('favorites.add'));
+        this.elements.lightboxFavorite.dataset.pendingKey = `favorite:${furnitureId}`;
+        window.GTAW.mutationQueue.updateIndicators(this.elements.lightboxFavorite.parentElement);
+        this.updateLightboxFavoriteDetails(furnitureId);
+    },
+
+    /**
+     * Show the note/quantity form in the lightbox for a favorited item
+     */
+    updateLightboxFavoriteDetails(furnitureId) {
+        const form = this.elements.lightboxFavoriteDetails;
+        if (!form) return;
+
+        const isFav = this.state.user && this.state.favorites.has(furnitureId);
+        form.hidden = !isFav;
+        // Keep what the user is typing when the same item re-renders
+        if (!isFav || (form.dataset.id === String(furnitureId) && form.contains(document.activeElement))) {
+            return;
+        }
+
+        const details = this.state.favoriteDetails.get(furnitureId) || { note: '', quantity: 1 };
+        form.dataset.id = furnitureId;
+        form.elements.note.value = details.note;
+        form.elements.quantity.value = details.quantity;
+    },
+
+    /**
+     * Save the private note and quantity of a favorite
+     * @returns {Promise<boolean>} True if saved
+     */
+    async saveFavoriteDetails(furnitureId, note, quantity) {
+        try {
+            const { data } = await this.api('favorites/update', {
+                method: 'POST',
+                body: { furniture_id: furnitureId, note, quantity }
+            });
+            this.state.favoriteDetails.set(furnitureId, { note: data.note || '', quantity: data.quantity });
+            this.toast(window.GTAW.__('favorites.details_saved'), 'success');
+            return true;
+        } catch (error) {
+            console.error('Failed to save favorite details:', error);
+            this.toast(error.message || window.GTAW.__('favorites.details_failed'), 'error');
+            return false;
+        }
+    },
+
+    /**
+     * Bind the lightbox note/quantity form (shared by the catalog and collection lightboxes)
+     */
+    bindFavoriteDetailsEvents() {
+        const form = this.elements.lightboxFavoriteDetails;
+        if (!form) return;
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const furnitureId = parseInt(form.dataset.id, 10);
+            if (furnitureId) {
+                this.saveFavoriteDetails(furnitureId, form.elements.note.value, parseInt(form.elements.quantity.value, 10));
+            }
+        });
+    },
+
+    /**
+     * Show modal - delegate to shared helper
+     */
+    showModal(title, content) {
+        if (window.GTAW) {
+            window.GTAW.showModal('app-modal', title, content, () => {
+                this.state.currentFurnitureForCollection = null;
+            });
+        }
+    },
+
+    /**
+     * Close modal
+     */
+    closeModal() {
+        if (window.GTAW) {
+            window.GTAW.closeModal('app-modal');
+        }
+        this.state.currentFurnitureForCollection = null;
+    },
+
+    /**
+     * Open collection modal
+     * Delegates to shared GTAW.collectionPicker module
+     */
+    openCollectionModal(furnitureId) {
+        window.GTAW.collectionPicker.open(furnitureId);
+    },
+
+    /**
+     * Close collection modal
+     */
+    closeCollectionModal() {
+        window.GTAW.collectionPicker.close();
+    },
+
+    /**
+     * Share current furniture item (copy deep link)
+     */
+    async shareFurniture() {
+        const item = this.getLightboxItem();
+        if (!item) return;
+
+        const url = new URL(window.location.origin);
+        url.searchParams.set('furniture', item.id);
+        
+        try {
+            await navigator.clipboard.writeText(url.toString());
+            this.toast(window.GTAW.__('lightbox.share_copied'), 'success');
+        } catch {
+            // Fallback
+            const input = document.createElement('input');
+            input.value = url.toString();
+            document.body.appendChild(input);
+            input.select();
+            document.execCommand('copy');
+            document.body.removeChild(input);
+            this.toast(window.GTAW.__('lightbox.share_copied'), 'success');
+        }
+    },
+
+
+    // =========================================
+    // COMPARE TRAY
+    // =========================================
+
+    /**
+     * Check if an item is selected for comparison
+     */
+    isInCompare(furnitureId) {
+        return this.state.compare.ids.includes(furnitureId);
+    },
+
+    /**
+     * Add or remove an item from the compare tray
+     */
+    toggleCompare(furnitureId) {
+        const compare = this.state.compare;
+        const index = compare.ids.indexOf(furnitureId);
+
+        if (index !== -1) {
+            compare.ids.splice(index, 1);
+        } else {
+            if (compare.ids.length >= this.compareConfig.maxItems) {
+                this.toast(window.GTAW.__('compare.limit', { max: this.compareConfig.maxItems }), 'warning');
+                return;
+            }
+            const item = this.state.furniture.find(f => f.id === furnitureId);
+            if (!item) return;
+            compare.items[furnitureId] = item;
+            compare.ids.push(furnitureId);
+        }
+
+        this.updateCompareButton(furnitureId);
+        this.renderCompareTray();
+        this.updateUrl({ replace: true });
+    },
+
+    /**
+     * Remove every item from the compare tray
+     */
+    clearCompare() {
+        const ids = this.state.compare.ids;
+        this.state.compare.ids = [];
+        ids.forEach(id => this.updateCompareButton(id));
+        this.renderCompareTray();
+        this.updateUrl({ replace: true });
+        window.GTAW.closeModal('compare-modal');
+    },
+
+    /**
+     * Fetch data for selected items that are not loaded yet (e.g. from a shared link)
+     */
+    async loadCompareItems() {
+        const compare = this.state.compare;
+        const missing = compare.ids.filter(id => !compare.items[id]);
+
+        if (missing.length > 0) {
+            try {
+                const { data } = await this.api('furniture/batch', { params: { ids: missing.join(',') } });
+                data.forEach(item => {
+                    compare.items[item.id] = item;
+                });
+            } catch (error) {
+                console.error('Failed to load compare items:', error);
+            }
+            // Drop IDs that no longer exist
+            compare.ids = compare.ids.filter(id => compare.items[id]);
+        }
+
+        this.renderCompareTray();
+    },
+
+    /**
+     * Open the compare view when arriving through a shared compare link
+     */
+    handleCompareLink() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('view') !== 'compare') return;
+
+        params.delete('view');
+        const newUrl = params.toString() ? `?${params}` : window.location.pathname;
+        window.history.replaceState({}, '', newUrl);
+
+        if (this.state.compare.ids.length > 0) {
+            this.openCompareView();
+        }
+    },
+
+    /**
+     * Update a card's compare toggle without re-rendering
+     */
+    updateCompareButton(furnitureId) {
+        const btn = this.elements.grid?.querySelector(`.btn-compare[data-id="${furnitureId}"]`);
+        if (!btn) return;
+
+        const selected = this.isInCompare(furnitureId);
+        const label = selected ? window.GTAW.__('compare.remove') : window.GTAW.__('compare.add');
+        btn.classList.toggle('active', selected);
+        btn.setAttribute('aria-pressed', String(selected));
+        btn.setAttribute('title', label);
+        btn.setAttribute('aria-label', label);
+    },
+
+    /**
+     * Render the sticky compare tray
+     */
+    renderCompareTray() {
+        const tray = this.elements.compareTray;
+        if (!tray) return;
+
+        const items = this.state.compare.ids.map(id => this.state.compare.items[id]).filter(Boolean);
+        tray.hidden = items.length === 0;
+        document.body.classList.toggle('has-compare-tray', items.length > 0);
+        if (items.length === 0) {
+            tray.innerHTML = '';
+            return;
+        }
+
+        const thumbs = items.map(item => `
+            <div class="compare-tray-item" title="${this.escapeHtml(item.name)}">
+                <img src="${this.escapeHtml(item.image_url || '/images/placeholder.svg')}" alt="${this.escapeHtml(item.name)}" onerror="this.src='/images/placeholder.svg'">
+                <button class="compare-tray-remove" onclick="App.toggleCompare(${item.id})" aria-label="${window.GTAW.__('compare.remove')}">×</button>
+            </div>
+        `).join('');
+
+        tray.innerHTML = `
+            <div class="compare-tray-items">${thumbs}</div>
+            <span class="compare-tray-count">${window.GTAW.__('compare.count', { count: items.length, max: this.compareConfig.maxItems })}</span>
+            <div class="compare-tray-actions">
+                <button class="btn btn-primary btn-sm" onclick="App.openCompareView()" ${items.length < 2 ? `disabled title="${window.GTAW.__('compare.need_more')}"` : ''}>
+                    ${window.GTAW.__('compare.open', { count: items.length })}
+                </button>
+                <button class="btn btn-sm" onclick="App.shareCompare()">🔗 ${window.GTAW.__('compare.share')}</button>
+                <button class="btn btn-sm" onclick="App.clearCompare()">${window.GTAW.__('compare.clear')}</button>
+            </div>
+        `;
+    },
+
+    /**
+     * Show selected items side by side
+     */
+    openCompareView() {
+        const items = this.state.compare.ids.map(id => this.state.compare.items[id]).filter(Boolean);
+
+        // Removing the last item from inside the view closes it
+        if (items.length === 0) {
+            window.GTAW.closeModal('compare-modal');
+            return;
+        }
+
+        const lowestPrice = Math.min(...items.map(item => item.price));
+
+        const columns = items.map(item => {
+            const categories = (item.categories || []).map(c => this.escapeHtml(c.name)).join(', ')
+                || this.escapeHtml(item.category_name || '—');
+            const tags = (item.tags || []).map(tag =>
+                `<span class="tag" style="--tag-color: ${tag.color}">${this.escapeHtml(tag.name)}</span>`
+            ).join('') || '—';
+            const isLowest = items.length > 1 && item.price === lowestPrice;
+
+            return `
+                <div class="compare-column">
+                    <div class="compare-image">
+                        <img src="${this.escapeHtml(item.image_url || '/images/placeholder.svg')}" alt="${this.escapeHtml(item.name)}" onerror="this.src='/images/placeholder.svg'">
+                    </div>
+                    <h3 title="${this.escapeHtml(item.name)}">${this.escapeHtml(item.name)}</h3>
+                    <dl>
+                        <dt>${window.GTAW.__('compare.price')}</dt>
+                        <dd class="compare-price ${isLowest ? 'lowest' : ''}" ${isLowest ? `title="${window.GTAW.__('compare.lowest_price')}"` : ''}>$${this.formatNumber(item.price)}</dd>
+                        <dt>${window.GTAW.__('compare.categories')}</dt>
+                        <dd>${categories}</dd>
+                        <dt>${window.GTAW.__('compare.tags')}</dt>
+                        <dd class="compare-tags">${tags}</dd>
+                    </dl>
+                    <div class="compare-actions">
+                        <button class="btn-copy" data-name="${this.escapeHtml(item.name)}" onclick="App.copyCommand(this.dataset.name)" title="${window.GTAW.__('card.copy_command')}">
+                            📋 ${window.GTAW.__('card.copy')}
+                        </button>
+                        <button class="btn btn-sm" onclick="App.toggleCompare(${item.id}); App.openCompareView();" aria-label="${window.GTAW.__('compare.remove')}" title="${window.GTAW.__('compare.remove')}">×</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        window.GTAW.showModal('compare-modal', window.GTAW.__('compare.title'), `
+            <div class="compare-grid" style="--compare-columns: ${items.length}">${columns}</div>
+        `);
+        document.querySelector('#compare-modal .modal')?.classList.add('modal-wide');
+    },
+
+    /**
+     * Copy a link that opens the current comparison
+     */
+    async shareCompare() {
+        const url = new URL(window.location.pathname, window.location.origin);
+        url.searchParams.set('compare', this.state.compare.ids.join(','));
+        url.searchParams.set('view', 'compare');
+
+        const success = await window.GTAW.copyToClipboard(url.toString());
+        this.toast(success ? window.GTAW.__('compare.link_copied') : window.GTAW.__('card.copy_failed'), success ? 'success' : 'error');
+    },
+
+
+    // =========================================
+    // MULTI-SELECT
+    // =========================================
+
+    /**
+     * Enter or leave selection mode
+     * @param {boolean} [force] - Explicit state; toggles when omitted
+     */
+    toggleSelectMode(force) {
+        const selection = this.state.selection;
+        selection.active = force === undefined ? !selection.active : force;
+
+        if (!selection.active) {
+            selection.ids.clear();
+            selection.lastIndex = null;
+        }
+
+        this.elements.grid?.classList.toggle('selecting', selection.active);
+        this.elements.grid?.querySelectorAll('.furniture-card.selected').forEach(card => {
+            this.updateSelectionCard(parseInt(card.dataset.id, 10));
+        });
+        if (this.elements.selectModeBtn) {
+            this.elements.selectModeBtn.classList.toggle('active', selection.active);
+            this.elements.selectModeBtn.setAttribute('aria-pressed', String(selection.active));
+        }
+        this.renderSelectionBar();
+    },
+
+    /**
+     * Check if an item is selected
+     */
+    isSelected(furnitureId) {
+        return this.state.selection.ids.has(furnitureId);
+    },
+
+    /**
+     * Toggle a card's selection, or select a range from the last toggled card
+     * @param {number} furnitureId - Clicked item
+     * @param {boolean} range - Shift held: select everything between the last toggled card and this one
+     */
+    toggleSelection(furnitureId, range = false) {
+        const selection = this.state.selection;
+        const index = this.state.furniture.findIndex(f => f.id === furnitureId);
+        if (index === -1) return;
+
+        if (!selection.active) {
+            this.toggleSelectMode(true);
+        }
+
+        if (range && selection.lastIndex !== null && selection.lastIndex !== index) {
+            const start = Math.min(selection.lastIndex, index);
+            const end = Math.max(selection.lastIndex, index);
+            this.selectItems(this.state.furniture.slice(start, end + 1).map(f => f.id));
+        } else if (selection.ids.has(furnitureId)) {
+            selection.ids.delete(furnitureId);
+            this.updateSelectionCard(furnitureId);
+        } else {
+            this.selectItems([furnitureId]);
+        }
+
+        selection.lastIndex = index;
+        this.renderSelectionBar();
+    },
+
+    /**
+     * Add items to the selection, up to the bulk limit
+     */
+    selectItems(furnitureIds) {
+        const selection = this.state.selection;
+        const max = this.selectionConfig.maxItems;
+
+        for (const id of furnitureIds) {
+            if (selection.ids.has(id)) continue;
+            if (selection.ids.size >= max) {
+                this.toast(window.GTAW.__('selection.limit', { max }), 'warning');
+                break;
+            }
+            selection.ids.add(id);
+            this.updateSelectionCard(id);
+        }
+    },
+
+    /**
+     * Select every loaded item (in infinite scroll, every page loaded so far)
+     */
+    selectAll() {
+        if (!this.state.selection.active) {
+            this.toggleSelectMode(true);
+        }
+        this.selectItems(this.state.furniture.map(f => f.id));
+        this.renderSelectionBar();
+    },
+
+    /**
+     * Deselect everything but stay in selection mode
+     */
+    clearSelection() {
+        const ids = [...this.state.selection.ids];
+        this.state.selection.ids.clear();
+        this.state.selection.lastIndex = null;
+        ids.forEach(id => this.updateSelectionCard(id));
+        this.renderSelectionBar();
+    },
+
+    /**
+     * Drop selected items that are no longer loaded (after a filter or page change)
+     */
+    pruneSelection() {
+        const selection = this.state.selection;
+        selection.lastIndex = null;
+        if (selection.ids.size === 0) return;
+
+        const loadedIds = new Set(this.state.furniture.map(f => f.id));
+        selection.ids.forEach(id => {
+            if (!loadedIds.has(id)) selection.ids.delete(id);
+        });
+        this.renderSelectionBar();
+    },
+
+    /**
+     * Update a card's checkbox without re-rendering
+     */
+    updateSelectionCard(furnitureId) {
+        const card = this.elements.grid?.querySelector(`.furniture-card[data-id="${furnitureId}"]`);
+        if (!card) return;
+
+        const selected = this.isSelected(furnitureId);
+        card.classList.toggle('selected', selected);
+        card.querySelector('.card-select')?.setAttribute('aria-checked', String(selected));
+    },
+
+    /**
+     * Selected items in grid order
+     */
+    getSelectedItems() {
+        return this.state.furniture.filter(f => this.state.selection.ids.has(f.id));
+    },
+
+    /**
+     * Render the floating bulk action bar
+     */
+    renderSelectionBar() {
+        const bar = this.elements.selectionBar;
+        if (!bar) return;
+
+        const active = this.state.selection.active;
+        bar.hidden = !active;
+        document.body.classList.toggle('has-selection-bar', active);
+        if (!active) {
+            bar.innerHTML = '';
+            return;
+        }
+
+        const count = this.state.selection.ids.size;
+        const disabled = count === 0 ? 'disabled' : '';
+
+        bar.innerHTML = `
+            <span class="selection-bar-count">${window.GTAW.__('selection.count', { count })}</span>
+            <div class="selection-bar-actions">
+                <button class="btn btn-sm" onclick="App.favoriteSelected()" ${disabled}>❤️ ${window.GTAW.__('selection.favorite')}</button>
+                <button class="btn btn-sm" onclick="App.addSelectedToCollection()" ${disabled}>📁 ${window.GTAW.__('selection.add_to_collection')}</button>
+                <button class="btn btn-sm" onclick="App.copySelectedCommands()" ${disabled}>📋 ${window.GTAW.__('selection.copy_commands')}</button>
+                <button class="btn btn-sm" onclick="App.selectAll()">${window.GTAW.__('selection.select_all')}</button>
+                <button class="btn btn-sm" onclick="App.clearSelection()" ${disabled}>${window.GTAW.__('selection.clear')}</button>
+                <button class="btn btn-primary btn-sm" onclick="App.toggleSelectMode(false)">${window.GTAW.__('selection.done')}</button>
+            </div>
+        `;
+    },
+
+    /**
+     * Favorite every selected item in one request
+     */
+    async favoriteSelected() {
+        const ids = [...this.state.selection.ids];
+        if (ids.length === 0) return;
+
+        if (!this.state.user) {
+            this.favoriteSelectedAsGuest(ids);
+            return;
+        }
+
+        try {
+            const { data } = await this.api('favorites/bulk', {
+                method: 'POST',
+                body: { furniture_ids: ids }
+            });
+
+            ids.forEach(id => {
+                this.state.favorites.add(id);
+                this.updateFavoriteButton(id);
+            });
+            this.toast(window.GTAW.__('selection.favorited', { count: data.added, existing: data.existing }), 'success');
+        } catch (error) {
+            console.error('Bulk favorite failed:', error);
+            this.toast(window.GTAW.__('favorites.failed'), 'error');
+        }
+    },
+
+    /**
+     * Add selected items to the guest's local favorites
+     */
+    favoriteSelectedAsGuest(ids) {
+        const current = this.getGuestFavorites();
+        const added = ids.filter(id => !current.includes(id));
+
+        if (current.length + added.length > this.guestFavoritesConfig.maxItems) {
+            this.toast(window.GTAW.__('guest_favorites.limit', { count: this.guestFavoritesConfig.maxItems }), 'error');
+            return;
+        }
+
+        const next = [...added, ...current];
+        if (!this.setGuestFavorites(next)) {
+            this.toast(window.GTAW.__('favorites.failed'), 'error');
+            return;
+        }
+
+        this.state.favorites = new Set(next);
+        ids.forEach(id => this.updateFavoriteButton(id));
+        this.toast(window.GTAW.__('selection.favorited', { count: added.length, existing: ids.length - added.length }), 'success');
+    },
+
+    /**
+     * Open the collection picker for every selected item
+     */
+    addSelectedToCollection() {
+        if (!this.state.user) {
+            this.toast(window.GTAW.__('selection.login_required'), 'info');
+            return;
+        }
+
+        const ids = this.getSelectedItems().map(f => f.id);
+        if (ids.length > 0) {
+            window.GTAW.collectionPicker.open(ids);
+        }
+    },
+
+    /**
+     * Copy the /sf commands of all selected items as one block
+     */
+    async copySelectedCommands() {
+        const items = this.getSelectedItems();
+        if (items.length === 0) return;
+
+        const block = items.map(item => `/sf ${item.name}`).join('\n');
+        const success = await window.GTAW.copyToClipboard(block);
+        this.toast(
+            success ? window.GTAW.__('selection.commands_copied', { count: items.length }) : window.GTAW.__('card.copy_failed'),
+            success ? 'success' : 'error'
+        );
+    },
+
+
+    // =========================================
+    // QUERY SYNTAX
+    // =========================================
+
+    /**
+     * Split a search query into syntax tokens and free text
+     * 
+     * Mirrors parseSearchQuery() in includes/search.php, which applies the
+     * tokens server-side; this copy only drives the chips and autocomplete.
+     * Returns { text, tokens: [{ type, value, raw, offset }] } where type is one of
+     * phrase, exclude, tag, cat, exclude_tag, exclude_cat, price or id, and
+     * offset is where raw starts in the query.
+     */
+    parseSearchQuery(query) {
+        const tokens = [];
+        const words = [];
+        const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/giu;
+
+        for (const match of (query || '').matchAll(pattern)) {
+            const [raw, sign, rawPrefix, quoted, plain] = match;
+            const prefix = (rawPrefix || '').toLowerCase();
+            const isQuoted = Boolean(quoted) && !plain;
+            const value = (isQuoted ? quoted : (plain || '')).trim();
+            if (!value) continue;
+
+            let type = null;
+            if (prefix === 'tag' || prefix === 'cat') {
+                type = sign === '-' ? `exclude_${prefix}` : prefix;
+            } else if (sign === '-' && prefix) {
+                // -id: and -price: have no meaning; keep them as typed
+                type = null;
+            } else if (prefix === 'id' && value.split(',').some(id => parseInt(id, 10) > 0)) {
+                type = 'id';
+            } else if (prefix === 'price' && /^((<=|>=|<|>|=)?\d+|\d+-\d+)$/.test(value.replace(/[,$\s]/g, ''))) {
+                type = 'price';
+            } else if (!prefix && sign === '-') {
+                type = 'exclude';
+            } else if (!prefix && isQuoted) {
+                type = 'phrase';
+            }
+
+            if (type) {
+                tokens.push({ type, value, raw, offset: match.index });
+            } else {
+                words.push(raw);
+            }
+        }
+
+        return { text: words.join(' ').trim(), tokens };
+    },
+
+    /**
+     * Show recognised query syntax tokens as removable chips under the search box
+     */
+    renderSearchChips() {
+        const container = this.elements.searchChips;
+        if (!container) return;
+
+        const { tokens } = this.parseSearchQuery(this.elements.searchInput?.value || '');
+        container.hidden = tokens.length === 0;
+
+        container.innerHTML = tokens.map((token, index) => `
+            <span class="search-chip search-chip-${token.type}">
+                <span class="search-chip-type">${window.GTAW.__(`search.chip_${token.type}`)}</span>
+                <span class="search-chip-value">${this.escapeHtml(token.value)}</span>
+                <button type="button" class="search-chip-remove" data-index="${index}" aria-label="${window.GTAW.__('search.chip_remove', { token: this.escapeHtml(token.raw) })}">×</button>
+            </span>
+        `).join('');
+    },
+
+    /**
+     * Remove one syntax token from the search query and re-run the search
+     */
+    removeSearchChip(index) {
+        const input = this.elements.searchInput;
+        if (!input) return;
+
+        const { tokens } = this.parseSearchQuery(input.value);
+        const token = tokens[index];
+        if (!token) return;
+
+        // Cut out this occurrence; the same text may appear earlier in the query
+        const query = input.value;
+        input.value = `${query.slice(0, token.offset)} ${query.slice(token.offset + token.raw.length)}`
+            .replace(/\s+/g, ' ')
+            .trim();
+        this.state.filters.search = input.value;
+        this.state.pagination.page = 1;
+        this.renderSearchChips();
+        this.loadFurniture();
+        this.updateUrl();
+    },
+
+
+    // =========================================
+    // MATCH HIGHLIGHTING
+    // =========================================
+
+    /**
+     * Collect the terms to highlight for the current search
+     * 
+     * literal: words and phrases the user typed
+     * expanded: synonyms and translated terms the server also searched for
+     */
+    getHighlightTerms() {
+        if (!this.state.filters.search) {
+            return { literal: [], expanded: [] };
+        }
+
+        const { text, tokens } = this.parseSearchQuery(this.state.filters.search);
+        const literal = [
+            ...text.split(/\s+/),
+            ...tokens.filter(token => token.type === 'phrase').map(token => token.value)
+        ].filter(term => term.length >= 2);
+
+        const meta = this.state.searchMeta || {};
+        const literalLower = new Set(literal.map(term => term.toLowerCase()));
+        const expanded = [
+            ...(meta.translated_query ? meta.translated_query.split(/\s+/) : []),
+            ...(meta.synonyms_used || [])
+        ].filter(term => term.length >= 2 && !literalLower.has(term.toLowerCase()));
+
+        return { literal, expanded: [...new Set(expanded)] };
+    },
+
+    /**
+     * Escape text and wrap every occurrence of the given terms in <mark>
+     * 
+     * @param {string} text - Plain text to render
+     * @param {string[]} terms - Terms matched case-insensitively
+     * @param {string[]} [expandedTerms] - Terms that only matched through expansion (marked .match-synonym)
+     */
+    highlightMatches(text, terms, expandedTerms = []) {
+        const lower = text.toLowerCase();
+        const ranges = [];
+
+        const collect = (list, synonym) => list.forEach(term => {
+            const needle = term.toLowerCase();
+            if (!needle) return;
+            let at = lower.indexOf(needle);
+            while (at !== -1) {
+                ranges.push({ start: at, end: at + needle.length, synonym });
+                at = lower.indexOf(needle, at + needle.length);
+            }
+        });
+        collect(terms, false);
+        collect(expandedTerms, true);
+
+        if (ranges.length === 0) {
+            return this.escapeHtml(text);
+        }
+
+        // Merge overlapping ranges; a literal match wins over a synonym one
+        ranges.sort((a, b) => a.start - b.start);
+        const merged = [ranges[0]];
+        for (const range of ranges.slice(1)) {
+            const last = merged[merged.length - 1];
+            if (range.start <= last.end) {
+                last.end = Math.max(last.end, range.end);
+                last.synonym = last.synonym && range.synonym;
+            } else {
+                merged.push(range);
+            }
+        }
+
+        let html = '';
+        let cursor = 0;
+        for (const range of merged) {
+            html += this.escapeHtml(text.slice(cursor, range.start));
+            html += `<mark${range.synonym ? ' class="match-synonym"' : ''}>${this.escapeHtml(text.slice(range.start, range.end))}</mark>`;
+            cursor = range.end;
+        }
+        return html + this.escapeHtml(text.slice(cursor));
+    },
+
+    /**
+     * Highlight an item name for the current search
+     */
+    highlightName(name) {
+        const { literal, expanded } = this.state.highlightTerms;
+        return this.highlightMatches(name, literal, expanded);
+    },
+
+    /**
+     * Find the expanded term an item name matched through, when the literal query doesn't appear in it
+     * @returns {string|null}
+     */
+    getSynonymMatch(name) {
+        const { literal, expanded } = this.state.highlightTerms;
+        if (literal.length === 0 || expanded.length === 0) return null;
+
+        const lower = name.toLowerCase();
+        if (literal.some(term => lower.includes(term.toLowerCase()))) return null;
+
+        return expanded.find(term => lower.includes(term.toLowerCase())) || null;
+    },
+
+
+    // =========================================
+    // AUTOCOMPLETE
+    // =========================================
+
+    /**
+     * Bind the search input's suggestion dropdown
+     */
+    bindAutocompleteEvents() {
+        const input = this.elements.searchInput;
+        const dropdown = this.elements.autocomplete;
+        if (!input || !dropdown) return;
+
+        const fetchSuggestions = window.GTAW.debounce(() => {
+            this.loadSuggestions(input.value.trim());
+        }, DEBOUNCE_DELAY_AUTOCOMPLETE);
+
+        input.addEventListener('input', fetchSuggestions);
+
+        input.addEventListener('keydown', (e) => {
+            if (!this.isAutocompleteOpen()) {
+                if (e.key === 'ArrowDown' && this.state.autocomplete.items.length > 0) {
+                    e.preventDefault();
+                    this.openAutocomplete();
+                }
+                return;
+            }
+
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                this.moveAutocomplete(1);
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.moveAutocomplete(-1);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                const index = this.state.autocomplete.activeIndex;
+                this.chooseSuggestion(index >= 0 ? index : 0);
+            } else if (e.key === 'Escape') {
+                // Close the dropdown first; a second Escape blurs the input
+                e.stopPropagation();
+                this.closeAutocomplete();
+            }
+        });
+
+        input.addEventListener('blur', () => {
+            this.closeAutocomplete();
+        });
+
+        // mousedown instead of click so the input doesn't lose focus first
+        dropdown.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('.autocomplete-item');
+            if (!option) return;
+            e.preventDefault();
+            this.chooseSuggestion(parseInt(option.dataset.index, 10));
+        });
+    },
+
+    /**
+     * Fetch suggestions for the typed text
+     */
+    async loadSuggestions(query) {
+        const requestId = (this._autocompleteRequestId || 0) + 1;
+        this._autocompleteRequestId = requestId;
+
+        // Only the free text is suggested on; operators like tag:x are kept as typed
+        const { text, tokens } = this.parseSearchQuery(query);
+
+        if (text.length < this.autocompleteConfig.minLength) {
+            this.state.autocomplete.items = [];
+            this.closeAutocomplete();
+            return;
+        }
+
+        try {
+            const { data } = await this.api('furniture/suggest', {
+                params: { q: text, limit: this.autocompleteConfig.limit },
+                channel: 'suggest'
+            });
+
+            // The user kept typing; a newer request owns the dropdown
+            if (requestId !== this._autocompleteRequestId) return;
+
+            this.state.autocomplete.query = text;
+            this.state.autocomplete.operators = tokens.map(token => token.raw).join(' ');
+            this.state.autocomplete.items = this.buildSuggestionItems(query, data);
+            this.renderAutocomplete();
+        } catch (error) {
+            if (!this.isAbortError(error)) {
+                console.error('Failed to load suggestions:', error);
+            }
+        }
+    },
+
+    /**
+     * Flatten the suggestion response into one navigable list
+     */
+    buildSuggestionItems(query, data) {
+        const items = [{ type: 'search', label: query, value: query }];
+
+        if (data.did_you_mean) {
+            const corrected = `${this.state.autocomplete.operators} ${data.did_you_mean}`.trim();
+            items.push({ type: 'search', label: data.did_you_mean, value: corrected, corrected: true });
+        }
+        (data.furniture || []).forEach(item => {
+            items.push({ type: 'furniture', label: item.name, value: item.id, image: item.image_url });
+        });
+        (data.categories || []).forEach(cat => {
+            items.push({ type: 'category', label: cat.name, value: cat.slug, icon: cat.icon });
+        });
+        (data.tags || []).forEach(tag => {
+            items.push({ type: 'tag', label: tag.name, value: tag.slug, color: tag.color });
+        });
+
+        return items;
+    },
+
+    /**
+     * Render the suggestion dropdown
+     */
+    renderAutocomplete() {
+        const dropdown = this.elements.autocomplete;
+        if (!dropdown) return;
+
+        const { items, query } = this.state.autocomplete;
+        this.state.autocomplete.activeIndex = -1;
+
+        // Only the "search for" row: nothing worth showing
+        if (items.length <= 1) {
+            this.closeAutocomplete();
+            return;
+        }
+
+        dropdown.innerHTML = items.map((item, index) => {
+            let icon = '🔍';
+            if (item.type === 'furniture') {
+                icon = `<img class="autocomplete-thumb" src="${this.escapeHtml(item.image || '/images/placeholder.svg')}" alt="" loading="lazy" onerror="this.src='/images/placeholder.svg'">`;
+            } else if (item.type === 'category') {
+                icon = this.escapeHtml(item.icon || '📁');
+            } else if (item.type === 'tag') {
+                icon = `<span class="tag-color-dot" style="--tag-color: ${this.escapeHtml(item.color || '')}"></span>`;
+            }
+
+            const text = item.type === 'search'
+                ? window.GTAW.__(item.corrected ? 'search.did_you_mean' : 'autocomplete.search_for', {
+                    query: this.highlightMatches(item.label, [query]),
+                    suggestions: this.highlightMatches(item.label, [query])
+                })
+                : this.highlightMatches(item.label, [query]);
+
+            return `
+                <div class="autocomplete-item autocomplete-type-${item.type}" id="autocomplete-option-${index}" role="option" aria-selected="false" data-index="${index}">
+                    <span class="autocomplete-icon">${icon}</span>
+                    <span class="autocomplete-text">${text}</span>
+                    <span class="autocomplete-type">${window.GTAW.__(`autocomplete.type_${item.type}`)}</span>
+                </div>
+            `;
+        }).join('');
+
+        this.openAutocomplete();
+    },
+
+    /**
+     * Check if the suggestion dropdown is visible
+     */
+    isAutocompleteOpen() {
+        return this.elements.autocomplete?.classList.contains('open') || false;
+    },
+
+    /**
+     * Show the suggestion dropdown
+     */
+    openAutocomplete() {
+        if (!this.elements.autocomplete?.innerHTML.trim()) return;
+        this.elements.autocomplete.classList.add('open');
+        this.elements.searchInput?.setAttribute('aria-expanded', 'true');
+    },
+
+    /**
+     * Hide the suggestion dropdown
+     */
+    closeAutocomplete() {
+        this.elements.autocomplete?.classList.remove('open');
+        this.state.autocomplete.activeIndex = -1;
+        this.elements.searchInput?.setAttribute('aria-expanded', 'false');
+        this.elements.searchInput?.removeAttribute('aria-activedescendant');
+    },
+
+    /**
+     * Move the highlighted suggestion up or down (wraps around)
+     */
+    moveAutocomplete(step) {
+        const count = this.state.autocomplete.items.length;
+        if (count === 0) return;
+
+        const current = this.state.autocomplete.activeIndex;
+        const next = current === -1 && step < 0 ? count - 1 : (current + step + count) % count;
+        this.state.autocomplete.activeIndex = next;
+
+        this.elements.autocomplete.querySelectorAll('.autocomplete-item').forEach(option => {
+            const active = parseInt(option.dataset.index, 10) === next;
+            option.classList.toggle('active', active);
+            option.setAttribute('aria-selected', String(active));
+            if (active) {
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+        this.elements.searchInput?.setAttribute('aria-activedescendant', `autocomplete-option-${next}`);
+    },
+
+    /**
+     * Apply a suggestion: text search, open an item, or filter by category/tag
+     */
+    chooseSuggestion(index) {
+        const item = this.state.autocomplete.items[index];
+        if (!item) return;
+
+        this.closeAutocomplete();
+        clearTimeout(this._searchTimeout);
+        this.elements.searchContainer?.classList.remove('searching');
+
+        if (item.type === 'furniture') {
+            this.openLightbox(item.value);
+            return;
+        }
+
+        // Category and tag suggestions replace the free text with a filter
+        const searchText = item.type === 'search' ? item.value : this.state.autocomplete.operators;
+        if (this.elements.searchInput) {
+            this.elements.searchInput.value = searchText;
+        }
+        this.state.filters.search = searchText;
+        this.state.pagination.page = 1;
+        this.renderSearchChips();
+
+        if (item.type === 'category') {
+            this.state.filters.category = item.value;
+            if (this.elements.categorySelect) {
+                this.elements.categorySelect.value = item.value;
+            }
+            this.loadTagsForCategory(item.value);
+        } else if (item.type === 'tag' && !this.state.filters.tags.includes(item.value)) {
+            this.toggleTagFilter(item.value); // reloads and updates the URL
+            return;
+        }
+
+        this.loadFurniture();
+        this.updateUrl();
+    },
+
+
+    // =========================================
+    // SAVED SEARCHES
+    // =========================================
+
+    /**
+     * Load the user's saved searches
+     */
+    async loadSavedSearches() {
+        if (!this.state.user || !this.elements.savedSearches) return;
+
+        try {
+            const { data } = await this.api('saved-searches', { endpoint: '/dashboard/api.php' });
+            this.state.savedSearches = data;
+        } catch (error) {
+            console.error('Failed to load saved searches:', error);
+            this.state.savedSearches = [];
+        }
+        this.renderSavedSearches();
+    },
 
     /**
-     * Update lightbox favorite button state
+     * Bind the saved searches dropdown
      */
-    updateLightboxFavoriteButton(furnitureId) {
-        if (!this.elements.lightboxFavorite) return;
-        
-        const isFav = this.state.favorites.has(furnitureId);
-        this.elements.lightboxFavorite.classList.toggle('active', isFav);
-        this.elements.lightboxFavorite.innerHTML = isFav ? '❤️' : '🤍';
-        this.elements.lightboxFavorite.setAttribute('title', isFav ? window.GTAW.__('favorites.remove') : window.GTAW.__('favorites.add'));
-        this.elements.lightboxFavorite.setAttribute('aria-label', isFav ? window.GTAW.__('favorites.remove') : window.GTAW.__('favorites.add'));
+    bindSavedSearchEvents() {
+        const { savedSearches, savedSearchesToggle, savedSearchesPanel } = this.elements;
+        if (!savedSearches || !savedSearchesToggle || !savedSearchesPanel) return;
+
+        savedSearchesToggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleSavedSearches();
+        });
+
+        savedSearchesPanel.addEventListener('click', (e) => {
+            const applyBtn = e.target.closest('.saved-search-apply');
+            const deleteBtn = e.target.closest('.saved-search-delete');
+
+            if (applyBtn) {
+                this.applySavedSearch(parseInt(applyBtn.dataset.id, 10));
+            } else if (deleteBtn) {
+                this.deleteSavedSearch(parseInt(deleteBtn.dataset.id, 10));
+            }
+        });
+
+        savedSearchesPanel.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = savedSearchesPanel.querySelector('.saved-search-name');
+            this.saveCurrentSearch(input?.value || '');
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('#saved-searches')) {
+                this.toggleSavedSearches(false);
+            }
+        });
+
+        savedSearches.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.toggleSavedSearches(false);
+                savedSearchesToggle.focus();
+            }
+        });
     },
 
     /**
-     * Show modal - delegate to shared helper
+     * Open or close the saved searches dropdown
+     * @param {boolean} [force] - Explicit state; toggles when omitted
      */
-    showModal(title, content) {
-        if (window.GTAW) {
-            window.GTAW.showModal('app-modal', title, content, () => {
-                this.state.currentFurnitureForCollection = null;
-            });
+    toggleSavedSearches(force) {
+        const { savedSearches, savedSearchesToggle, savedSearchesPanel } = this.elements;
+        if (!savedSearchesPanel) return;
+
+        const open = force === undefined ? savedSearchesPanel.hidden : force;
+        if (open === !savedSearchesPanel.hidden) return;
+
+        savedSearchesPanel.hidden = !open;
+        savedSearches.classList.toggle('open', open);
+        savedSearchesToggle.setAttribute('aria-expanded', String(open));
+
+        if (open) {
+            this.renderSavedSearches();
+            savedSearchesPanel.querySelector('.saved-search-name')?.focus();
         }
     },
 
     /**
-     * Close modal
+     * Render the saved searches dropdown panel
      */
-    closeModal() {
-        if (window.GTAW) {
-            window.GTAW.closeModal('app-modal');
-        }
-        this.state.currentFurnitureForCollection = null;
+    renderSavedSearches() {
+        const panel = this.elements.savedSearchesPanel;
+        if (!panel) return;
+
+        const searches = this.state.savedSearches;
+        const list = searches.length > 0
+            ? searches.map(search => `
+                <li class="saved-search-item">
+                    <button type="button" class="saved-search-apply" data-id="${search.id}" title="${this.escapeHtml(search.name)}">
+                        ${this.escapeHtml(search.name)}
+                    </button>
+                    <button type="button" class="saved-search-delete" data-id="${search.id}" aria-label="${window.GTAW.__('saved_searches.delete')}" title="${window.GTAW.__('saved_searches.delete')}">×</button>
+                </li>
+            `).join('')
+            : `<li class="saved-search-empty">${window.GTAW.__('saved_searches.none')}</li>`;
+
+        panel.innerHTML = `
+            <form class="saved-search-form">
+                <input type="text" class="saved-search-name" maxlength="100" 
+                       placeholder="${window.GTAW.__('saved_searches.name_placeholder')}" 
+                       aria-label="${window.GTAW.__('saved_searches.name_placeholder')}">
+                <button type="submit" class="btn btn-primary btn-sm">${window.GTAW.__('saved_searches.save')}</button>
+            </form>
+            <ul class="saved-search-list">${list}</ul>
+        `;
     },
 
     /**
-     * Open collection modal
-     * Delegates to shared GTAW.collectionPicker module
+     * Save the current filters under a name (an existing name is overwritten)
      */
-    openCollectionModal(furnitureId) {
-        window.GTAW.collectionPicker.open(furnitureId);
+    async saveCurrentSearch(name) {
+        name = name.trim();
+        if (!name) {
+            this.toast(window.GTAW.__('saved_searches.name_required'), 'warning');
+            return;
+        }
+
+        try {
+            const { data } = await this.api('saved-searches/create', {
+                endpoint: '/dashboard/api.php',
+                method: 'POST',
+                body: { name, filters: this.state.filters }
+            });
+
+            this.state.savedSearches = [
+                data,
+                ...this.state.savedSearches.filter(s => s.id !== data.id)
+            ];
+            this.renderSavedSearches();
+            this.toast(window.GTAW.__('saved_searches.saved', { name: data.name }), 'success');
+        } catch (error) {
+            this.toast(error.message || window.GTAW.__('error.generic'), 'error');
+        }
     },
 
     /**
-     * Close collection modal
+     * Restore a saved search through the regular URL state path
      */
-    closeCollectionModal() {
-        window.GTAW.collectionPicker.close();
+    applySavedSearch(id) {
+        const search = this.state.savedSearches.find(s => s.id === id);
+        if (!search) return;
+
+        // Keep the compare selection, as for any other filter change
+        const params = new URLSearchParams(search.query);
+        if (this.state.compare.ids.length > 0) {
+            params.set('compare', this.state.compare.ids.join(','));
+        }
+        window.history.pushState({}, '', params.toString() ? `?${params}` : window.location.pathname);
+
+        this.parseUrlParams();
+        this.syncFiltersToUI();
+        this.loadFurniture();
+        this.toggleSavedSearches(false);
     },
 
     /**
-     * Share current furniture item (copy deep link)
+     * Delete a saved search
      */
-    async shareFurniture() {
-        const item = this.state.furniture[this.state.lightbox.currentIndex];
-        if (!item) return;
+    async deleteSavedSearch(id) {
+        const search = this.state.savedSearches.find(s => s.id === id);
+        if (!search || !confirm(window.GTAW.__('saved_searches.confirm_delete', { name: search.name }))) return;
 
-        const url = new URL(window.location.origin);
-        url.searchParams.set('furniture', item.id);
-        
         try {
-            await navigator.clipboard.writeText(url.toString());
-            this.toast(window.GTAW.__('lightbox.share_copied'), 'success');
-        } catch {
-            // Fallback
-            const input = document.createElement('input');
-            input.value = url.toString();
-            document.body.appendChild(input);
-            input.select();
-            document.execCommand('copy');
-            document.body.removeChild(input);
-            this.toast(window.GTAW.__('lightbox.share_copied'), 'success');
+            await this.api('saved-searches/delete', {
+                endpoint: '/dashboard/api.php',
+                method: 'POST',
+                params: { id },
+                body: {}
+            });
+            this.state.savedSearches = this.state.savedSearches.filter(s => s.id !== id);
+            this.renderSavedSearches();
+            this.toast(window.GTAW.__('saved_searches.deleted'), 'success');
+        } catch (error) {
+            this.toast(error.message || window.GTAW.__('error.generic'), 'error');
         }
     },
 
@@ -1098,6 +3020,32 @@ const App = {
     // RENDER METHODS
     // =========================================
 
+    /**
+     * Replace the grid with a retry prompt after a failed (not superseded) load
+     */
+    renderLoadError() {
+        if (!this.elements.grid) return;
+
+        // Keep state consistent with what's on screen; a retry reloads the page anyway
+        this.state.furniture = [];
+        this.pruneSelection();
+        this.disableVirtualGrid();
+
+        this.elements.grid.innerHTML = `
+            <div class="empty-state load-error" role="alert">
+                <div class="icon">⚠️</div>
+                <h3>${window.GTAW.__('error.load_failed')}</h3>
+                <p>${window.GTAW.__('error.load_failed_hint')}</p>
+                <div class="suggestion">
+                    <button class="suggestion-btn" onclick="App.loadFurniture()">${window.GTAW.__('error.retry')}</button>
+                </div>
+            </div>
+        `;
+        if (this.elements.pagination) {
+            this.elements.pagination.innerHTML = '';
+        }
+    },
+
     /**
      * Render the furniture grid
      */
@@ -1108,9 +3056,8 @@ const App = {
         this.renderSearchInfo();
 
         if (this.state.furniture.length === 0) {
-            const hasFilters = this.state.filters.search || 
-                              this.state.filters.category || 
-                              this.state.filters.tags.length > 0;
+            this.disableVirtualGrid();
+            const hasFilters = this.hasActiveFilters();
             
             this.elements.grid.innerHTML = `
                 <div class="empty-state">
@@ -1128,14 +3075,186 @@ const App = {
             return;
         }
 
-        this.elements.grid.innerHTML = this.state.furniture
-            .map(item => this.renderCard(item))
-            .join('');
+        if (this.state.furniture.length > this.virtualGridConfig.threshold) {
+            this.enableVirtualGrid();
+        } else {
+            this.disableVirtualGrid();
+            const pendingKeys = window.GTAW.mutationQueue.getPendingKeys();
+            this.elements.grid.innerHTML = this.state.furniture
+                .map(item => this.renderCard(item, pendingKeys))
+                .join('');
+        }
 
         this.renderPagination();
         this.handleDeepLink();
+        this.checkInfiniteScroll();
+    },
+
+    /**
+     * Append cards for a newly loaded page without re-rendering the grid
+     */
+    appendCards(items) {
+        if (!this.elements.grid) return;
+
+        if (this.state.furniture.length > this.virtualGridConfig.threshold) {
+            this.enableVirtualGrid();
+        } else {
+            const pendingKeys = window.GTAW.mutationQueue.getPendingKeys();
+            this.elements.grid.insertAdjacentHTML('beforeend', items.map(item => this.renderCard(item, pendingKeys)).join(''));
+        }
+        this.renderPagination();
+
+        // Keep the lightbox arrows in sync when a page arrives while it is open
+        if (this.state.lightbox.isOpen && this.elements.lightboxNext) {
+            this.elements.lightboxNext.disabled = !this.state.lightbox.relatedItem &&
+                this.state.lightbox.currentIndex === this.state.furniture.length - 1 && !this.hasMorePages();
+        }
     },
     
+    // =========================================
+    // VIRTUALIZED GRID
+    // =========================================
+
+    /**
+     * Re-window the grid on scroll and re-measure it on resize
+     */
+    initVirtualGrid() {
+        let frame = null;
+        window.addEventListener('scroll', () => {
+            if (!this.state.virtualGrid.enabled || frame) return;
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                this.updateVirtualWindow();
+            });
+        }, { passive: true });
+
+        // Column count and card height both follow the viewport width
+        window.addEventListener('resize', window.GTAW.debounce(() => {
+            if (!this.state.virtualGrid.enabled) return;
+            this.measureVirtualGrid();
+            this.updateVirtualWindow(true);
+        }, 150));
+    },
+
+    /**
+     * Switch the grid to windowed rendering (or refresh it if already on)
+     */
+    enableVirtualGrid() {
+        const grid = this.elements.grid;
+        if (!grid) return;
+
+        if (!this.state.virtualGrid.enabled) {
+            this.state.virtualGrid.enabled = true;
+            grid.classList.add('virtualized');
+        }
+
+        this.measureVirtualGrid();
+        this.updateVirtualWindow(true);
+    },
+
+    /**
+     * Return the grid to rendering every card
+     */
+    disableVirtualGrid() {
+        const vg = this.state.virtualGrid;
+        if (!vg.enabled) return;
+
+        vg.enabled = false;
+        vg.startIndex = -1;
+        vg.endIndex = -1;
+        if (this.elements.grid) {
+            this.elements.grid.classList.remove('virtualized');
+            this.elements.grid.style.paddingTop = '';
+            this.elements.grid.style.paddingBottom = '';
+        }
+    },
+
+    /**
+     * Measure column count and row height from the live layout
+     */
+    measureVirtualGrid() {
+        const grid = this.elements.grid;
+        const vg = this.state.virtualGrid;
+
+        vg.columns = this.getGridColumns();
+
+        // Need a rendered card to measure; render the first row if the grid has none
+        let card = grid.querySelector('.furniture-card');
+        if (!card) {
+            const pendingKeys = window.GTAW.mutationQueue.getPendingKeys();
+            grid.innerHTML = this.state.furniture
+                .slice(0, vg.columns)
+                .map(item => this.renderCard(item, pendingKeys))
+                .join('');
+            card = grid.querySelector('.furniture-card');
+        }
+
+        const rowGap = parseFloat(window.getComputedStyle(grid).rowGap) || 0;
+        vg.rowHeight = card ? card.offsetHeight + rowGap : 0;
+    },
+
+    /**
+     * Render only the rows around the viewport, padding the grid
+     * so its total height matches the full result set
+     */
+    updateVirtualWindow(force = false) {
+        const grid = this.elements.grid;
+        const vg = this.state.virtualGrid;
+        if (!grid || !vg.enabled || !vg.rowHeight) return;
+
+        const total = this.state.furniture.length;
+        const totalRows = Math.ceil(total / vg.columns);
+        const overscan = this.virtualGridConfig.overscanRows;
+
+        const viewTop = window.scrollY - (grid.getBoundingClientRect().top + window.scrollY);
+        const firstRow = Math.min(totalRows, Math.max(0, Math.floor(viewTop / vg.rowHeight) - overscan));
+        const lastRow = Math.min(totalRows, Math.max(firstRow, Math.ceil((viewTop + window.innerHeight) / vg.rowHeight) + overscan));
+
+        const startIndex = firstRow * vg.columns;
+        const endIndex = Math.min(total, lastRow * vg.columns);
+        if (!force && startIndex === vg.startIndex && endIndex === vg.endIndex) return;
+
+        // Keep keyboard focus on the same card across re-renders
+        const focusedCard = grid.contains(document.activeElement) ? document.activeElement.closest('.furniture-card') : null;
+        const focusedId = focusedCard?.dataset.id;
+
+        grid.style.paddingTop = `${firstRow * vg.rowHeight}px`;
+        grid.style.paddingBottom = `${(totalRows - lastRow) * vg.rowHeight}px`;
+        const pendingKeys = window.GTAW.mutationQueue.getPendingKeys();
+        grid.innerHTML = this.state.furniture
+            .slice(startIndex, endIndex)
+            .map(item => this.renderCard(item, pendingKeys))
+            .join('');
+
+        vg.startIndex = startIndex;
+        vg.endIndex = endIndex;
+
+        if (focusedId) {
+            grid.querySelector(`.furniture-card[data-id="${focusedId}"]`)?.focus({ preventScroll: true });
+        }
+    },
+
+    /**
+     * Get the card element for an item index, scrolling its row into the window if needed
+     */
+    getVirtualCard(index) {
+        const item = this.state.furniture[index];
+        const grid = this.elements.grid;
+        if (!item || !grid) return null;
+
+        const selector = `.furniture-card[data-id="${item.id}"]`;
+        let card = grid.querySelector(selector);
+        if (!card) {
+            const vg = this.state.virtualGrid;
+            const row = Math.floor(index / vg.columns);
+            const gridTop = grid.getBoundingClientRect().top + window.scrollY;
+            window.scrollTo({ top: gridTop + row * vg.rowHeight - (window.innerHeight - vg.rowHeight) / 2 });
+            this.updateVirtualWindow(true);
+            card = grid.querySelector(selector);
+        }
+        return card;
+    },
+
     /**
      * Render search info banner showing synonym expansion, language translation, and typo corrections
      */
@@ -1302,18 +3421,22 @@ const App = {
             search: '',
             sort: 'name',
             order: 'asc',
-            favoritesOnly: false
+            favoritesOnly: false,
+            priceMin: null,
+            priceMax: null
         };
         this.state.pagination.page = 1;
         
         // Reset UI
         if (this.elements.searchInput) this.elements.searchInput.value = '';
+        this.renderSearchChips();
         if (this.elements.categorySelect) this.elements.categorySelect.value = '';
         if (this.elements.sortSelect) this.elements.sortSelect.value = 'name-asc';
         if (this.elements.favoritesOnlyBtn) {
             this.elements.favoritesOnlyBtn.classList.remove('active');
             this.elements.favoritesOnlyBtn.setAttribute('aria-pressed', 'false');
         }
+        this.renderPriceFilter();
         
         this.renderTagFilters();
         this.updateActiveTagsDisplay();
@@ -1321,14 +3444,149 @@ const App = {
         this.updateUrl();
     },
 
+    /**
+     * Check if any filter that narrows the result set is active
+     */
+    hasActiveFilters() {
+        const { filters } = this.state;
+        return Boolean(
+            filters.search ||
+            filters.category ||
+            filters.tags.length > 0 ||
+            filters.priceMin !== null ||
+            filters.priceMax !== null
+        );
+    },
+
+    /**
+     * Bind the price slider and numeric inputs
+     */
+    bindPriceFilterEvents() {
+        const { priceRangeMin, priceRangeMax, priceMinInput, priceMaxInput } = this.elements;
+        if (!priceRangeMin || !priceRangeMax) return;
+
+        const applyFromSlider = window.GTAW.debounce(() => {
+            this.setPriceFilter(parseInt(priceRangeMin.value, 10), parseInt(priceRangeMax.value, 10));
+        }, DEBOUNCE_DELAY_SEARCH);
+
+        // Handles may not cross: the one being dragged stops at the other
+        priceRangeMin.addEventListener('input', () => {
+            if (parseInt(priceRangeMin.value, 10) > parseInt(priceRangeMax.value, 10)) {
+                priceRangeMin.value = priceRangeMax.value;
+            }
+            if (priceMinInput) priceMinInput.value = priceRangeMin.value;
+            this.updatePriceSliderTrack();
+            applyFromSlider();
+        });
+
+        priceRangeMax.addEventListener('input', () => {
+            if (parseInt(priceRangeMax.value, 10) < parseInt(priceRangeMin.value, 10)) {
+                priceRangeMax.value = priceRangeMin.value;
+            }
+            if (priceMaxInput) priceMaxInput.value = priceRangeMax.value;
+            this.updatePriceSliderTrack();
+            applyFromSlider();
+        });
+
+        const applyFromInputs = window.GTAW.debounce(() => {
+            const min = priceMinInput?.value !== '' ? parseInt(priceMinInput.value, 10) : null;
+            const max = priceMaxInput?.value !== '' ? parseInt(priceMaxInput.value, 10) : null;
+            this.setPriceFilter(Number.isNaN(min) ? null : min, Number.isNaN(max) ? null : max);
+            this.renderPriceFilter();
+        }, DEBOUNCE_DELAY_SEARCH);
+
+        priceMinInput?.addEventListener('input', applyFromInputs);
+        priceMaxInput?.addEventListener('input', applyFromInputs);
+    },
+
+    /**
+     * Apply a price range filter
+     * Bounds at (or beyond) the catalog's own min/max are treated as unbounded.
+     */
+    setPriceFilter(min, max) {
+        const range = this.state.priceRange;
+
+        if (min !== null && max !== null && min > max) {
+            [min, max] = [max, min];
+        }
+        if (min !== null && (min < 0 || (range.max > 0 && min <= range.min))) {
+            min = null;
+        }
+        if (max !== null && (max < 0 || (range.max > 0 && max >= range.max))) {
+            max = null;
+        }
+
+        if (min === this.state.filters.priceMin && max === this.state.filters.priceMax) return;
+
+        this.state.filters.priceMin = min;
+        this.state.filters.priceMax = max;
+        this.state.pagination.page = 1;
+        this.updateActiveTagsDisplay();
+        this.loadFurniture();
+        this.updateUrl();
+    },
+
+    /**
+     * Sync the price slider and inputs to the current filter state
+     */
+    renderPriceFilter() {
+        const { priceRangeMin, priceRangeMax, priceMinInput, priceMaxInput } = this.elements;
+        const { min, max } = this.state.priceRange;
+        const { priceMin, priceMax } = this.state.filters;
+
+        if (priceRangeMin && priceRangeMax) {
+            // Roughly 200 slider steps across the catalog range
+            const step = Math.max(1, Math.round((max - min) / 200));
+            [priceRangeMin, priceRangeMax].forEach(input => {
+                input.min = min;
+                input.max = max;
+                input.step = step;
+                input.disabled = max <= min;
+            });
+            priceRangeMin.value = priceMin ?? min;
+            priceRangeMax.value = priceMax ?? max;
+            this.updatePriceSliderTrack();
+        }
+
+        if (priceMinInput && document.activeElement !== priceMinInput) {
+            priceMinInput.value = priceMin ?? '';
+        }
+        if (priceMaxInput && document.activeElement !== priceMaxInput) {
+            priceMaxInput.value = priceMax ?? '';
+        }
+    },
+
+    /**
+     * Highlight the selected segment of the price slider track
+     */
+    updatePriceSliderTrack() {
+        const { priceSlider, priceRangeMin, priceRangeMax } = this.elements;
+        if (!priceSlider || !priceRangeMin || !priceRangeMax) return;
+
+        const min = parseFloat(priceRangeMin.min) || 0;
+        const span = (parseFloat(priceRangeMin.max) || 0) - min;
+        const toPercent = value => span > 0 ? ((parseFloat(value) - min) / span) * 100 : 0;
+
+        priceSlider.style.setProperty('--range-start', `${toPercent(priceRangeMin.value)}%`);
+        priceSlider.style.setProperty('--range-end', `${span > 0 ? toPercent(priceRangeMax.value) : 100}%`);
+    },
+
     /**
      * Render a single furniture card
      * 
      * Duplicates PHP's renderFurnitureCard() for client-side rendering.
      * Keep HTML structure and class names consistent between both functions.
+     *
+     * @param {Object} item - Furniture item
+     * @param {Set<string>} pendingKeys - Queued write keys (read once per render pass)
      */
-    renderCard(item) {
+    renderCard(item, pendingKeys = window.GTAW.mutationQueue.getPendingKeys()) {
         const isFav = this.state.favorites.has(item.id);
+        const favoritePending = pendingKeys.has(`favorite:${item.id}`);
+        const inCompare = this.isInCompare(item.id);
+        const compareLabel = inCompare ? GTAW.__('compare.remove') : GTAW.__('compare.add');
+        const isSelected = this.isSelected(item.id);
+        const synonymMatch = this.getSynonymMatch(item.name);
         const allTags = item.tags || [];
         const imageUrl = item.image_url || '/images/placeholder.svg';
         const categories = item.categories || [];
@@ -1368,17 +3626,26 @@ const App = {
         `).join('') + (extraCount > 0 ? `<span class="tag-more">+${extraCount}</span>` : '');
 
         return `
-            <article class="furniture-card" data-id="${item.id}" tabindex="0">
+            <article class="furniture-card ${isSelected ? 'selected' : ''}" data-id="${item.id}" tabindex="0">
                 <div class="card-image">
+                    <button 
+                        class="card-select" 
+                        data-id="${item.id}"
+                        role="checkbox"
+                        aria-checked="${isSelected}"
+                        aria-label="${GTAW.__('selection.select_item', { name: this.escapeHtml(item.name) })}"
+                        tabindex="-1"
+                    ></button>
                     <img 
                         src="${this.escapeHtml(imageUrl)}" 
                         alt="${this.escapeHtml(item.name)}"
                         loading="lazy"
                         onerror="this.src='/images/placeholder.svg'"
                     >
+                    ${synonymMatch ? `<span class="match-hint">${GTAW.__('search.matched_via', { term: this.escapeHtml(synonymMatch) })}</span>` : ''}
                 </div>
                 <div class="card-body">
-                    <h3 title="${this.escapeHtml(item.name)}">${this.escapeHtml(item.name)}</h3>
+                    <h3 title="${this.escapeHtml(item.name)}">${this.highlightName(item.name)}</h3>
                     <p class="meta">
                         ${categoryHtml}
                         <span class="separator">•</span>
@@ -1395,13 +3662,23 @@ const App = {
                             <span class="btn-text">${GTAW.__('card.copy')}</span>
                         </button>
                         <button 
-                            class="btn-favorite ${isFav ? 'active' : ''}" 
+                            class="btn-favorite ${isFav ? 'active' : ''} ${favoritePending ? 'pending' : ''}" 
                             data-id="${item.id}"
+                            data-pending-key="favorite:${item.id}"
                             title="${isFav ? GTAW.__('favorites.remove') : GTAW.__('favorites.add')}"
                             aria-label="${isFav ? GTAW.__('favorites.remove') : GTAW.__('favorites.add')}"
                         >
                             ${isFav ? '❤️' : '🤍'}
                         </button>
+                        <button 
+                            class="btn-compare ${inCompare ? 'active' : ''}" 
+                            data-id="${item.id}"
+                            title="${compareLabel}"
+                            aria-label="${compareLabel}"
+                            aria-pressed="${inCompare}"
+                        >
+                            ⚖️
+                        </button>
                     </div>
                 </div>
             </article>
@@ -1664,9 +3941,7 @@ const App = {
         const activeTagsList = this.elements.activeTagsList;
         const clearBtn = this.elements.clearFiltersBtn;
         
-        const hasFilters = this.state.filters.tags.length > 0 || 
-                          this.state.filters.category || 
-                          this.state.filters.search;
+        const hasFilters = this.hasActiveFilters();
         
         // Show/hide clear button
         if (clearBtn) {
@@ -1726,6 +4001,29 @@ const App = {
             return;
         }
 
+        const modeToggle = `
+            <button class="pagination-mode-toggle" onclick="App.toggleInfiniteScroll()">
+                ${this.state.infiniteScroll.enabled ? window.GTAW.__('pagination.mode_pages') : window.GTAW.__('pagination.mode_infinite')}
+            </button>
+        `;
+
+        if (this.state.infiniteScroll.enabled) {
+            const { loadingMore, failed } = this.state.infiniteScroll;
+            this.elements.pagination.innerHTML = `
+                <span class="page-info">${window.GTAW.__('pagination.showing', { count: this.state.furniture.length, total })}</span>
+                ${failed && !loadingMore ? `
+                    <span class="load-more-error" role="alert">${window.GTAW.__('pagination.load_more_failed')}</span>
+                ` : ''}
+                ${this.hasMorePages() ? `
+                    <button class="btn-load-more" ${loadingMore ? 'disabled' : ''} onclick="App.loadMore()">
+                        ${loadingMore ? window.GTAW.__('pagination.loading_more') : window.GTAW.__(failed ? 'error.retry' : 'pagination.load_more')}
+                    </button>
+                ` : ''}
+                ${modeToggle}
+            `;
+            return;
+        }
+
         this.elements.pagination.innerHTML = `
             <button 
                 ${page <= 1 ? 'disabled' : ''} 
@@ -1742,6 +4040,7 @@ const App = {
             >
                 ${window.GTAW.__('pagination.next')}
             </button>
+            ${modeToggle}
         `;
     },
 
@@ -1755,6 +4054,73 @@ const App = {
         window.scrollTo({ top: 0, behavior: 'smooth' });
     },
 
+    /**
+     * Restore the saved grid mode and watch the pagination bar,
+     * which doubles as the infinite scroll sentinel
+     */
+    initInfiniteScroll() {
+        try {
+            this.state.infiniteScroll.enabled = localStorage.getItem(this.infiniteScrollConfig.key) === 'infinite';
+        } catch {
+            // localStorage not available
+        }
+
+        // Without IntersectionObserver the "Load more" button still works
+        if (!this.elements.pagination || !('IntersectionObserver' in window)) return;
+
+        const observer = new IntersectionObserver((entries) => {
+            const { enabled, failed } = this.state.infiniteScroll;
+            if (enabled && !failed && entries.some(entry => entry.isIntersecting)) {
+                this.loadMore();
+            }
+        }, { rootMargin: `0px 0px ${this.infiniteScrollConfig.rootMargin}px 0px` });
+
+        observer.observe(this.elements.pagination);
+    },
+
+    /**
+     * Load another page if the end of the grid is still within reach.
+     * The observer only fires on changes, so a short page would otherwise stall.
+     */
+    checkInfiniteScroll() {
+        const { enabled, failed } = this.state.infiniteScroll;
+        if (!enabled || failed || !this.elements.pagination || !this.hasMorePages()) return;
+
+        const { top } = this.elements.pagination.getBoundingClientRect();
+        if (top < window.innerHeight + this.infiniteScrollConfig.rootMargin) {
+            this.loadMore();
+        }
+    },
+
+    /**
+     * Switch between paged and infinite scroll grid
+     */
+    toggleInfiniteScroll() {
+        const enabled = !this.state.infiniteScroll.enabled;
+        this.state.infiniteScroll.enabled = enabled;
+
+        try {
+            localStorage.setItem(this.infiniteScrollConfig.key, enabled ? 'infinite' : 'pages');
+        } catch {
+            // localStorage not available or quota exceeded
+        }
+
+        // Going back to pages: show only the last loaded page
+        if (!enabled && this.state.furniture.length > this.state.pagination.per_page) {
+            this.goToPage(this.state.pagination.page);
+            return;
+        }
+
+        // Infinite scroll only appends, so start over from the first page
+        if (enabled && this.state.pagination.page > 1) {
+            this.goToPage(1);
+            return;
+        }
+
+        this.renderPagination();
+        this.checkInfiniteScroll();
+    },
+
     // =========================================
     // URL STATE MANAGEMENT
     // =========================================
@@ -1786,11 +4152,15 @@ const App = {
             this.state.filters.tags = [];
         }
 
-        // Page
-        if (params.has('page')) {
+        // Page (infinite scroll starts at page 1: it can't load the pages before a linked one)
+        if (params.has('page') && !this.state.infiniteScroll.enabled) {
             this.state.pagination.page = Math.max(1, parseInt(params.get('page'), 10) || 1);
         } else {
             this.state.pagination.page = 1;
+            if (params.has('page')) {
+                params.delete('page');
+                window.history.replaceState({}, '', params.toString() ? `?${params}` : window.location.pathname);
+            }
         }
 
         // Sort
@@ -1799,6 +4169,9 @@ const App = {
             const [sort, order] = sortValue.split('-');
             this.state.filters.sort = sort || 'name';
             this.state.filters.order = order || 'asc';
+        } else {
+            this.state.filters.sort = 'name';
+            this.state.filters.order = 'asc';
         }
 
         // Favorites only
@@ -1807,6 +4180,19 @@ const App = {
         } else {
             this.state.filters.favoritesOnly = false;
         }
+
+        // Compare selection
+        this.state.compare.ids = (params.get('compare') || '')
+            .split(',')
+            .map(id => parseInt(id, 10))
+            .filter(id => id > 0)
+            .slice(0, this.compareConfig.maxItems);
+
+        // Price range
+        const priceMin = parseInt(params.get('price_min'), 10);
+        const priceMax = parseInt(params.get('price_max'), 10);
+        this.state.filters.priceMin = priceMin >= 0 ? priceMin : null;
+        this.state.filters.priceMax = priceMax >= 0 ? priceMax : null;
     },
 
     /**
@@ -1822,6 +4208,7 @@ const App = {
         if (this.elements.searchInput) {
             this.elements.searchInput.value = this.state.filters.search || '';
         }
+        this.renderSearchChips();
 
         // Sort select
         if (this.elements.sortSelect) {
@@ -1834,6 +4221,9 @@ const App = {
             this.elements.favoritesOnlyBtn.setAttribute('aria-pressed', this.state.filters.favoritesOnly);
         }
 
+        // Price range
+        this.renderPriceFilter();
+
         // Tag filters
         this.renderTagFilters();
         this.updateActiveTagsDisplay();
@@ -1841,8 +4231,9 @@ const App = {
 
     /**
      * Update URL with current filters (without reload)
+     * Pass { replace: true } to update the current history entry instead of adding one
      */
-    updateUrl() {
+    updateUrl({ replace = false } = {}) {
         const params = new URLSearchParams();
 
         if (this.state.filters.category) {
@@ -1857,7 +4248,8 @@ const App = {
             params.set('tags', this.state.filters.tags.join(','));
         }
 
-        if (this.state.pagination.page > 1) {
+        // In infinite scroll the page is only how far the grid has loaded
+        if (this.state.pagination.page > 1 && !this.state.infiniteScroll.enabled) {
             params.set('page', this.state.pagination.page.toString());
         }
 
@@ -1871,8 +4263,25 @@ const App = {
             params.set('favorites', '1');
         }
 
+        // Price range
+        if (this.state.filters.priceMin !== null) {
+            params.set('price_min', this.state.filters.priceMin.toString());
+        }
+        if (this.state.filters.priceMax !== null) {
+            params.set('price_max', this.state.filters.priceMax.toString());
+        }
+
+        // Compare selection (kept across page and filter changes)
+        if (this.state.compare.ids.length > 0) {
+            params.set('compare', this.state.compare.ids.join(','));
+        }
+
         const url = params.toString() ? `?${params.toString()}` : window.location.pathname;
-        window.history.pushState({}, '', url);
+        if (replace) {
+            window.history.replaceState({}, '', url);
+        } else {
+            window.history.pushState({}, '', url);
+        }
     },
 
     // =========================================
@@ -8,11 +8,13 @@
  * Available methods:
  * - getCsrfToken()         - Get CSRF token from meta tag or hidden input
  * - escapeHtml(text)       - Escape HTML to prevent XSS
- * - toast(msg, type)       - Show toast notification
+ * - toast(msg, type, opts) - Show toast notification (opts.persistent keeps it until dismissToast())
+ * - dismissToast(el)       - Hide a toast
  * - showModal(...)         - Show modal dialog
  * - closeModal(id)         - Close modal dialog
  * - copyToClipboard(text)  - Copy text with fallback for older browsers
  * - copyCommand(name)      - Copy /sf command and show toast
+ * - collectionCommands(items) - Build a collection's /sf export (totals and section comments)
  * - toggleTheme(toast)     - Toggle dark/light theme
  * - debounce(fn, delay)    - Debounce function calls
  * 
@@ -20,7 +22,13 @@
  * - tableSearch.init()               - Client-side table filtering
  * - duplicateDetection.init(options) - Furniture duplicate detection
  * - imagePreview.init(options)       - Live image URL preview
- * - collectionPicker.open(id)        - Add to collection modal
+ * - collectionPicker.open(id|ids)    - Add to collection modal (one or several items)
+ * - exportDialog.open(items, opts)   - Export favorites/collections as /sf, CSV, JSON, Markdown or BBCode
+ * - lightboxZoom.attach(el, img, fn) - Wheel/double-click/pinch/keyboard zoom and drag to pan in the lightbox
+ * - lightboxSwipe.attach(el, opts)   - Swipe left/right to navigate and down to close the lightbox
+ * - lightboxGallery.attach(el, img)  - Thumbnails to switch between an item's images in the lightbox
+ * - cache.fetch(url, options)        - Stale-while-revalidate GET cache (IndexedDB)
+ * - mutationQueue.submit(mutation)   - Send a favorite/collection write, retrying it with backoff if it fails
  */
 
 window.GTAW = (function () {
@@ -44,6 +52,11 @@ window.GTAW = (function () {
      */
     const TOAST_ANIMATION_DURATION = 300;
     
+    /**
+     * localStorage key for the user whose data the service worker has cached
+     */
+    const SW_USER_KEY = 'gtaw_sw_user';
+    
     // =========================================
     // INTERNATIONALIZATION (i18n)
     // =========================================
@@ -137,8 +150,11 @@ window.GTAW = (function () {
      * Show toast notification
      * @param {string} message - Message to display
      * @param {string} type - Type: 'success', 'error', 'warning', 'info'
+     * @param {Object} options
+     * @param {boolean} options.persistent - Stay until dismissToast() is called
+     * @returns {HTMLElement} The toast element
      */
-    function toast(message, type = 'info') {
+    function toast(message, type = 'info', { persistent = false } = {}) {
         const container = ensureToastContainer();
         const icons = {
             success: '✓',
@@ -157,10 +173,19 @@ window.GTAW = (function () {
 
         container.appendChild(el);
 
-        setTimeout(() => {
-            el.classList.add('hiding');
-            setTimeout(() => el.remove(), TOAST_ANIMATION_DURATION);
-        }, TOAST_DISPLAY_DURATION);
+        if (!persistent) {
+            setTimeout(() => dismissToast(el), TOAST_DISPLAY_DURATION);
+        }
+        return el;
+    }
+
+    /**
+     * Hide a toast shown by toast()
+     * @param {HTMLElement} el - Toast element
+     */
+    function dismissToast(el) {
+        el.classList.add('hiding');
+        setTimeout(() => el.remove(), TOAST_ANIMATION_DURATION);
     }
 
     // =========================================
@@ -294,6 +319,38 @@ window.GTAW = (function () {
         });
     }
 
+    /**
+     * Build the /sf command export of a collection
+     * 
+     * Starts with a totals comment; each item's line is repeated per quantity and
+     * a "# Section" comment opens each section (items arrive grouped by section,
+     * those without one first, as returned by getCollectionItems()).
+     * 
+     * @param {Array<Object>} items - Items with name, price, quantity, section_id, section_name
+     * @returns {string} Export text
+     */
+    function collectionCommands(items) {
+        const lines = [];
+        let count = 0;
+        let cost = 0;
+        let sectionId = null;
+        
+        items.forEach(item => {
+            if (item.section_id && item.section_id !== sectionId) {
+                lines.push('', `# ${item.section_name}`);
+            }
+            sectionId = item.section_id ?? null;
+            
+            const quantity = item.quantity || 1;
+            lines.push(...Array(quantity).fill(`/sf ${item.name}`));
+            count += quantity;
+            cost += quantity * item.price;
+        });
+        
+        const summary = __('collections.totals', { count, cost: '$' + cost.toLocaleString() });
+        return [`# ${summary}`, ...lines].join('\n');
+    }
+
     // =========================================
     // THEME MANAGEMENT
     // =========================================
@@ -669,17 +726,27 @@ window.GTAW = (function () {
      * Shared between app.js and dashboard.js.
      * 
      * Usage: GTAW.collectionPicker.open(furnitureId)
+     *        GTAW.collectionPicker.open([id1, id2, ...])  - bulk add
+     * 
+     * The modal also has a "New collection" form that creates a collection
+     * and adds the item(s) to it without leaving the page.
      */
     const collectionPicker = {
         currentFurnitureId: null,
+        currentFurnitureIds: null, // set instead of currentFurnitureId in bulk mode
+        prices: new Map(),         // furniture ID => price of the item(s) being added, for budget checks
+        membership: {},            // bulk mode: collection ID => selected IDs it already holds
+        quantities: {},            // single mode: collection ID => quantity of the item in it
         modalId: 'collection-picker-modal',
         
         /**
          * Open collection picker modal for a furniture item
-         * @param {number} furnitureId - ID of the furniture item
+         * @param {number|number[]} furnitureId - ID of the furniture item, or an array of IDs to add in bulk
          */
         async open(furnitureId) {
-            this.currentFurnitureId = furnitureId;
+            const isBulk = Array.isArray(furnitureId);
+            this.currentFurnitureId = isBulk ? null : furnitureId;
+            this.currentFurnitureIds = isBulk ? furnitureId : null;
             
             try {
                 const response = await fetch('/dashboard/api.php?action=collections');
@@ -695,46 +762,178 @@ window.GTAW = (function () {
                 
                 if (collections.length === 0) {
                     modalBody = `
-                        <p style="margin-bottom: var(--spacing-md);">${escapeHtml(__('collections.no_collections'))}</p>
-                        <a href="/dashboard/?page=collections&action=add" class="btn btn-primary">${escapeHtml(__('collections.create_first'))}</a>
+                        <p class="collection-picker-empty" style="margin-bottom: var(--spacing-md);">${escapeHtml(__('collections.no_collections'))}</p>
+                        <div class="collection-picker-list"></div>
+                        ${this.renderCreateForm()}
                     `;
                 } else {
-                    const containsResponse = await fetch(`/dashboard/api.php?action=collections/contains&furniture_id=${furnitureId}`);
-                    const containsResult = await containsResponse.json();
-                    const containsIds = containsResult.success ? containsResult.data : [];
+                    // Membership is only meaningful for a single item
+                    let containsIds = [];
+                    this.quantities = {};
+                    if (!isBulk) {
+                        const containsResponse = await fetch(`/dashboard/api.php?action=collections/contains&furniture_id=${furnitureId}`);
+                        const containsResult = await containsResponse.json();
+                        containsIds = containsResult.success ? containsResult.data : [];
+                        this.quantities = containsResult.quantities || {};
+                    }
+                    
+                    // Queued writes the server hasn't confirmed yet win over its answer
+                    const queued = mutationQueue.getOwn();
+                    const isInCollection = (collectionId) => {
+                        const entry = queued.filter(e => e.key === this.getMutationKey(collectionId, furnitureId)).pop();
+                        return entry ? entry.value : containsIds.includes(collectionId);
+                    };
+                    
+                    // Prices (and, in bulk mode, which items each collection already
+                    // holds) are only needed to warn about budgets
+                    const hasBudgets = collections.some(col => col.budget !== null);
+                    this.prices = hasBudgets ? await this.getPrices(isBulk ? furnitureId : [furnitureId]) : new Map();
+                    this.membership = hasBudgets && isBulk ? await this.getMembership(furnitureId) : {};
                     
                     modalBody = `
                         <div class="collection-picker-list">
-                            ${collections.map(col => `
-                                <button onclick="GTAW.collectionPicker.toggle(${col.id})" 
-                                        class="btn collection-picker-btn ${containsIds.includes(col.id) ? 'btn-primary' : ''}"
-                                        data-collection-id="${col.id}"
-                                        data-item-count="${col.item_count}">
-                                    <span class="collection-picker-name">${escapeHtml(col.name)}</span>
-                                    <span class="collection-picker-status">${containsIds.includes(col.id) ? escapeHtml(__('collections.added_status')) : col.item_count + ' items'}</span>
-                                </button>
-                            `).join('')}
-                        </div>
-                        <div class="collection-picker-footer">
-                            <a href="/dashboard/?page=collections&action=add" class="btn btn-sm">${escapeHtml(__('collections.new_collection'))}</a>
+                            ${collections.map(col => this.renderButton(col, !isBulk && isInCollection(col.id))).join('')}
                         </div>
+                        ${this.renderCreateForm()}
                     `;
                 }
                 
-                showModal(this.modalId, __('collections.pick_title'), modalBody, () => {
+                const title = isBulk
+                    ? __('collections.pick_title_bulk', { count: furnitureId.length })
+                    : __('collections.pick_title');
+                showModal(this.modalId, title, modalBody, () => {
                     this.currentFurnitureId = null;
+                    this.currentFurnitureIds = null;
                 });
+                document.querySelectorAll(`#${this.modalId} .collection-picker-btn`).forEach(button => this.renderBudget(button));
+                mutationQueue.updateIndicators();
             } catch (error) {
                 console.error('Collection picker error:', error);
                 toast(__('error.loading'), 'error');
             }
         },
         
+        /**
+         * Render the picker button of a collection
+         * @param {Object} col - Collection from the collections API
+         * @param {boolean} inCollection - Whether the current item is already in it
+         */
+        renderButton(col, inCollection) {
+            const pendingKey = this.currentFurnitureId ? this.getMutationKey(col.id, this.currentFurnitureId) : null;
+            
+            return `
+                <button onclick="GTAW.collectionPicker.toggle(${col.id})" 
+                        class="btn collection-picker-btn ${inCollection ? 'btn-primary' : ''}"
+                        data-collection-id="${col.id}"
+                        data-collection-name="${escapeHtml(col.name)}"
+                        data-item-count="${col.item_count}"
+                        data-total-cost="${col.total_cost}"
+                        data-add-cost="${this.getAddCost(col.id)}"
+                        ${col.budget !== null ? `data-budget="${col.budget}"` : ''}
+                        ${pendingKey ? `data-pending-key="${pendingKey}"` : ''}>
+                    <span class="collection-picker-name">
+                        ${escapeHtml(col.name)}
+                        <small class="collection-picker-budget"></small>
+                    </span>
+                    <span class="collection-picker-status">${inCollection ? escapeHtml(__('collections.added_status')) : col.item_count + ' items'}</span>
+                </button>
+            `;
+        },
+        
+        /**
+         * Render the inline "New collection" form
+         */
+        renderCreateForm() {
+            return `
+                <form class="collection-picker-footer collection-picker-create" onsubmit="GTAW.collectionPicker.create(event)">
+                    <label for="collection-picker-new-name">${escapeHtml(__('collections.new_collection'))}</label>
+                    <div class="collection-picker-create-row">
+                        <input type="text" id="collection-picker-new-name" name="name" required maxlength="100"
+                               placeholder="${escapeHtml(__('collections.name_placeholder'))}">
+                        <button type="submit" class="btn btn-sm btn-primary">${escapeHtml(__('collections.create_and_add'))}</button>
+                    </div>
+                </form>
+            `;
+        },
+        
+        /**
+         * Create a collection from the inline form and add the current item(s) to it
+         * 
+         * New collections start private; they can be made public from the dashboard.
+         * @param {SubmitEvent} event
+         */
+        async create(event) {
+            event.preventDefault();
+            const form = event.target;
+            const input = form.querySelector('input[name="name"]');
+            const submitBtn = form.querySelector('button[type="submit"]');
+            const name = input.value.trim();
+            if (!name) return;
+            
+            submitBtn.disabled = true;
+            const csrfToken = getCsrfToken();
+            
+            // The picker may be closed (or opened for other items) before the response arrives
+            const furnitureId = this.currentFurnitureId;
+            const furnitureIds = this.currentFurnitureIds;
+            
+            let result;
+            try {
+                const response = await fetch('/dashboard/api.php?action=collections/create', {
+                    method: 'POST',
+                    credentials: 'same-origin',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-CSRF-Token': csrfToken || ''
+                    },
+                    body: JSON.stringify({ name, is_public: false, csrf_token: csrfToken })
+                });
+                result = await response.json();
+            } catch (error) {
+                console.error('Create collection error:', error);
+                toast(__('error.network'), 'error');
+                return;
+            } finally {
+                submitBtn.disabled = false;
+            }
+            
+            if (!result.success) {
+                toast(result.error || __('error.generic'), 'error');
+                return;
+            }
+            
+            // The collection exists now; adding the item(s) reports its own outcome
+            toast(__('collections.created', { name }), 'success');
+            
+            const modal = document.getElementById(this.modalId);
+            const samePicker = modal && this.currentFurnitureId === furnitureId && this.currentFurnitureIds === furnitureIds;
+            if (!samePicker) {
+                await this.addMany(result.data.id, furnitureIds || (furnitureId ? [furnitureId] : []));
+                return;
+            }
+            
+            modal.querySelector('.collection-picker-empty')?.remove();
+            modal.querySelector('.collection-picker-list').insertAdjacentHTML('afterbegin', this.renderButton({
+                id: result.data.id,
+                name,
+                item_count: 0,
+                total_cost: 0,
+                budget: null
+            }, false));
+            form.reset();
+            
+            await this.toggle(result.data.id);
+        },
+        
         /**
          * Toggle item in collection
          * @param {number} collectionId - Collection ID
          */
         async toggle(collectionId) {
+            if (this.currentFurnitureIds) {
+                return this.addMany(collectionId);
+            }
+            
             const furnitureId = this.currentFurnitureId;
             if (!furnitureId) return;
             
@@ -742,74 +941,1605 @@ window.GTAW = (function () {
             if (!button) return;
             
             const isInCollection = button.classList.contains('btn-primary');
-            const csrfToken = getCsrfToken();
+            const action = isInCollection ? 'collections/remove-item' : 'collections/add-item';
+            
+            if (!isInCollection && !this.confirmBudget(button)) return;
+            
+            // Transient failures are retried by the mutation queue
+            const { status, error } = await mutationQueue.submit({
+                key: this.getMutationKey(collectionId, furnitureId),
+                value: !isInCollection,
+                url: `/dashboard/api.php?action=${action}`,
+                method: 'POST',
+                body: { collection_id: collectionId, furniture_id: furnitureId }
+            });
+            
+            if (status === 'failed') {
+                toast(error, 'error');
+                return;
+            }
+            
+            button.classList.toggle('btn-primary');
+            const statusSpan = button.querySelector('.collection-picker-status');
+            if (statusSpan) {
+                const itemCount = button.dataset.itemCount || '0';
+                statusSpan.textContent = isInCollection ? itemCount + ' items' : __('collections.added_status');
+            }
+            // Removing takes off every piece of the item; adding puts in one
+            const addCost = Number(button.dataset.addCost || 0);
+            const quantity = isInCollection ? Number(this.quantities[collectionId] || 1) : 1;
+            button.dataset.totalCost = Number(button.dataset.totalCost || 0) + (isInCollection ? -addCost * quantity : addCost);
+            this.quantities[collectionId] = isInCollection ? 0 : 1;
+            this.renderBudget(button);
+            
+            if (status === 'queued') {
+                toast(__('queue.queued'), 'info');
+            } else {
+                toast(isInCollection ? __('collections.removed') : __('collections.added'), 'success');
+            }
+        },
+        
+        /**
+         * Mutation queue key for an item's membership in a collection
+         */
+        getMutationKey(collectionId, furnitureId) {
+            return `collection:${collectionId}:${furnitureId}`;
+        },
+        
+        /**
+         * Add all bulk-selected items to a collection
+         * @param {number} collectionId - Collection ID
+         * @param {number[]} furnitureIds - Items to add (default: the bulk selection)
+         */
+        async addMany(collectionId, furnitureIds = this.currentFurnitureIds) {
+            if (!furnitureIds || furnitureIds.length === 0) return;
+            
+            // No picker button once the picker was closed
+            const button = document.querySelector(`#${this.modalId} button[data-collection-id="${collectionId}"]`);
+            if (button && !button.classList.contains('btn-primary') && !this.confirmBudget(button)) return;
+            
+            const { status, result, error } = await mutationQueue.submit({
+                key: `collection:${collectionId}:items:${furnitureIds.join(',')}`,
+                value: true,
+                url: '/dashboard/api.php?action=collections/add-items',
+                method: 'POST',
+                body: { collection_id: collectionId, furniture_ids: furnitureIds }
+            });
+            
+            if (status === 'failed') {
+                toast(error, 'error');
+                return;
+            }
+            
+            if (button) {
+                button.classList.add('btn-primary');
+                const statusSpan = button.querySelector('.collection-picker-status');
+                if (statusSpan) {
+                    statusSpan.textContent = __('collections.added_status');
+                }
+                // Items it already held were skipped, so only the others add to the total
+                button.dataset.totalCost = Number(button.dataset.totalCost || 0) + Number(button.dataset.addCost || 0);
+                button.dataset.addCost = 0;
+                this.membership[collectionId] = [...furnitureIds];
+                this.renderBudget(button);
+            }
+            
+            if (status === 'queued') {
+                toast(__('queue.queued'), 'info');
+            } else {
+                toast(__('collections.bulk_added', {
+                    added: result.data.added,
+                    existing: result.data.existing,
+                    count: result.data.added
+                }), 'success');
+            }
+        },
+        
+        /**
+         * Get the prices of furniture items (furniture/batch takes 20 IDs per request)
+         * @param {number[]} furnitureIds
+         * @returns {Promise<Map<number, number>>} Empty if the prices can't be loaded
+         */
+        async getPrices(furnitureIds) {
+            const chunks = [];
+            for (let i = 0; i < furnitureIds.length; i += 20) {
+                chunks.push(furnitureIds.slice(i, i + 20));
+            }
             
             try {
-                const action = isInCollection ? 'collections/remove-item' : 'collections/add-item';
-                const response = await fetch(`/dashboard/api.php?action=${action}`, {
-                    method: 'POST',
-                    headers: { 
-                        'Content-Type': 'application/json',
-                        'X-CSRF-Token': csrfToken || ''
-                    },
-                    body: JSON.stringify({
-                        collection_id: collectionId,
-                        furniture_id: furnitureId,
-                        csrf_token: csrfToken
-                    }),
-                });
-                
+                const results = await Promise.all(chunks.map(ids => cache.fetch(`/api.php?action=furniture/batch&ids=${ids.join(',')}`)));
+                return new Map(results.flatMap(({ data }) => (data.data || []).map(item => [item.id, Number(item.price)])));
+            } catch (error) {
+                console.error('Failed to load prices:', error);
+                return new Map();
+            }
+        },
+        
+        /**
+         * Get which of the given items each collection already holds
+         * @param {number[]} furnitureIds
+         * @returns {Promise<Object>} Collection ID => furniture IDs ({} if it can't be loaded)
+         */
+        async getMembership(furnitureIds) {
+            try {
+                const response = await fetch(`/dashboard/api.php?action=collections/membership&furniture_ids=${furnitureIds.join(',')}`);
                 const result = await response.json();
-                
-                if (result.success) {
-                    button.classList.toggle('btn-primary');
-                    const statusSpan = button.querySelector('.collection-picker-status');
-                    if (statusSpan) {
-                        const itemCount = button.dataset.itemCount || '0';
-                        statusSpan.textContent = isInCollection ? itemCount + ' items' : __('collections.added_status');
-                    }
-                    toast(isInCollection ? __('collections.removed') : __('collections.added'), 'success');
-                } else {
-                    toast(result.error || __('error.generic'), 'error');
-                }
+                return result.success ? result.data : {};
             } catch (error) {
-                console.error('Toggle collection error:', error);
-                toast('Network error', 'error');
+                console.error('Failed to load collection membership:', error);
+                return {};
             }
         },
         
+        /**
+         * Combined price of the current item(s) a collection doesn't hold yet
+         * @param {number} collectionId - Collection ID
+         */
+        getAddCost(collectionId) {
+            const held = new Set(this.membership[collectionId] || []);
+            const ids = this.currentFurnitureIds || [this.currentFurnitureId];
+            return ids.reduce((sum, id) => sum + (held.has(id) ? 0 : this.prices.get(id) || 0), 0);
+        },
+        
+        /**
+         * Show a collection's spending against its budget, or a warning if adding would exceed it
+         * @param {HTMLElement} button - Picker button of the collection
+         */
+        renderBudget(button) {
+            const label = button.querySelector('.collection-picker-budget');
+            if (!label || button.dataset.budget === undefined) return;
+            
+            const spent = Number(button.dataset.totalCost || 0);
+            const budget = Number(button.dataset.budget);
+            const overBy = this.getOverBudgetAmount(button);
+            
+            label.classList.toggle('over-budget', overBy > 0 || spent > budget);
+            label.textContent = overBy > 0
+                ? __('collections.budget_would_exceed', { amount: '$' + overBy.toLocaleString() })
+                : `$${spent.toLocaleString()} / $${budget.toLocaleString()}`;
+        },
+        
+        /**
+         * How far adding the current item(s) would push a collection over its budget (0 if it wouldn't)
+         * @param {HTMLElement} button - Picker button of the collection
+         */
+        getOverBudgetAmount(button) {
+            if (button.dataset.budget === undefined || button.classList.contains('btn-primary')) return 0;
+            
+            const projected = Number(button.dataset.totalCost || 0) + Number(button.dataset.addCost || 0);
+            return Math.max(0, projected - Number(button.dataset.budget));
+        },
+        
+        /**
+         * Ask before adding to a collection the item(s) would push over budget
+         * @param {HTMLElement} button - Picker button of the collection
+         * @returns {boolean} True to go ahead
+         */
+        confirmBudget(button) {
+            const overBy = this.getOverBudgetAmount(button);
+            if (overBy === 0) return true;
+            
+            return confirm(__('collections.budget_confirm', {
+                name: button.dataset.collectionName,
+                amount: '$' + overBy.toLocaleString()
+            }));
+        },
+        
         /**
          * Close the collection picker modal
          */
         close() {
             closeModal(this.modalId);
             this.currentFurnitureId = null;
+            this.currentFurnitureIds = null;
+            this.membership = {};
+            this.quantities = {};
         }
     };
 
     // =========================================
-    // PUBLIC API
+    // EXPORT DIALOG MODULE
     // =========================================
 
-    return {
-        // i18n
-        __,
-        getLocale,
-        
-        // Security
-        getCsrfToken,
-        escapeHtml,
-        
-        // Notifications
-        toast,
-        
-        // Modals
-        showModal,
-        closeModal,
-        
-        // Clipboard
-        copyToClipboard,
-        copyCommand,
+    /**
+     * Export Dialog Module
+     * Modal offering a list of favorites or collection items in several formats:
+     * /sf commands (optionally split into batches for pasting in-game), CSV, JSON,
+     * a Markdown table and forum BBCode with thumbnails. The selected format can
+     * be copied to the clipboard or downloaded.
+     *
+     * Usage: GTAW.exportDialog.open(items, { kind: 'collection', title, filename })
+     *   kind - 'favorites' (notes as comments) or 'collection' (totals and sections)
+     */
+    const exportDialog = {
+        modalId: 'export-dialog-modal',
+        items: [],
+        kind: 'favorites',
+        filename: 'export',
+
+        formats: {
+            commands: { extension: 'txt', type: 'text/plain' },
+            csv: { extension: 'csv', type: 'text/csv' },
+            json: { extension: 'json', type: 'application/json' },
+            markdown: { extension: 'md', type: 'text/markdown' },
+            bbcode: { extension: 'txt', type: 'text/plain' }
+        },
+
+        /**
+         * Open the export dialog
+         * @param {Array<Object>} items - Items as returned by the favorites or collection items API
+         * @param {Object} options
+         * @param {string} options.kind - 'favorites' or 'collection'
+         * @param {string} options.title - Modal title
+         * @param {string} options.filename - Download name without extension
+         */
+        open(items, { kind = 'favorites', title = __('export.title'), filename = 'export' } = {}) {
+            this.items = items;
+            this.kind = kind;
+            this.filename = filename;
+
+            const formatOptions = Object.keys(this.formats)
+                .map(format => `<option value="${format}">${escapeHtml(__(`export.format_${format}`))}</option>`)
+                .join('');
+
+            showModal(this.modalId, title, `
+                <div class="export-dialog">
+                    <div class="export-dialog-options">
+                        <label>
+                            ${escapeHtml(__('export.format'))}
+                            <select class="export-format">${formatOptions}</select>
+                        </label>
+                        <label class="export-batch-option">
+                            ${escapeHtml(__('export.batch_size'))}
+                            <input type="number" class="export-batch-size" min="0" max="1000" step="1" placeholder="0">
+                        </label>
+                    </div>
+                    <textarea class="export-preview" rows="12" readonly aria-label="${escapeHtml(__('export.preview'))}"></textarea>
+                    <div class="export-batches"></div>
+                    <div class="export-dialog-actions">
+                        <button type="button" class="btn btn-primary export-copy">📋 ${escapeHtml(__('export.copy'))}</button>
+                        <button type="button" class="btn export-download">📥 ${escapeHtml(__('export.download'))}</button>
+                    </div>
+                </div>
+            `, () => {
+                this.items = [];
+            });
+
+            const modal = document.getElementById(this.modalId);
+            modal.querySelector('.export-format').addEventListener('change', () => this.render());
+            modal.querySelector('.export-batch-size').addEventListener('input', () => this.render());
+            modal.querySelector('.export-copy').addEventListener('click', () => {
+                this.copy(modal.querySelector('.export-preview').value);
+            });
+            modal.querySelector('.export-download').addEventListener('click', () => this.download());
+            modal.querySelector('.export-batches').addEventListener('click', (e) => {
+                const button = e.target.closest('[data-batch]');
+                if (button) this.copy(this.getBatches()[parseInt(button.dataset.batch, 10)]);
+            });
+
+            this.render();
+        },
+
+        /**
+         * Show the selected format in the preview (with per-batch copy buttons for split commands)
+         */
+        render() {
+            const modal = document.getElementById(this.modalId);
+            if (!modal) return;
+
+            const format = this.getFormat();
+            const batches = format === 'commands' ? this.getBatches() : [];
+            modal.querySelector('.export-batch-option').hidden = format !== 'commands';
+            modal.querySelector('.export-preview').value = this.build(format);
+            modal.querySelector('.export-batches').innerHTML = batches.length > 1
+                ? batches.map((batch, i) => `
+                    <button type="button" class="btn btn-sm" data-batch="${i}">${escapeHtml(__('export.copy_batch', { n: i + 1 }))}</button>
+                `).join('')
+                : '';
+        },
+
+        /**
+         * Selected format key (see this.formats)
+         */
+        getFormat() {
+            return document.querySelector(`#${this.modalId} .export-format`)?.value || 'commands';
+        },
+
+        /**
+         * Commands per batch, 0 for no split
+         */
+        getBatchSize() {
+            const input = document.querySelector(`#${this.modalId} .export-batch-size`);
+            return Math.max(0, parseInt(input?.value, 10) || 0);
+        },
+
+        /**
+         * Build the export text for a format
+         * @param {string} format - Key of this.formats
+         */
+        build(format) {
+            switch (format) {
+                case 'csv': return this.buildCsv();
+                case 'json': return this.buildJson();
+                case 'markdown': return this.buildMarkdown();
+                case 'bbcode': return this.buildBbcode();
+                default: {
+                    const batches = this.getBatches();
+                    if (batches.length < 2) return batches.join('');
+                    return batches
+                        .map((batch, i) => `# ${__('export.batch_header', { n: i + 1, total: batches.length })}\n${batch}`)
+                        .join('\n\n');
+                }
+            }
+        },
+
+        /**
+         * /sf commands: collections via collectionCommands(), favorites with their note as a comment
+         */
+        buildCommands() {
+            if (this.kind === 'collection') {
+                return collectionCommands(this.items);
+            }
+            return this.items.flatMap(item => [
+                ...(item.note ? [`# ${item.note}`] : []),
+                ...Array(item.quantity || 1).fill(`/sf ${item.name}`)
+            ]).join('\n');
+        },
+
+        /**
+         * Split the /sf commands into batches of getBatchSize() command lines
+         *
+         * Comment lines travel with the command that follows them, so a section
+         * header never ends up at the bottom of the previous batch.
+         * @returns {string[]} One batch when not splitting
+         */
+        getBatches() {
+            const size = this.getBatchSize();
+            const text = this.buildCommands();
+            if (size === 0) return [text];
+
+            const batches = [];
+            let pending = [];
+            let count = 0;
+
+            text.split('\n').forEach(line => {
+                if (!line.startsWith('/sf ')) {
+                    pending.push(line);
+                    return;
+                }
+                if (count % size === 0) batches.push([]);
+                batches[batches.length - 1].push(...pending, line);
+                pending = [];
+                count++;
+            });
+
+            if (batches.length === 0) return [text];
+            batches[batches.length - 1].push(...pending);
+            return batches.map(lines => lines.join('\n').trim());
+        },
+
+        /**
+         * Flatten items to the fields shared by the table-like formats
+         */
+        getRows() {
+            return this.items.map(item => ({
+                name: item.name,
+                categories: (item.categories || []).map(category => category.name).join(', ') || item.category_name || '',
+                price: Number(item.price) || 0,
+                quantity: item.quantity || 1,
+                tags: (item.tags || []).map(tag => tag.name).join(', '),
+                image: item.image_url ? new URL(item.image_url, window.location.origin).href : '',
+                note: item.note || '',
+                section: item.section_name || ''
+            }));
+        },
+
+        /**
+         * Group rows by collection section (a single unnamed group for favorites)
+         * @returns {Array<{name: string, rows: Object[]}>}
+         */
+        getGroups() {
+            const groups = [];
+            this.getRows().forEach(row => {
+                const last = groups[groups.length - 1];
+                if (last && last.name === row.section) {
+                    last.rows.push(row);
+                } else {
+                    groups.push({ name: row.section, rows: [row] });
+                }
+            });
+            return groups;
+        },
+
+        /**
+         * CSV with a header row; the last column is the section (collections) or note (favorites)
+         */
+        buildCsv() {
+            const extra = this.kind === 'collection' ? 'section' : 'note';
+            const columns = ['name', 'categories', 'price', 'quantity', 'tags', 'image', extra];
+            const escapeCsv = (value) => {
+                let text = String(value);
+                // Spreadsheets run cells starting with these as formulas
+                if (/^[=+\-@\t\r]/.test(text)) {
+                    text = `'${text}`;
+                }
+                return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+
+            return [
+                columns.join(','),
+                ...this.getRows().map(row => columns.map(column => escapeCsv(row[column])).join(','))
+            ].join('\n');
+        },
+
+        /**
+         * JSON array with category and tag names and absolute image URLs
+         */
+        buildJson() {
+            return JSON.stringify(this.items.map(item => ({
+                id: item.id,
+                name: item.name,
+                categories: (item.categories || []).map(category => category.name),
+                price: Number(item.price) || 0,
+                quantity: item.quantity || 1,
+                tags: (item.tags || []).map(tag => tag.name),
+                image_url: item.image_url ? new URL(item.image_url, window.location.origin).href : null,
+                ...(this.kind === 'collection'
+                    ? { section: item.section_name || null }
+                    : { note: item.note || null })
+            })), null, 2);
+        },
+
+        /**
+         * Markdown table per section, item names linking to their image
+         */
+        buildMarkdown() {
+            const escapeCell = (value) => String(value).replace(/\|/g, '\\|');
+            const header = [
+                `| ${__('export.column_name')} | ${__('export.column_categories')} | ${__('export.column_price')} | ${__('export.column_quantity')} | ${__('export.column_tags')} |`,
+                '| --- | --- | ---: | ---: | --- |'
+            ];
+
+            return this.getGroups().map(group => [
+                ...(group.name ? [`### ${escapeCell(group.name)}`, ''] : []),
+                ...header,
+                ...group.rows.map(row => `| ${row.image ? `[${escapeCell(row.name)}](${row.image})` : escapeCell(row.name)} | ${escapeCell(row.categories)} | $${row.price.toLocaleString()} | ${row.quantity} | ${escapeCell(row.tags)} |`)
+            ].join('\n')).join('\n\n');
+        },
+
+        /**
+         * Forum BBCode list per section with [img] thumbnails
+         */
+        buildBbcode() {
+            // An entity keeps names like "Shelf [large]" from being read as tags
+            const escapeBbcode = (value) => String(value).replace(/\[/g, '&#91;');
+
+            return this.getGroups().map(group => [
+                ...(group.name ? [`[size=4][b]${escapeBbcode(group.name)}[/b][/size]`] : []),
+                '[list]',
+                ...group.rows.map(row => [
+                    '[*]',
+                    row.image ? `[img]${row.image}[/img] ` : '',
+                    `[b]${escapeBbcode(row.name)}[/b] - $${row.price.toLocaleString()}`,
+                    row.quantity > 1 ? ` ×${row.quantity}` : '',
+                    row.categories ? ` [i](${escapeBbcode(row.categories)})[/i]` : ''
+                ].join('')),
+                '[/list]'
+            ].join('\n')).join('\n\n');
+        },
+
+        /**
+         * Copy export text and confirm with a toast
+         */
+        copy(text) {
+            copyToClipboard(text).then((success) => {
+                toast(success ? __('export.copied') : __('card.copy_failed'), success ? 'success' : 'error');
+            });
+        },
+
+        /**
+         * Download the selected format as a file
+         */
+        download() {
+            const format = this.getFormat();
+            const { extension, type } = this.formats[format];
+            const blob = new Blob([this.build(format)], { type });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${this.filename}.${extension}`;
+            a.click();
+            URL.revokeObjectURL(url);
+            toast(__('export.downloaded', { count: this.items.length }), 'success');
+        }
+    };
+
+    // =========================================
+    // LIGHTBOX ZOOM MODULE
+    // =========================================
+
+    /**
+     * Lightbox Zoom Module
+     * Zoom and pan for the lightbox image, shared by the App and CollectionPage lightboxes:
+     * mouse wheel and double-click zoom, drag to pan, pinch on touch screens and
+     * +/-/0 on the keyboard. Owners call reset() whenever the image changes.
+     *
+     * Usage: GTAW.lightboxZoom.attach(container, image, () => lightboxIsOpen)
+     */
+    const lightboxZoom = {
+        container: null,
+        image: null,
+        isActive: () => false,
+
+        scale: 1,
+        x: 0,
+        y: 0,
+        maxScale: 5,
+        wheelStep: 1.2,
+        keyStep: 1.5,
+        doubleClickScale: 2.5,
+
+        pointers: new Map(),
+        drag: null,   // { startX, startY } pointer offset from the translation
+        pinch: null,  // { distance, scale } at the start of the gesture
+
+        /**
+         * Enable zooming on a lightbox image (once per container)
+         * @param {HTMLElement} container - Element clipping the image
+         * @param {HTMLImageElement} image - The zoomed image
+         * @param {Function} isActive - Returns true while the lightbox is open
+         */
+        attach(container, image, isActive) {
+            if (!container || !image || this.container === container) return;
+
+            this.container = container;
+            this.image = image;
+            this.isActive = isActive;
+            image.draggable = false;
+
+            container.addEventListener('wheel', (e) => {
+                if (!this.isActive()) return;
+                e.preventDefault();
+                const factor = e.deltaY < 0 ? this.wheelStep : 1 / this.wheelStep;
+                this.zoomAt(this.scale * factor, e.clientX, e.clientY);
+            }, { passive: false });
+
+            container.addEventListener('dblclick', (e) => {
+                if (!this.isActive()) return;
+                e.preventDefault();
+                if (this.scale > 1) {
+                    this.reset();
+                } else {
+                    this.zoomAt(this.doubleClickScale, e.clientX, e.clientY);
+                }
+            });
+
+            container.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+            container.addEventListener('pointermove', (e) => this.onPointerMove(e));
+            ['pointerup', 'pointercancel'].forEach(type => {
+                container.addEventListener(type, (e) => this.onPointerUp(e));
+            });
+
+            document.addEventListener('keydown', (e) => this.onKeyDown(e));
+        },
+
+        /**
+         * Back to the unzoomed image (call on navigation and close)
+         */
+        reset() {
+            this.scale = 1;
+            this.x = 0;
+            this.y = 0;
+            this.drag = null;
+            this.pinch = null;
+            this.pointers.clear();
+            this.apply();
+        },
+
+        /**
+         * Zoom to a scale keeping the given screen point over the same spot of the image
+         * @param {number} scale - Target scale (values at or below 1 reset)
+         * @param {number} clientX
+         * @param {number} clientY
+         */
+        zoomAt(scale, clientX, clientY) {
+            scale = Math.min(this.maxScale, scale);
+            if (scale <= 1) {
+                this.reset();
+                return;
+            }
+
+            // The image is centered in the container, so offsets are taken from its center
+            const rect = this.container.getBoundingClientRect();
+            const px = clientX - (rect.left + rect.width / 2);
+            const py = clientY - (rect.top + rect.height / 2);
+            const ratio = scale / this.scale;
+
+            this.x = px - ratio * (px - this.x);
+            this.y = py - ratio * (py - this.y);
+            this.scale = scale;
+            this.apply();
+        },
+
+        /**
+         * Zoom around the center of the container (keyboard)
+         */
+        zoomBy(factor) {
+            const rect = this.container.getBoundingClientRect();
+            this.zoomAt(this.scale * factor, rect.left + rect.width / 2, rect.top + rect.height / 2);
+        },
+
+        /**
+         * Keep the zoomed image covering the container instead of panning it out of view
+         */
+        clamp() {
+            const maxX = Math.max(0, (this.image.offsetWidth * this.scale - this.container.clientWidth) / 2);
+            const maxY = Math.max(0, (this.image.offsetHeight * this.scale - this.container.clientHeight) / 2);
+            this.x = Math.min(maxX, Math.max(-maxX, this.x));
+            this.y = Math.min(maxY, Math.max(-maxY, this.y));
+        },
+
+        /**
+         * Write the current transform and the zoomed/panning state classes
+         */
+        apply() {
+            if (!this.image) return;
+
+            if (this.scale > 1) {
+                this.clamp();
+                this.image.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+            } else {
+                this.image.style.transform = '';
+            }
+            this.container.classList.toggle('zoomed', this.scale > 1);
+            this.container.classList.toggle('panning', this.drag !== null || this.pinch !== null);
+        },
+
+        /**
+         * Start a pan (one pointer on a zoomed image) or a pinch (two pointers)
+         */
+        onPointerDown(e) {
+            if (!this.isActive() || (e.pointerType === 'mouse' && e.button !== 0)) return;
+
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.container.setPointerCapture?.(e.pointerId);
+
+            if (this.pointers.size === 2) {
+                this.drag = null;
+                this.pinch = { distance: this.getPointerDistance(), scale: this.scale };
+            } else if (this.pointers.size === 1 && this.scale > 1) {
+                e.preventDefault();
+                this.drag = { startX: e.clientX - this.x, startY: e.clientY - this.y };
+            }
+            this.apply();
+        },
+
+        /**
+         * Follow an ongoing pinch or pan
+         */
+        onPointerMove(e) {
+            if (!this.pointers.has(e.pointerId)) return;
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (this.pinch && this.pointers.size >= 2) {
+                const [a, b] = [...this.pointers.values()];
+                this.zoomAt(this.pinch.scale * this.getPointerDistance() / this.pinch.distance, (a.x + b.x) / 2, (a.y + b.y) / 2);
+            } else if (this.drag) {
+                this.x = e.clientX - this.drag.startX;
+                this.y = e.clientY - this.drag.startY;
+                this.apply();
+            }
+        },
+
+        /**
+         * End the gesture of a lifted pointer
+         */
+        onPointerUp(e) {
+            if (!this.pointers.delete(e.pointerId)) return;
+
+            if (this.pointers.size < 2) {
+                this.pinch = null;
+            }
+            // Lifting one finger of a pinch continues as a pan with the other
+            const [remaining] = [...this.pointers.values()];
+            this.drag = remaining && this.scale > 1
+                ? { startX: remaining.x - this.x, startY: remaining.y - this.y }
+                : null;
+            this.apply();
+        },
+
+        /**
+         * Keyboard zoom: + / = in, - out, 0 reset
+         */
+        onKeyDown(e) {
+            if (!this.container || !this.isActive() || e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+            if (e.key === '+' || e.key === '=') {
+                e.preventDefault();
+                this.zoomBy(this.keyStep);
+            } else if (e.key === '-') {
+                e.preventDefault();
+                this.zoomBy(1 / this.keyStep);
+            } else if (e.key === '0') {
+                e.preventDefault();
+                this.reset();
+            }
+        },
+
+        /**
+         * Distance between the first two active pointers
+         */
+        getPointerDistance() {
+            const [a, b] = [...this.pointers.values()];
+            return Math.hypot(a.x - b.x, a.y - b.y) || 1;
+        }
+    };
+
+    // =========================================
+    // LIGHTBOX SWIPE MODULE
+    // =========================================
+
+    /**
+     * Lightbox Swipe Module
+     * Touch gestures for the App and CollectionPage lightboxes: swipe left/right
+     * to navigate and swipe down to close. A gesture commits to one axis after a
+     * few pixels; gestures that would scroll something (the tags row, a scrolled
+     * info card) or that start while a momentum scroll is still running are left
+     * to the browser. Zoomed images and pinches belong to lightboxZoom.
+     *
+     * Usage: GTAW.lightboxSwipe.attach(overlay, { isActive, onPrev, onNext, onClose })
+     */
+    const lightboxSwipe = {
+        threshold: 60,       // px of travel that always counts as a swipe
+        flickVelocity: 0.5,  // px/ms; faster, shorter flicks count too
+        axisLock: 12,        // px before a gesture commits to an axis
+        scrollGrace: 150,    // ms after a scroll event in which new touches are momentum
+
+        /**
+         * Enable swipe gestures on a lightbox overlay (once per element)
+         * @param {HTMLElement} overlay - The .lightbox-overlay element
+         * @param {Object} handlers - isActive(), onPrev(), onNext(), onClose()
+         */
+        attach(overlay, { isActive, onPrev, onNext, onClose }) {
+            if (!overlay || overlay.dataset.swipeBound) return;
+            overlay.dataset.swipeBound = 'true';
+
+            const content = overlay.querySelector('.lightbox-content');
+            let gesture = null;
+            let lastScroll = 0;
+
+            const release = () => {
+                gesture = null;
+                if (content) {
+                    content.style.transform = '';
+                    content.style.transition = '';
+                }
+                overlay.style.opacity = '';
+            };
+
+            // Scroll events don't bubble, so listen in the capture phase
+            overlay.addEventListener('scroll', () => { lastScroll = Date.now(); }, true);
+
+            overlay.addEventListener('touchstart', (e) => {
+                release();
+                if (!isActive() || e.touches.length !== 1 || lightboxZoom.scale > 1) return;
+                if (Date.now() - lastScroll < this.scrollGrace) return;
+
+                const touch = e.touches[0];
+                gesture = { x: touch.clientX, y: touch.clientY, time: Date.now(), axis: null, target: e.target };
+            }, { passive: true });
+
+            overlay.addEventListener('touchmove', (e) => {
+                if (!gesture) return;
+                if (e.touches.length !== 1 || lightboxZoom.scale > 1) {
+                    release();
+                    return;
+                }
+
+                const dx = e.touches[0].clientX - gesture.x;
+                const dy = e.touches[0].clientY - gesture.y;
+
+                if (!gesture.axis) {
+                    if (Math.max(Math.abs(dx), Math.abs(dy)) < this.axisLock) return;
+                    gesture.axis = Math.abs(dx) > Math.abs(dy) ? 'x' : 'y';
+
+                    // Upward drags and drags that scroll an element are not ours
+                    if ((gesture.axis === 'y' && dy < 0) || this.startsInScroller(gesture.target, overlay, gesture.axis)) {
+                        release();
+                        return;
+                    }
+                    if (content) content.style.transition = 'none';
+                }
+
+                // Follow the finger a little so the gesture feels attached
+                if (!content) return;
+                if (gesture.axis === 'x') {
+                    content.style.transform = `translateX(${dx * 0.4}px)`;
+                } else {
+                    const distance = Math.max(0, dy);
+                    content.style.transform = `translateY(${distance}px)`;
+                    overlay.style.opacity = String(Math.max(0.4, 1 - distance / 400));
+                }
+            }, { passive: true });
+
+            overlay.addEventListener('touchend', (e) => {
+                if (!gesture || !gesture.axis) {
+                    release();
+                    return;
+                }
+
+                const touch = e.changedTouches[0];
+                const axis = gesture.axis;
+                const distance = axis === 'x' ? touch.clientX - gesture.x : touch.clientY - gesture.y;
+                const velocity = Math.abs(distance) / Math.max(1, Date.now() - gesture.time);
+                const swiped = Math.abs(distance) >= this.threshold
+                    || (velocity >= this.flickVelocity && Math.abs(distance) >= this.axisLock * 2);
+                release();
+
+                if (!swiped) return;
+                if (axis === 'y') {
+                    if (distance > 0) onClose();
+                } else if (distance < 0) {
+                    onNext();
+                } else {
+                    onPrev();
+                }
+            });
+
+            overlay.addEventListener('touchcancel', release);
+        },
+
+        /**
+         * Check if the touched element (or an ancestor up to the overlay) can scroll along the
+         * gesture: sideways for 'x', back up for a downward 'y' drag
+         */
+        startsInScroller(target, overlay, axis) {
+            for (let el = target; el && el !== overlay.parentElement; el = el.parentElement) {
+                const style = getComputedStyle(el);
+                if (axis === 'x' && /(auto|scroll)/.test(style.overflowX) && el.scrollWidth > el.clientWidth) {
+                    return true;
+                }
+                if (axis === 'y' && /(auto|scroll)/.test(style.overflowY) && el.scrollTop > 0) {
+                    return true;
+                }
+            }
+            return false;
+        }
+    };
+
+    // =========================================
+    // LIGHTBOX GALLERY MODULE
+    // =========================================
+
+    /**
+     * Lightbox Gallery Module
+     * Thumbnail strip for items with several images (item.images, main image
+     * first), shared by the App and CollectionPage lightboxes. Owners still set
+     * the main image themselves and call show(item) whenever the item changes.
+     *
+     * Usage: GTAW.lightboxGallery.attach(strip, image); GTAW.lightboxGallery.show(item)
+     */
+    const lightboxGallery = {
+        strip: null,
+        image: null,
+        images: [],
+        index: 0,
+
+        /**
+         * Enable the thumbnail strip (once per element)
+         * @param {HTMLElement} strip - The #lightbox-gallery element
+         * @param {HTMLImageElement} image - The lightbox image the thumbnails switch
+         */
+        attach(strip, image) {
+            if (!strip || !image || this.strip === strip) return;
+
+            this.strip = strip;
+            this.image = image;
+
+            strip.addEventListener('click', (e) => {
+                const thumb = e.target.closest('.lightbox-gallery-thumb');
+                if (!thumb) return;
+                e.stopPropagation();
+                this.select(parseInt(thumb.dataset.index, 10));
+            });
+        },
+
+        /**
+         * Render the thumbnails of an item (hidden when it has a single image)
+         * @param {Object} item - Furniture item with images and/or image_url
+         */
+        show(item) {
+            if (!this.strip) return;
+
+            this.images = item.images?.length ? item.images : [item.image_url || '/images/placeholder.svg'];
+            this.index = 0;
+            this.strip.hidden = this.images.length < 2;
+
+            if (this.strip.hidden) {
+                this.strip.innerHTML = '';
+                return;
+            }
+
+            this.strip.innerHTML = this.images.map((url, index) => {
+                const label = __('lightbox.gallery_image', { number: index + 1, total: this.images.length });
+                return `
+                    <button type="button" class="lightbox-gallery-thumb${index === 0 ? ' active' : ''}" data-index="${index}"
+                            aria-label="${escapeHtml(label)}" title="${escapeHtml(label)}" aria-pressed="${index === 0}">
+                        <img src="${escapeHtml(url)}" alt="" loading="lazy" onerror="this.src='/images/placeholder.svg'">
+                    </button>
+                `;
+            }).join('');
+        },
+
+        /**
+         * Show one of the item's images in the lightbox
+         * @param {number} index - Position in the item's images
+         */
+        select(index) {
+            if (!this.image || !this.images[index] || index === this.index) return;
+
+            this.index = index;
+            lightboxZoom.reset();
+            this.image.src = this.images[index];
+
+            this.strip.querySelectorAll('.lightbox-gallery-thumb').forEach(thumb => {
+                const active = parseInt(thumb.dataset.index, 10) === index;
+                thumb.classList.toggle('active', active);
+                thumb.setAttribute('aria-pressed', String(active));
+            });
+        }
+    };
+
+    // =========================================
+    // RESPONSE CACHE MODULE
+    // =========================================
+
+    /**
+     * Response Cache Module
+     * Stale-while-revalidate cache for GET API responses, stored in IndexedDB.
+     * A cached response is returned right away and revalidated in the background
+     * with If-None-Match; onUpdate only runs when the server sent different data.
+     * Without IndexedDB (e.g. some private windows) every call goes to the network.
+     *
+     * Usage:
+     *   const { data } = await GTAW.cache.fetch('/api.php?action=tags', {
+     *       onUpdate: (fresh) => render(fresh.data)
+     *   });
+     */
+    const cache = {
+        dbName: 'gtaw_cache',
+        storeName: 'responses',
+        // Bump when an API payload changes shape so entries in the old shape are ignored
+        version: 1,
+        maxAge: 24 * 60 * 60 * 1000, // Older entries are refetched instead of served
+        maxEntries: 200,
+        // localStorage entries of the cache this one replaced
+        legacyKeys: ['gtaw_categories_v2', 'gtaw_tags_grouped_v2', 'gtaw_price_range_v1'],
+        dbPromise: null,
+
+        /**
+         * Open the database once (resolves null when IndexedDB is unavailable)
+         * @returns {Promise<IDBDatabase|null>}
+         */
+        open() {
+            if (!this.dbPromise) {
+                this.dbPromise = new Promise((resolve) => {
+                    let request;
+                    try {
+                        request = window.indexedDB.open(this.dbName, 1);
+                    } catch {
+                        resolve(null);
+                        return;
+                    }
+                    request.onupgradeneeded = () => {
+                        const store = request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                        store.createIndex('storedAt', 'storedAt');
+                        this.removeLegacyEntries();
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => resolve(null);
+                    request.onblocked = () => resolve(null);
+                }).then((db) => {
+                    if (db) this.prune(db);
+                    return db;
+                });
+            }
+            return this.dbPromise;
+        },
+
+        /**
+         * Drop what the old localStorage cache left behind (runs once, when the database is created)
+         */
+        removeLegacyEntries() {
+            try {
+                this.legacyKeys.forEach(key => localStorage.removeItem(key));
+            } catch {
+                // localStorage not available
+            }
+        },
+
+        /**
+         * Run one request against the store; resolves with its result, or null on failure
+         * @param {string} mode - 'readonly' or 'readwrite'
+         * @param {Function} fn - Receives the object store, may return an IDBRequest
+         * @param {IDBDatabase} [db] - Already opened database
+         */
+        async run(mode, fn, db = null) {
+            db = db || await this.open();
+            if (!db) return null;
+
+            return new Promise((resolve) => {
+                try {
+                    const tx = db.transaction(this.storeName, mode);
+                    const request = fn(tx.objectStore(this.storeName));
+                    tx.oncomplete = () => resolve(request ? request.result : null);
+                    tx.onerror = () => resolve(null);
+                    tx.onabort = () => resolve(null);
+                } catch {
+                    resolve(null);
+                }
+            });
+        },
+
+        /**
+         * Get a usable entry (right version, not too old)
+         * @param {string} url - Absolute request URL
+         * @returns {Promise<Object|null>} Entry with data and etag
+         */
+        async get(url) {
+            const entry = await this.run('readonly', store => store.get(url));
+            if (!entry || entry.version !== this.version || Date.now() - entry.storedAt > this.maxAge) {
+                return null;
+            }
+            return entry;
+        },
+
+        /**
+         * Store a response
+         * @param {string} url - Absolute request URL
+         * @param {Object} data - Parsed JSON response
+         * @param {string|null} etag - ETag header of the response
+         */
+        set(url, data, etag) {
+            return this.run('readwrite', store => store.put({
+                key: url,
+                data,
+                etag,
+                version: this.version,
+                storedAt: Date.now()
+            }));
+        },
+
+        /**
+         * Remove all cached responses
+         */
+        clear() {
+            return this.run('readwrite', store => store.clear());
+        },
+
+        /**
+         * Delete outdated entries and all but the newest maxEntries
+         * @param {IDBDatabase} db - Opened database
+         */
+        prune(db) {
+            let kept = 0;
+            return this.run('readwrite', (store) => {
+                store.index('storedAt').openCursor(null, 'prev').onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) return;
+                    const entry = cursor.value;
+                    const usable = entry.version === this.version && Date.now() - entry.storedAt <= this.maxAge;
+                    if (!usable || ++kept > this.maxEntries) cursor.delete();
+                    cursor.continue();
+                };
+            }, db);
+        },
+
+        /**
+         * Fetch a GET endpoint and parse its JSON
+         * @param {string} url - Absolute request URL
+         * @param {Object} fetchOptions - Options for fetch()
+         * @param {string|null} etag - Send If-None-Match for this ETag (marks a background revalidation)
+         * @returns {Promise<Object>} { notModified } (only when etag is given) or { data, etag, cacheable }
+         */
+        async request(url, fetchOptions = {}, etag = null) {
+            const headers = { ...(fetchOptions.headers || {}) };
+            if (etag) {
+                headers['If-None-Match'] = etag;
+                // Not a user action: the API skips side effects such as search logging
+                headers['X-Revalidate'] = '1';
+            }
+
+            const response = await fetch(url, { credentials: 'same-origin', ...fetchOptions, headers });
+            if (response.status === 304) {
+                if (etag) {
+                    return { notModified: true };
+                }
+                // Not our revalidation (e.g. a proxy or the service worker answered a
+                // conditional request), so there is no copy to reuse: fetch the body
+                if (fetchOptions.cache !== 'reload') {
+                    return this.request(url, { ...fetchOptions, cache: 'reload' });
+                }
+                throw new Error('API request failed (HTTP 304)');
+            }
+
+            let data;
+            try {
+                data = await response.json();
+            } catch (error) {
+                if (error?.name === 'AbortError') throw error;
+                throw new Error(`API request failed (HTTP ${response.status})`);
+            }
+
+            return {
+                data,
+                etag: response.headers.get('ETag'),
+                cacheable: response.ok && data?.success === true
+            };
+        },
+
+        /**
+         * Stale-while-revalidate GET
+         * @param {string} url - Request URL (relative URLs resolve against the page)
+         * @param {Object} options
+         * @param {Object} options.fetchOptions - Options for fetch(), e.g. an abort signal
+         * @param {Function} options.onUpdate - Called with the fresh response if it differs from the cached one
+         * @returns {Promise<{data: Object, cached: boolean}>}
+         */
+        async fetch(url, { fetchOptions = {}, onUpdate = null } = {}) {
+            url = new URL(url, window.location.origin).toString();
+
+            const entry = await this.get(url);
+            if (entry) {
+                this.revalidate(url, entry, fetchOptions, onUpdate);
+                return { data: entry.data, cached: true };
+            }
+
+            const result = await this.request(url, fetchOptions);
+            if (result.cacheable) {
+                this.set(url, result.data, result.etag);
+            }
+            return { data: result.data, cached: false };
+        },
+
+        /**
+         * Refresh a served entry in the background
+         */
+        async revalidate(url, entry, fetchOptions, onUpdate) {
+            try {
+                const result = await this.request(url, fetchOptions, entry.etag);
+
+                if (result.notModified) {
+                    this.set(url, entry.data, entry.etag);
+                    return;
+                }
+                if (!result.cacheable) return;
+
+                this.set(url, result.data, result.etag);
+                if (onUpdate && JSON.stringify(result.data) !== JSON.stringify(entry.data)) {
+                    onUpdate(result.data);
+                }
+            } catch (error) {
+                // Superseded requests are aborted on purpose; offline keeps the cached data
+                if (error?.name !== 'AbortError') {
+                    console.warn('Cache revalidation failed:', error);
+                }
+            }
+        }
+    };
+
+    // =========================================
+    // OFFLINE SUPPORT
+    // =========================================
+
+    /**
+     * Mutation Queue Module
+     * Favorite and collection writes that failed for a transient reason
+     * (offline, server error, rate limit), kept in localStorage and retried
+     * with exponential backoff until the server confirms them.
+     *
+     * Each write has a key naming what it changes (e.g. 'favorite:12') and a
+     * value (e.g. true = add). A queued write is replaced by a newer one with
+     * the same value and cancelled by one with the opposite value, since the
+     * server never saw either. Elements with a matching data-pending-key get
+     * the 'pending' class while a write for that key is queued.
+     *
+     * The queue is shared by every tab: entries remember the user who made
+     * them and only that user's tabs send them, and one tab at a time flushes
+     * (Web Locks), so a write is never sent twice.
+     *
+     * Usage:
+     *   const { status } = await GTAW.mutationQueue.submit({
+     *       key: 'favorite:12', value: true,
+     *       url: '/api.php?action=favorites', method: 'POST', body: { furniture_id: 12 }
+     *   });
+     *   // status: 'done', 'queued' (retrying in the background) or 'failed' (rejected)
+     */
+    const mutationQueue = {
+        storageKey: 'gtaw_mutation_queue',
+        lockName: 'gtaw_mutation_queue',
+        baseDelay: 2000,          // First retry after 2s, doubling per attempt
+        maxDelay: 5 * 60 * 1000,  // ...up to 5 minutes
+        maxAttempts: 10,
+        timer: null,
+        flushing: false,
+
+        /**
+         * Get queued writes, oldest first
+         * @returns {Array<Object>}
+         */
+        getAll() {
+            try {
+                const queue = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+                return Array.isArray(queue) ? queue : [];
+            } catch {
+                return [];
+            }
+        },
+
+        /**
+         * Get queued writes made by the signed-in user (guests: null), oldest first
+         * @returns {Array<Object>}
+         */
+        getOwn() {
+            const userId = window.GTAW_USER_ID ?? null;
+            return this.getAll().filter(entry => entry.userId === userId);
+        },
+
+        save(queue) {
+            try {
+                if (queue.length > 0) {
+                    localStorage.setItem(this.storageKey, JSON.stringify(queue));
+                } else {
+                    localStorage.removeItem(this.storageKey);
+                }
+            } catch {
+                // localStorage not available
+            }
+            this.updateIndicators();
+        },
+
+        /**
+         * Check if a write for this key is waiting to be confirmed
+         * @param {string} key - Mutation key, e.g. 'favorite:12'
+         */
+        isPending(key) {
+            return this.getOwn().some(entry => entry.key === key);
+        },
+
+        /**
+         * Get the keys of all queued writes (for checking many elements at once)
+         * @returns {Set<string>}
+         */
+        getPendingKeys() {
+            return new Set(this.getOwn().map(entry => entry.key));
+        },
+
+        /**
+         * Send a write now, queueing it if it fails for a transient reason
+         *
+         * Writes for a key that is already queued go through the queue so
+         * they reach the server in order.
+         *
+         * @param {Object} mutation - { key, value, url, method, body }
+         * @returns {Promise<{status: string, result?: Object, error?: string}>}
+         */
+        async submit(mutation) {
+            if (this.isPending(mutation.key)) {
+                this.add(mutation);
+                this.flush();
+                return { status: 'queued' };
+            }
+
+            const outcome = await this.send(mutation);
+            if (outcome.retry) {
+                this.add(mutation, 1);
+                this.schedule();
+                return { status: 'queued' };
+            }
+            return outcome.ok
+                ? { status: 'done', result: outcome.result }
+                : { status: 'failed', error: outcome.result?.error || __('error.generic') };
+        },
+
+        /**
+         * Queue a write, merging it with a queued one for the same key
+         * @param {Object} mutation - { key, value, url, method, body }
+         * @param {number} attempts - Attempts already made
+         */
+        add(mutation, attempts = 0) {
+            const userId = window.GTAW_USER_ID ?? null;
+            const queue = this.getAll();
+            const index = queue.findIndex(entry => entry.userId === userId && entry.key === mutation.key && !entry.sending);
+
+            if (index !== -1) {
+                const cancelled = queue[index].value !== mutation.value;
+                queue.splice(index, 1);
+                if (cancelled) {
+                    this.save(queue);
+                    return;
+                }
+            } else if (queue.some(entry => entry.userId === userId && entry.key === mutation.key && entry.value === mutation.value)) {
+                // Same write already in flight
+                return;
+            }
+
+            queue.push({
+                ...mutation,
+                userId,
+                id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+                attempts,
+                nextAttemptAt: attempts > 0 ? Date.now() + this.getDelay(attempts) : 0
+            });
+            this.save(queue);
+        },
+
+        /**
+         * Backoff delay before the next attempt
+         */
+        getDelay(attempts) {
+            return Math.min(this.maxDelay, this.baseDelay * 2 ** (attempts - 1));
+        },
+
+        /**
+         * Send one write
+         * @returns {Promise<{ok: boolean, retry: boolean, result: Object|null}>}
+         */
+        async send(mutation) {
+            const csrfToken = getCsrfToken();
+
+            let response;
+            try {
+                response = await fetch(mutation.url, {
+                    method: mutation.method,
+                    credentials: 'same-origin',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-CSRF-Token': csrfToken || ''
+                    },
+                    body: JSON.stringify({ ...mutation.body, csrf_token: csrfToken })
+                });
+            } catch {
+                // Network failure (fetch rejects with a TypeError)
+                return { ok: false, retry: true, result: null };
+            }
+
+            const result = await response.json().catch(() => null);
+            const retry = response.status >= 500 || response.status === 429;
+            return { ok: !retry && result?.success === true, retry, result };
+        },
+
+        /**
+         * Send queued writes that are due, in order, unless another tab is already at it
+         */
+        async flush() {
+            if (this.flushing || !navigator.onLine) return;
+
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.flushing = true;
+            let locked = true;
+
+            try {
+                if (navigator.locks) {
+                    await navigator.locks.request(this.lockName, { ifAvailable: true }, async (lock) => {
+                        locked = lock !== null;
+                        if (locked) await this.sendDue();
+                    });
+                } else {
+                    await this.sendDue();
+                }
+            } finally {
+                this.flushing = false;
+                if (locked) {
+                    this.schedule();
+                } else {
+                    // The flushing tab picks up our writes too; check back in case it just finished
+                    this.timer = setTimeout(() => this.flush(), this.baseDelay);
+                }
+            }
+        },
+
+        /**
+         * Send due writes until none are left (called while holding the queue lock)
+         */
+        async sendDue() {
+            const userId = window.GTAW_USER_ID ?? null;
+            let synced = 0;
+
+            // Nothing else is sending now, so 'sending' was left by a page closed mid-request
+            this.save(this.getAll().map(entry => entry.userId === userId && entry.sending
+                ? { ...entry, sending: false }
+                : entry));
+
+            // First due write that isn't waiting behind an earlier one for the same key
+            const nextDue = () => {
+                const queue = this.getOwn();
+                return queue.find((entry, index) => !entry.sending
+                    && entry.nextAttemptAt <= Date.now()
+                    && queue.findIndex(e => e.key === entry.key) === index);
+            };
+
+            let entry;
+            while ((entry = nextDue())) {
+                this.update(entry.id, { sending: true });
+                const outcome = await this.send(entry);
+
+                if (outcome.retry && entry.attempts + 1 < this.maxAttempts) {
+                    this.update(entry.id, {
+                        sending: false,
+                        attempts: entry.attempts + 1,
+                        nextAttemptAt: Date.now() + this.getDelay(entry.attempts + 1)
+                    });
+                    if (!navigator.onLine) break;
+                    continue;
+                }
+
+                this.save(this.getAll().filter(e => e.id !== entry.id));
+                if (outcome.ok) {
+                    synced++;
+                } else {
+                    toast(__('queue.failed'), 'error');
+                    document.dispatchEvent(new CustomEvent('gtaw:mutation-failed', { detail: entry }));
+                }
+            }
+
+            if (synced > 0) {
+                toast(__('queue.synced', { count: synced }), 'success');
+            }
+        },
+
+        /**
+         * Change fields of a queued write
+         */
+        update(id, changes) {
+            this.save(this.getAll().map(entry => entry.id === id ? { ...entry, ...changes } : entry));
+        },
+
+        /**
+         * Set a timer for the next due write
+         */
+        schedule() {
+            clearTimeout(this.timer);
+            this.timer = null;
+
+            const waiting = this.getOwn().filter(entry => !entry.sending);
+            if (waiting.length === 0 || !navigator.onLine) return;
+
+            const next = Math.min(...waiting.map(entry => entry.nextAttemptAt));
+            this.timer = setTimeout(() => this.flush(), Math.max(0, next - Date.now()));
+        },
+
+        /**
+         * Retry everything right away (e.g. when the connection comes back)
+         */
+        retryNow() {
+            const userId = window.GTAW_USER_ID ?? null;
+            this.save(this.getAll().map(entry => entry.userId === userId ? { ...entry, nextAttemptAt: 0 } : entry));
+            this.flush();
+        },
+
+        /**
+         * Toggle the pending class on elements with a queued data-pending-key
+         * @param {ParentNode} root - Element to update (default: whole document)
+         */
+        updateIndicators(root = document) {
+            const pendingKeys = this.getPendingKeys();
+            root.querySelectorAll('[data-pending-key]').forEach((el) => {
+                const pending = pendingKeys.has(el.dataset.pendingKey);
+                el.classList.toggle('pending', pending);
+                if (pending) {
+                    el.setAttribute('aria-busy', 'true');
+                } else {
+                    el.removeAttribute('aria-busy');
+                }
+            });
+        }
+    };
+
+    /**
+     * Ask the service worker to drop cached pages and API responses when the
+     * session user changed since the last page, or when logging out
+     */
+    function clearCachedUserData() {
+        const clear = () => {
+            navigator.serviceWorker.ready.then((registration) => {
+                registration.active?.postMessage({ type: 'clear-user-data' });
+            });
+        };
+
+        const userId = String(window.GTAW_USER_ID ?? '');
+        try {
+            const previousUserId = localStorage.getItem(SW_USER_KEY);
+            if (previousUserId !== null && previousUserId !== userId) {
+                clear();
+            }
+            localStorage.setItem(SW_USER_KEY, userId);
+        } catch {
+            // localStorage not available; logging out still clears
+        }
+
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('a[href="/logout.php"]')) {
+                try {
+                    localStorage.setItem(SW_USER_KEY, '');
+                } catch {
+                    // localStorage not available
+                }
+                clear();
+            }
+        });
+    }
+
+    /**
+     * Register the service worker, show an offline banner and send queued writes
+     */
+    function initOfflineSupport() {
+        // Admin pages load no translations and aren't meant to work offline
+        if (!window.GTAW_TRANSLATIONS) return;
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('/sw.js').catch((error) => {
+                console.warn('Service worker registration failed:', error);
+            });
+            clearCachedUserData();
+        }
+
+        let offlineToast = null;
+        const showOfflineBanner = () => {
+            if (!offlineToast) {
+                offlineToast = toast(__('offline.banner'), 'warning', { persistent: true });
+            }
+        };
+
+        window.addEventListener('offline', showOfflineBanner);
+        window.addEventListener('online', () => {
+            if (offlineToast) {
+                dismissToast(offlineToast);
+                offlineToast = null;
+                toast(__('offline.back_online'), 'success');
+            }
+            mutationQueue.retryNow();
+        });
+
+        // Writes left over from an earlier page
+        mutationQueue.retryNow();
+
+        if (!navigator.onLine) {
+            showOfflineBanner();
+        }
+    }
+
+    initOfflineSupport();
+
+    // =========================================
+    // PUBLIC API
+    // =========================================
+
+    return {
+        // i18n
+        __,
+        getLocale,
+        
+        // Security
+        getCsrfToken,
+        escapeHtml,
+        
+        // Notifications
+        toast,
+        dismissToast,
+        
+        // Modals
+        showModal,
+        closeModal,
+        
+        // Clipboard
+        copyToClipboard,
+        copyCommand,
+        
+        // Export
+        collectionCommands,
         
         // Theme
         toggleTheme,
@@ -821,7 +2551,13 @@ window.GTAW = (function () {
         tableSearch,
         duplicateDetection,
         imagePreview,
-        collectionPicker
+        collectionPicker,
+        exportDialog,
+        lightboxZoom,
+        lightboxSwipe,
+        lightboxGallery,
+        cache,
+        mutationQueue
     };
 })();
 
@@ -180,8 +180,51 @@ const Dashboard = {
         }
     },
 
+    /**
+     * Save the note and quantity inputs of a favorites table row
+     */
+    async saveFavoriteDetails(furnitureId, row) {
+        const quantityInput = row.querySelector('.favorite-quantity-input');
+        const noteInput = row.querySelector('.favorite-note-input');
+        
+        const csrfToken = this.getCsrfToken();
+        try {
+            const response = await fetch('/api.php?action=favorites/update', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': csrfToken || ''
+                },
+                body: JSON.stringify({
+                    furniture_id: furnitureId,
+                    quantity: parseInt(quantityInput.value, 10) || 0,
+                    note: noteInput.value,
+                    csrf_token: csrfToken
+                }),
+            });
+            
+            const result = await response.json();
+            
+            if (result.success) {
+                // Show the values as stored (trimmed note)
+                quantityInput.value = result.data.quantity;
+                noteInput.value = result.data.note || '';
+                this.toast(window.GTAW.__('favorites.details_saved'), 'success');
+            } else {
+                this.toast(result.error || window.GTAW.__('favorites.details_failed'), 'error');
+            }
+        } catch (error) {
+            console.error('Save favorite details error:', error);
+            this.toast(window.GTAW.__('error.network'), 'error');
+        }
+    },
+
     /**
      * Export favorites
+     * 
+     * Opens the shared export dialog (GTAW.exportDialog); in the /sf format each
+     * line is repeated for the wanted quantity, preceded by the private note as
+     * a "#" comment line.
      */
     async exportFavorites() {
         try {
@@ -193,18 +236,11 @@ const Dashboard = {
                 return;
             }
             
-            const commands = result.data.map(item => `/sf ${item.name}`).join('\n');
-            
-            // Create download
-            const blob = new Blob([commands], { type: 'text/plain' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = 'favorites-commands.txt';
-            a.click();
-            URL.revokeObjectURL(url);
-            
-            this.toast(window.GTAW.__('favorites.exported', { count: result.data.length }), 'success');
+            window.GTAW.exportDialog.open(result.data, {
+                kind: 'favorites',
+                title: window.GTAW.__('export.favorites_title'),
+                filename: 'favorites'
+            });
         } catch (error) {
             console.error('Export error:', error);
             this.toast(window.GTAW.__('error.generic'), 'error');
@@ -303,6 +339,39 @@ const Dashboard = {
         });
     },
 
+    /**
+     * Delete a saved search
+     */
+    async deleteSavedSearch(id, name) {
+        if (!confirm(window.GTAW.__('saved_searches.confirm_delete', { name }))) return;
+        
+        const csrfToken = this.getCsrfToken();
+        try {
+            const response = await fetch(`/dashboard/api.php?action=saved-searches/delete&id=${id}`, {
+                method: 'POST',
+                headers: {
+                    'X-CSRF-Token': csrfToken || ''
+                },
+                body: JSON.stringify({
+                    csrf_token: csrfToken
+                }),
+            });
+            
+            const result = await response.json();
+            
+            if (result.success) {
+                const row = document.querySelector(`tr[data-id="${id}"]`);
+                if (row) row.remove();
+                this.toast(window.GTAW.__('saved_searches.deleted'), 'success');
+            } else {
+                this.toast(result.error || window.GTAW.__('error.generic'), 'error');
+            }
+        } catch (error) {
+            console.error('Delete saved search error:', error);
+            this.toast(window.GTAW.__('error.network'), 'error');
+        }
+    },
+
     /**
      * Duplicate a collection
      */
@@ -338,6 +407,9 @@ const Dashboard = {
 
     /**
      * Export collection
+     * 
+     * Each /sf line is repeated for the item's quantity, after a "#" line
+     * with the collection's piece count and total cost.
      */
     async exportCollection(collectionId) {
         try {
@@ -349,17 +421,11 @@ const Dashboard = {
                 return;
             }
             
-            const commands = result.data.map(item => `/sf ${item.name}`).join('\n');
-            
-            const blob = new Blob([commands], { type: 'text/plain' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = 'collection-commands.txt';
-            a.click();
-            URL.revokeObjectURL(url);
-            
-            this.toast(window.GTAW.__('favorites.exported', { count: result.data.length }), 'success');
+            window.GTAW.exportDialog.open(result.data, {
+                kind: 'collection',
+                title: window.GTAW.__('export.collection_title'),
+                filename: 'collection'
+            });
         } catch (error) {
             console.error('Export error:', error);
             this.toast(window.GTAW.__('favorites.export_failed'), 'error');
@@ -392,6 +458,7 @@ const Dashboard = {
             if (result.success) {
                 const row = document.querySelector(`tr[data-id="${furnitureId}"]`);
                 if (row) row.remove();
+                this.updateCollectionTotals();
                 this.toast(window.GTAW.__('collections.removed'), 'success');
             } else {
                 this.toast(result.error || window.GTAW.__('error.generic'), 'error');
@@ -402,6 +469,145 @@ const Dashboard = {
         }
     },
 
+    /**
+     * Save the quantity input of a collection table row
+     */
+    async updateItemQuantity(collectionId, furnitureId, input) {
+        const row = input.closest('tr');
+        const csrfToken = this.getCsrfToken();
+        try {
+            const response = await fetch('/dashboard/api.php?action=collections/update-item', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': csrfToken || ''
+                },
+                body: JSON.stringify({
+                    collection_id: collectionId,
+                    furniture_id: furnitureId,
+                    quantity: parseInt(input.value, 10) || 0,
+                    csrf_token: csrfToken
+                }),
+            });
+            
+            const result = await response.json();
+            
+            if (result.success) {
+                row.dataset.quantity = result.data.quantity;
+                this.updateCollectionTotals();
+                this.toast(window.GTAW.__('collections.quantity_updated'), 'success');
+            } else {
+                input.value = row.dataset.quantity;
+                this.toast(result.error || window.GTAW.__('error.generic'), 'error');
+            }
+        } catch (error) {
+            console.error('Update quantity error:', error);
+            input.value = row.dataset.quantity;
+            this.toast(window.GTAW.__('error.network'), 'error');
+        }
+    },
+
+    /**
+     * Recompute the piece count and total cost shown above the collection table
+     */
+    updateCollectionTotals() {
+        const totals = document.getElementById('collection-totals');
+        if (!totals) return;
+        
+        let count = 0;
+        let cost = 0;
+        document.querySelectorAll('#collection-items-table tbody tr[data-id]').forEach(row => {
+            const quantity = parseInt(row.dataset.quantity, 10) || 1;
+            count += quantity;
+            cost += quantity * (parseInt(row.dataset.price, 10) || 0);
+        });
+        
+        totals.textContent = window.GTAW.__('collections.totals', { count, cost: '$' + cost.toLocaleString() });
+    },
+
+    /**
+     * Add a section from the form above the collection table
+     */
+    async addCollectionSection(event, collectionId) {
+        event.preventDefault();
+        const input = event.target.querySelector('input[name="name"]');
+        
+        const result = await this.sendSectionRequest('collections/add-section', {
+            collection_id: collectionId,
+            name: input.value
+        });
+        
+        if (result) {
+            this.toast(window.GTAW.__('collections.section_added'), 'success');
+            // Reload so the new section gets its header row
+            window.location.reload();
+        }
+    },
+
+    /**
+     * Rename a section, updating its header row in place
+     */
+    async renameCollectionSection(collectionId, sectionId, button) {
+        const nameEl = button.closest('tr').querySelector('.collection-section-name');
+        const name = prompt(window.GTAW.__('collections.rename_section_prompt'), nameEl.textContent.trim());
+        if (name === null || name.trim() === '') return;
+        
+        const result = await this.sendSectionRequest('collections/rename-section', {
+            collection_id: collectionId,
+            section_id: sectionId,
+            name
+        });
+        
+        if (result) {
+            nameEl.textContent = result.data.name;
+            this.toast(window.GTAW.__('collections.section_renamed'), 'success');
+        }
+    },
+
+    /**
+     * Delete a section; its items stay in the collection without a section
+     */
+    async deleteCollectionSection(collectionId, sectionId) {
+        if (!confirm(window.GTAW.__('collections.confirm_delete_section'))) return;
+        
+        const result = await this.sendSectionRequest('collections/delete-section', {
+            collection_id: collectionId,
+            section_id: sectionId
+        });
+        
+        if (result) {
+            this.toast(window.GTAW.__('collections.section_deleted'), 'success');
+            window.location.reload();
+        }
+    },
+
+    /**
+     * POST a section change, toasting any error
+     * @returns {Promise<Object|null>} The API result, or null on failure
+     */
+    async sendSectionRequest(action, data) {
+        const csrfToken = this.getCsrfToken();
+        try {
+            const response = await fetch(`/dashboard/api.php?action=${action}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': csrfToken || ''
+                },
+                body: JSON.stringify({ ...data, csrf_token: csrfToken }),
+            });
+            
+            const result = await response.json();
+            if (result.success) return result;
+            
+            this.toast(result.error || window.GTAW.__('error.generic'), 'error');
+        } catch (error) {
+            console.error('Collection section error:', error);
+            this.toast(window.GTAW.__('error.network'), 'error');
+        }
+        return null;
+    },
+
     /**
      * Cancel submission
      */
@@ -474,12 +680,15 @@ const Dashboard = {
             if (!tbody) return;
             
             const collectionId = parseInt(table.dataset.collectionId);
+            const hasSections = tbody.querySelector('.collection-section-row') !== null;
             let draggedRow = null;
             
-            // Make rows draggable
+            // Item rows are draggable; section header rows only act as drop targets
             tbody.querySelectorAll('tr').forEach(row => {
-                row.draggable = true;
-                row.style.cursor = 'move';
+                if (row.dataset.id !== undefined) {
+                    row.draggable = true;
+                    row.style.cursor = 'move';
+                }
                 
                 row.addEventListener('dragstart', (e) => {
                     draggedRow = row;
@@ -490,12 +699,14 @@ const Dashboard = {
                 
                 row.addEventListener('dragend', () => {
                     row.style.opacity = '1';
+                    draggedRow = null;
                     tbody.querySelectorAll('tr').forEach(r => {
                         r.classList.remove('drag-over');
                     });
                 });
                 
                 row.addEventListener('dragover', (e) => {
+                    if (!draggedRow) return;
                     e.preventDefault();
                     e.dataTransfer.dropEffect = 'move';
                     
@@ -525,10 +736,12 @@ const Dashboard = {
                     row.classList.remove('drag-over');
                     
                     if (draggedRow && draggedRow !== row) {
-                        const newOrder = Array.from(tbody.querySelectorAll('tr')).map((tr, index) => ({
-                            id: parseInt(tr.dataset.id),
-                            order: index
-                        }));
+                        const newOrder = hasSections
+                            ? this.getSectionedOrder(tbody)
+                            : Array.from(tbody.querySelectorAll('tr[data-id]')).map((tr, index) => ({
+                                id: parseInt(tr.dataset.id),
+                                order: index
+                            }));
                         
                         await this.reorderCollectionItems(collectionId, newOrder);
                     }
@@ -537,6 +750,26 @@ const Dashboard = {
         });
     },
     
+    /**
+     * Get the order of item rows along with the section each now sits under
+     * (the nearest section header row above it)
+     */
+    getSectionedOrder(tbody) {
+        const order = [];
+        let sectionId = null;
+        
+        tbody.querySelectorAll('tr').forEach(tr => {
+            if (tr.classList.contains('collection-section-row')) {
+                sectionId = tr.dataset.sectionId ? parseInt(tr.dataset.sectionId) : null;
+            } else if (tr.dataset.id !== undefined) {
+                tr.dataset.sectionId = sectionId ?? '';
+                order.push({ id: parseInt(tr.dataset.id), order: order.length, section_id: sectionId });
+            }
+        });
+        
+        return order;
+    },
+    
     /**
      * Get element after which to insert dragged element
      */
@@ -622,13 +855,17 @@ const Dashboard = {
             // Limit to maxDisplay items
             const displayIds = ids.slice(0, this.maxDisplay);
             
-            try {
-                const response = await fetch(`/api.php?action=furniture/batch&ids=${displayIds.join(',')}`);
-                const result = await response.json();
-                
+            const show = (result) => {
                 if (result.success && result.data.length > 0) {
                     this.render(result.data);
                 }
+            };
+            
+            try {
+                const { data } = await window.GTAW.cache.fetch(`/api.php?action=furniture/batch&ids=${displayIds.join(',')}`, {
+                    onUpdate: show
+                });
+                show(data);
             } catch (error) {
                 console.error('Failed to load recently viewed:', error);
             }
@@ -49,6 +49,23 @@ return [
     'search.did_you_mean' => 'Did you mean {suggestions}?',
     'search.try_category' => 'Try browsing the {category} category',
     'search.dismiss' => 'Dismiss',
+    'search.matched_via' => 'Matched via synonym: {term}',
+    'search.syntax_hint' => 'Tip: "exact phrase", -exclude, tag:modern, -tag:rustic, cat:seating, price:<5000, id:123',
+    'search.chip_phrase' => 'Phrase',
+    'search.chip_exclude' => 'Not',
+    'search.chip_tag' => 'Tag',
+    'search.chip_cat' => 'Category',
+    'search.chip_exclude_tag' => 'Not tag',
+    'search.chip_exclude_cat' => 'Not in category',
+    'search.chip_price' => 'Price',
+    'search.chip_id' => 'ID',
+    'search.chip_remove' => 'Remove {token}',
+    'autocomplete.label' => 'Search suggestions',
+    'autocomplete.search_for' => 'Search for “{query}”',
+    'autocomplete.type_search' => 'Search',
+    'autocomplete.type_furniture' => 'Item',
+    'autocomplete.type_category' => 'Category',
+    'autocomplete.type_tag' => 'Tag',
     
     'filter.category' => 'Category:',
     'filter.all_categories' => 'All Categories',
@@ -64,6 +81,11 @@ return [
     'filter.active' => 'Active filters:',
     'filter.clear_group' => 'Clear',
     'filter.remove_tag' => 'Remove',
+    'filter.price' => 'Price:',
+    'filter.price_min' => 'Min',
+    'filter.price_max' => 'Max',
+    'filter.price_min_label' => 'Minimum price',
+    'filter.price_max_label' => 'Maximum price',
     
     // ===========================================
     // FURNITURE CARDS
@@ -78,7 +100,6 @@ return [
     // ===========================================
     'favorites.add' => 'Add to favorites',
     'favorites.remove' => 'Remove from favorites',
-    'favorites.login_required' => 'Login to save favorites',
     'favorites.added' => 'Added to favorites',
     'favorites.removed' => 'Removed from favorites',
     'favorites.failed' => 'Failed to update favorites',
@@ -94,6 +115,21 @@ return [
     'favorites.nothing_to_export' => 'No favorites to export',
     'favorites.nothing_to_clear' => 'No favorites to clear',
     'favorites.export_failed' => 'Export failed',
+    'favorites.quantity' => 'Quantity',
+    'favorites.note' => 'Note',
+    'favorites.note_placeholder' => 'Private note, e.g. "for the lobby"',
+    'favorites.save_details' => 'Save',
+    'favorites.details_saved' => 'Favorite note saved',
+    'favorites.details_failed' => 'Failed to save the note',
+    'guest_favorites.added' => 'Added to favorites on this device. Log in to keep them in your account.',
+    'guest_favorites.limit' => 'You can save up to {count} favorites without an account',
+    'guest_favorites.merge_title' => 'Favorites on this device',
+    'guest_favorites.merge_prompt' => 'You saved {count} favorite before logging in. Add it to your account?|You saved {count} favorites before logging in. Add them to your account?',
+    'guest_favorites.merge' => 'Add to my account',
+    'guest_favorites.discard' => 'Discard',
+    'guest_favorites.merged' => 'Merged {count} favorite into your account ({existing} already saved)|Merged {count} favorites into your account ({existing} already saved)',
+    'guest_favorites.merge_failed' => 'Could not merge your favorites. We\'ll ask again next time.',
+    'guest_favorites.discarded' => 'Favorites on this device discarded',
     
     // ===========================================
     // LIGHTBOX
@@ -102,12 +138,79 @@ return [
     'lightbox.close' => 'Close preview',
     'lightbox.previous' => 'Previous image',
     'lightbox.next' => 'Next image',
+    'lightbox.zoom_hint' => 'Scroll, double-click or pinch to zoom (+ / - / 0). Drag to move.',
+    'lightbox.gallery' => 'Images of this item',
+    'lightbox.gallery_image' => 'Image {number} of {total}',
     'lightbox.copy_command' => 'Copy /sf command',
     'lightbox.share' => 'Share',
     'lightbox.share_copied' => 'Link copied to clipboard!',
     'lightbox.add_collection' => 'Add to Collection',
     'lightbox.suggest_edit' => 'Suggest Edit',
     'lightbox.admin_edit' => 'Admin Edit',
+    'lightbox.similar_items' => 'Similar items',
+    'lightbox.similar_none' => 'No similar items found',
+    'lightbox.similar_match' => '{percent}% match',
+    
+    // ===========================================
+    // COMPARE
+    // ===========================================
+    'compare.add' => 'Add to compare',
+    'compare.remove' => 'Remove from compare',
+    'compare.title' => 'Compare items',
+    'compare.open' => 'Compare ({count})',
+    'compare.clear' => 'Clear',
+    'compare.share' => 'Share',
+    'compare.count' => '{count} of {max} selected',
+    'compare.limit' => 'You can compare up to {max} items',
+    'compare.need_more' => 'Select at least 2 items to compare',
+    'compare.link_copied' => 'Compare link copied to clipboard!',
+    'compare.price' => 'Price',
+    'compare.categories' => 'Categories',
+    'compare.tags' => 'Tags',
+    'compare.lowest_price' => 'Lowest price',
+    'compare.tray_label' => 'Compare tray',
+    
+    // ===========================================
+    // SELECTION
+    // ===========================================
+    'selection.mode' => 'Select',
+    'selection.mode_hint' => 'Select several items for bulk actions (Shift-click for a range, Ctrl+A for everything loaded, including infinite scroll pages)',
+    'selection.bar_label' => 'Selected items',
+    'selection.select_item' => 'Select {name}',
+    'selection.count' => '{count} selected',
+    'selection.limit' => 'You can select up to {max} items at once',
+    'selection.favorite' => 'Favorite all',
+    'selection.add_to_collection' => 'Add to collection',
+    'selection.copy_commands' => 'Copy commands',
+    'selection.select_all' => 'Select all',
+    'selection.clear' => 'Clear',
+    'selection.done' => 'Done',
+    'selection.favorited' => 'Added {count} item to favorites ({existing} already saved)|Added {count} items to favorites ({existing} already saved)',
+    'selection.commands_copied' => 'Copied {count} command|Copied {count} commands',
+    'selection.login_required' => 'Log in to add items to collections',
+    
+    // ===========================================
+    // SAVED SEARCHES
+    // ===========================================
+    'saved_searches.title' => 'Saved Searches',
+    'saved_searches.menu' => 'Saved searches',
+    'saved_searches.empty' => 'No saved searches yet',
+    'saved_searches.empty_hint' => 'Set up filters in the catalog and save them from the "Saved searches" menu.',
+    'saved_searches.filters' => 'Filters',
+    'saved_searches.saved_at' => 'Saved',
+    'saved_searches.no_filters' => 'All furniture',
+    'saved_searches.open' => 'Open',
+    'saved_searches.delete' => 'Delete saved search',
+    'saved_searches.summary_category' => 'Category: {category}',
+    'saved_searches.summary_tags' => 'Tags: {tags}',
+    'saved_searches.summary_sort' => 'Sort: {sort}',
+    'saved_searches.none' => 'No saved searches yet',
+    'saved_searches.name_placeholder' => 'Name this search',
+    'saved_searches.save' => 'Save',
+    'saved_searches.name_required' => 'Enter a name for this search',
+    'saved_searches.saved' => 'Saved search "{name}"',
+    'saved_searches.deleted' => 'Saved search deleted',
+    'saved_searches.confirm_delete' => 'Delete saved search "{name}"?',
     
     // ===========================================
     // COLLECTIONS
@@ -136,6 +239,26 @@ return [
     'collections.private' => '🔒 Private',
     'collections.items' => 'Items',
     'collections.item_count' => '{count} items',
+    'collections.totals' => '{count} item · {cost} total|{count} items · {cost} total',
+    'collections.quantity' => 'Quantity',
+    'collections.quantity_updated' => 'Quantity updated',
+    'collections.budget_optional' => 'Budget (optional)',
+    'collections.budget_placeholder' => 'e.g. 50000',
+    'collections.budget_spent' => '{spent} of {budget} spent',
+    'collections.budget_left' => '{amount} left',
+    'collections.budget_over' => '{amount} over budget',
+    'collections.budget_would_exceed' => 'Would go {amount} over budget',
+    'collections.budget_confirm' => 'Adding this to "{name}" puts it {amount} over budget. Add anyway?',
+    'collections.section_name' => 'Section name',
+    'collections.section_placeholder' => 'New section, e.g. Kitchen',
+    'collections.add_section' => 'Add Section',
+    'collections.no_section' => 'No section',
+    'collections.rename_section' => 'Rename',
+    'collections.rename_section_prompt' => 'Section name:',
+    'collections.confirm_delete_section' => 'Delete this section? Its items stay in the collection.',
+    'collections.section_added' => 'Section added',
+    'collections.section_renamed' => 'Section renamed',
+    'collections.section_deleted' => 'Section deleted',
     'collections.empty' => 'No collections yet',
     'collections.empty_hint' => 'Create collections to organize your furniture items into shareable lists.',
     'collections.collection_empty' => 'Collection is empty',
@@ -152,15 +275,45 @@ return [
     'collections.reorder_failed' => 'Failed to reorder items',
     'collections.confirm_remove_item' => 'Remove this item from the collection?',
     'collections.pick_title' => 'Add to Collection',
+    'collections.pick_title_bulk' => 'Add {count} item to Collection|Add {count} items to Collection',
+    'collections.bulk_added' => 'Added {count} item ({existing} already in collection)|Added {count} items ({existing} already in collection)',
     'collections.no_collections' => "You haven't created any collections yet.",
     'collections.create_first' => 'Create Collection',
     'collections.new_collection' => '+ New Collection',
+    'collections.create_and_add' => 'Create & Add',
+    'collections.created' => 'Collection "{name}" created',
     'collections.added_status' => '✓ Added',
     'collections.not_found' => 'Collection not found',
     'collections.public_disabled' => 'Public collections are currently disabled.',
     'collections.will_be_private' => 'This collection will be private.',
     'collections.currently_public_warning' => 'This collection is currently public but will be set to private when saved.',
     
+    // ===========================================
+    // EXPORT
+    // ===========================================
+    'export.title' => 'Export',
+    'export.favorites_title' => 'Export Favorites',
+    'export.collection_title' => 'Export Collection',
+    'export.format' => 'Format',
+    'export.format_commands' => '/sf commands',
+    'export.format_csv' => 'CSV (spreadsheet)',
+    'export.format_json' => 'JSON',
+    'export.format_markdown' => 'Markdown table',
+    'export.format_bbcode' => 'Forum BBCode',
+    'export.batch_size' => 'Commands per batch (0 = all at once)',
+    'export.batch_header' => 'Batch {n} of {total}',
+    'export.copy_batch' => 'Copy batch {n}',
+    'export.preview' => 'Export preview',
+    'export.copy' => 'Copy',
+    'export.download' => 'Download',
+    'export.copied' => 'Copied to clipboard',
+    'export.downloaded' => 'Downloaded {count} items',
+    'export.column_name' => 'Name',
+    'export.column_categories' => 'Categories',
+    'export.column_price' => 'Price',
+    'export.column_quantity' => 'Qty',
+    'export.column_tags' => 'Tags',
+    
     // ===========================================
     // SUBMISSIONS
     // ===========================================
@@ -191,6 +344,9 @@ return [
     'submissions.image_url' => 'Image URL',
     'submissions.image_url_placeholder' => 'https://... or /images/...',
     'submissions.image_url_help' => 'URL to an image of the furniture (will be processed and converted)',
+    'submissions.gallery_urls' => 'More images',
+    'submissions.gallery_urls_placeholder' => 'One image URL per line',
+    'submissions.gallery_urls_help' => 'Other angles or placed-in-interior shots, shown after the main image in this order (up to {max})',
     'submissions.edit_notes' => 'Edit Notes (optional)',
     'submissions.edit_notes_placeholder' => 'Explain what you\'re changing and why...',
     'submissions.categories' => 'Categories',
@@ -217,6 +373,7 @@ return [
     'dashboard.overview' => 'Overview',
     'dashboard.favorites' => 'Favorites',
     'dashboard.collections' => 'Collections',
+    'dashboard.saved_searches' => 'Saved Searches',
     'dashboard.submissions' => 'Submissions',
     'dashboard.browse' => 'Browse Catalog',
     'dashboard.logged_in_as' => 'Logged in as',
@@ -233,6 +390,12 @@ return [
     'pagination.next_page' => 'Next page',
     'pagination.page_info' => 'Page {page} of {total_pages} ({total} items)',
     'pagination.items' => '{total} item|{total} items',
+    'pagination.load_more' => 'Load more',
+    'pagination.loading_more' => 'Loading...',
+    'pagination.load_more_failed' => 'Couldn\'t load more items',
+    'pagination.showing' => 'Showing {count} of {total} items',
+    'pagination.mode_infinite' => 'Infinite scroll',
+    'pagination.mode_pages' => 'Show pages',
     
     // ===========================================
     // EMPTY STATES
@@ -243,6 +406,15 @@ return [
     'empty.start_browsing' => 'Start browsing furniture items',
     'empty.not_found' => 'Furniture item not found',
     
+    // ===========================================
+    // OFFLINE & PENDING CHANGES
+    // ===========================================
+    'offline.banner' => 'You\'re offline. Showing saved results where available.',
+    'offline.back_online' => 'Back online',
+    'queue.queued' => 'Not saved yet. Retrying automatically.',
+    'queue.synced' => '{count} pending change saved|{count} pending changes saved',
+    'queue.failed' => 'A pending change couldn\'t be saved',
+    
     // ===========================================
     // ERRORS & MESSAGES
     // ===========================================
@@ -252,6 +424,9 @@ return [
     'error.network_retry' => 'Network error. Please try again.',
     'error.not_found' => 'Not found',
     'error.failed_to_load' => 'Failed to load furniture item',
+    'error.load_failed' => 'Couldn\'t load furniture',
+    'error.load_failed_hint' => 'Check your connection and try again.',
+    'error.retry' => 'Retry',
     
     'success.saved' => 'Saved successfully',
     'success.created' => 'Created successfully',
@@ -49,6 +49,23 @@ return [
     'search.did_you_mean' => 'Vouliez-vous dire {suggestions} ?',
     'search.try_category' => 'Essayez de parcourir la catégorie {category}',
     'search.dismiss' => 'Fermer',
+    'search.matched_via' => 'Trouvé via synonyme : {term}',
+    'search.syntax_hint' => 'Astuce : "phrase exacte", -exclure, tag:modern, -tag:rustic, cat:seating, price:<5000, id:123',
+    'search.chip_phrase' => 'Phrase',
+    'search.chip_exclude' => 'Sans',
+    'search.chip_tag' => 'Tag',
+    'search.chip_cat' => 'Catégorie',
+    'search.chip_exclude_tag' => 'Sans tag',
+    'search.chip_exclude_cat' => 'Hors catégorie',
+    'search.chip_price' => 'Prix',
+    'search.chip_id' => 'ID',
+    'search.chip_remove' => 'Retirer {token}',
+    'autocomplete.label' => 'Suggestions de recherche',
+    'autocomplete.search_for' => 'Rechercher « {query} »',
+    'autocomplete.type_search' => 'Recherche',
+    'autocomplete.type_furniture' => 'Objet',
+    'autocomplete.type_category' => 'Catégorie',
+    'autocomplete.type_tag' => 'Tag',
     
     'filter.category' => 'Catégorie :',
     'filter.all_categories' => 'Toutes les catégories',
@@ -64,6 +81,11 @@ return [
     'filter.active' => 'Filtres actifs :',
     'filter.clear_group' => 'Effacer',
     'filter.remove_tag' => 'Retirer',
+    'filter.price' => 'Prix :',
+    'filter.price_min' => 'Min',
+    'filter.price_max' => 'Max',
+    'filter.price_min_label' => 'Prix minimum',
+    'filter.price_max_label' => 'Prix maximum',
     
     // ===========================================
     // FURNITURE CARDS
@@ -78,7 +100,6 @@ return [
     // ===========================================
     'favorites.add' => 'Ajouter aux favoris',
     'favorites.remove' => 'Retirer des favoris',
-    'favorites.login_required' => 'Connectez-vous pour sauvegarder des favoris',
     'favorites.added' => 'Ajouté aux favoris',
     'favorites.removed' => 'Retiré des favoris',
     'favorites.failed' => 'Échec de la mise à jour des favoris',
@@ -94,6 +115,21 @@ return [
     'favorites.nothing_to_export' => 'Aucun favori à exporter',
     'favorites.nothing_to_clear' => 'Aucun favori à effacer',
     'favorites.export_failed' => 'Échec de l\'export',
+    'favorites.quantity' => 'Quantité',
+    'favorites.note' => 'Note',
+    'favorites.note_placeholder' => 'Note privée, ex. « pour le hall »',
+    'favorites.save_details' => 'Enregistrer',
+    'favorites.details_saved' => 'Note du favori enregistrée',
+    'favorites.details_failed' => 'Échec de l\'enregistrement de la note',
+    'guest_favorites.added' => 'Ajouté aux favoris sur cet appareil. Connectez-vous pour les garder dans votre compte.',
+    'guest_favorites.limit' => 'Vous pouvez enregistrer jusqu\'à {count} favoris sans compte',
+    'guest_favorites.merge_title' => 'Favoris sur cet appareil',
+    'guest_favorites.merge_prompt' => 'Vous avez enregistré {count} favori avant de vous connecter. L\'ajouter à votre compte ?|Vous avez enregistré {count} favoris avant de vous connecter. Les ajouter à votre compte ?',
+    'guest_favorites.merge' => 'Ajouter à mon compte',
+    'guest_favorites.discard' => 'Ignorer',
+    'guest_favorites.merged' => '{count} favori fusionné dans votre compte ({existing} déjà enregistrés)|{count} favoris fusionnés dans votre compte ({existing} déjà enregistrés)',
+    'guest_favorites.merge_failed' => 'Impossible de fusionner vos favoris. Nous vous le proposerons à nouveau.',
+    'guest_favorites.discarded' => 'Favoris de cet appareil supprimés',
     
     // ===========================================
     // LIGHTBOX
@@ -102,12 +138,79 @@ return [
     'lightbox.close' => 'Fermer l\'aperçu',
     'lightbox.previous' => 'Image précédente',
     'lightbox.next' => 'Image suivante',
+    'lightbox.zoom_hint' => 'Molette, double-clic ou pincement pour zoomer (+ / - / 0). Glisser pour déplacer.',
+    'lightbox.gallery' => 'Images de cet article',
+    'lightbox.gallery_image' => 'Image {number} sur {total}',
     'lightbox.copy_command' => 'Copier la commande /sf',
     'lightbox.share' => 'Partager',
     'lightbox.share_copied' => 'Lien copié !',
     'lightbox.add_collection' => 'Ajouter à une collection',
     'lightbox.suggest_edit' => 'Suggérer une modification',
     'lightbox.admin_edit' => 'Modifier (Admin)',
+    'lightbox.similar_items' => 'Articles similaires',
+    'lightbox.similar_none' => 'Aucun article similaire trouvé',
+    'lightbox.similar_match' => '{percent} % de correspondance',
+    
+    // ===========================================
+    // COMPARE
+    // ===========================================
+    'compare.add' => 'Ajouter à la comparaison',
+    'compare.remove' => 'Retirer de la comparaison',
+    'compare.title' => 'Comparer les meubles',
+    'compare.open' => 'Comparer ({count})',
+    'compare.clear' => 'Vider',
+    'compare.share' => 'Partager',
+    'compare.count' => '{count} sur {max} sélectionnés',
+    'compare.limit' => 'Vous pouvez comparer jusqu\'à {max} meubles',
+    'compare.need_more' => 'Sélectionnez au moins 2 meubles à comparer',
+    'compare.link_copied' => 'Lien de comparaison copié !',
+    'compare.price' => 'Prix',
+    'compare.categories' => 'Catégories',
+    'compare.tags' => 'Tags',
+    'compare.lowest_price' => 'Prix le plus bas',
+    'compare.tray_label' => 'Plateau de comparaison',
+    
+    // ===========================================
+    // SELECTION
+    // ===========================================
+    'selection.mode' => 'Sélectionner',
+    'selection.mode_hint' => 'Sélectionnez plusieurs objets pour des actions groupées (Maj+clic pour une plage, Ctrl+A pour tout ce qui est chargé, y compris les pages du défilement infini)',
+    'selection.bar_label' => 'Objets sélectionnés',
+    'selection.select_item' => 'Sélectionner {name}',
+    'selection.count' => '{count} sélectionné|{count} sélectionnés',
+    'selection.limit' => 'Vous pouvez sélectionner jusqu\'à {max} objets à la fois',
+    'selection.favorite' => 'Tout en favoris',
+    'selection.add_to_collection' => 'Ajouter à une collection',
+    'selection.copy_commands' => 'Copier les commandes',
+    'selection.select_all' => 'Tout sélectionner',
+    'selection.clear' => 'Effacer',
+    'selection.done' => 'Terminé',
+    'selection.favorited' => '{count} objet ajouté aux favoris ({existing} déjà enregistrés)|{count} objets ajoutés aux favoris ({existing} déjà enregistrés)',
+    'selection.commands_copied' => '{count} commande copiée|{count} commandes copiées',
+    'selection.login_required' => 'Connectez-vous pour ajouter des objets aux collections',
+    
+    // ===========================================
+    // SAVED SEARCHES
+    // ===========================================
+    'saved_searches.title' => 'Recherches enregistrées',
+    'saved_searches.menu' => 'Recherches enregistrées',
+    'saved_searches.empty' => 'Aucune recherche enregistrée',
+    'saved_searches.empty_hint' => 'Configurez des filtres dans le catalogue et enregistrez-les depuis le menu « Recherches enregistrées ».',
+    'saved_searches.filters' => 'Filtres',
+    'saved_searches.saved_at' => 'Enregistrée',
+    'saved_searches.no_filters' => 'Tous les meubles',
+    'saved_searches.open' => 'Ouvrir',
+    'saved_searches.delete' => 'Supprimer la recherche',
+    'saved_searches.summary_category' => 'Catégorie : {category}',
+    'saved_searches.summary_tags' => 'Tags : {tags}',
+    'saved_searches.summary_sort' => 'Tri : {sort}',
+    'saved_searches.none' => 'Aucune recherche enregistrée',
+    'saved_searches.name_placeholder' => 'Nommez cette recherche',
+    'saved_searches.save' => 'Enregistrer',
+    'saved_searches.name_required' => 'Saisissez un nom pour cette recherche',
+    'saved_searches.saved' => 'Recherche « {name} » enregistrée',
+    'saved_searches.deleted' => 'Recherche supprimée',
+    'saved_searches.confirm_delete' => 'Supprimer la recherche « {name} » ?',
     
     // ===========================================
     // COLLECTIONS
@@ -136,6 +239,26 @@ return [
     'collections.private' => '🔒 Privé',
     'collections.items' => 'Éléments',
     'collections.item_count' => '{count} éléments',
+    'collections.totals' => '{count} objet · {cost} au total|{count} objets · {cost} au total',
+    'collections.quantity' => 'Quantité',
+    'collections.quantity_updated' => 'Quantité mise à jour',
+    'collections.budget_optional' => 'Budget (facultatif)',
+    'collections.budget_placeholder' => 'ex. 50000',
+    'collections.budget_spent' => '{spent} dépensés sur {budget}',
+    'collections.budget_left' => '{amount} restants',
+    'collections.budget_over' => '{amount} de dépassement',
+    'collections.budget_would_exceed' => 'Dépasserait le budget de {amount}',
+    'collections.budget_confirm' => 'Ajouter ceci à « {name} » dépasse son budget de {amount}. Ajouter quand même ?',
+    'collections.section_name' => 'Nom de la section',
+    'collections.section_placeholder' => 'Nouvelle section, ex. Cuisine',
+    'collections.add_section' => 'Ajouter une section',
+    'collections.no_section' => 'Sans section',
+    'collections.rename_section' => 'Renommer',
+    'collections.rename_section_prompt' => 'Nom de la section :',
+    'collections.confirm_delete_section' => 'Supprimer cette section ? Ses objets restent dans la collection.',
+    'collections.section_added' => 'Section ajoutée',
+    'collections.section_renamed' => 'Section renommée',
+    'collections.section_deleted' => 'Section supprimée',
     'collections.empty' => 'Aucune collection',
     'collections.empty_hint' => 'Créez des collections pour organiser vos meubles en listes partageables.',
     'collections.collection_empty' => 'Collection vide',
@@ -152,15 +275,45 @@ return [
     'collections.reorder_failed' => 'Échec de la réorganisation',
     'collections.confirm_remove_item' => 'Retirer cet élément de la collection ?',
     'collections.pick_title' => 'Ajouter à une collection',
+    'collections.pick_title_bulk' => 'Ajouter {count} objet à une collection|Ajouter {count} objets à une collection',
+    'collections.bulk_added' => '{count} objet ajouté ({existing} déjà dans la collection)|{count} objets ajoutés ({existing} déjà dans la collection)',
     'collections.no_collections' => 'Vous n\'avez pas encore créé de collections.',
     'collections.create_first' => 'Créer une collection',
     'collections.new_collection' => '+ Nouvelle collection',
+    'collections.create_and_add' => 'Créer et ajouter',
+    'collections.created' => 'Collection « {name} » créée',
     'collections.added_status' => '✓ Ajouté',
     'collections.not_found' => 'Collection non trouvée',
     'collections.public_disabled' => 'Les collections publiques sont actuellement désactivées.',
     'collections.will_be_private' => 'Cette collection sera privée.',
     'collections.currently_public_warning' => 'Cette collection est actuellement publique mais sera définie comme privée lors de l\'enregistrement.',
     
+    // ===========================================
+    // EXPORT
+    // ===========================================
+    'export.title' => 'Exporter',
+    'export.favorites_title' => 'Exporter les favoris',
+    'export.collection_title' => 'Exporter la collection',
+    'export.format' => 'Format',
+    'export.format_commands' => 'Commandes /sf',
+    'export.format_csv' => 'CSV (tableur)',
+    'export.format_json' => 'JSON',
+    'export.format_markdown' => 'Tableau Markdown',
+    'export.format_bbcode' => 'BBCode de forum',
+    'export.batch_size' => 'Commandes par lot (0 = tout d\'un coup)',
+    'export.batch_header' => 'Lot {n} sur {total}',
+    'export.copy_batch' => 'Copier le lot {n}',
+    'export.preview' => 'Aperçu de l\'export',
+    'export.copy' => 'Copier',
+    'export.download' => 'Télécharger',
+    'export.copied' => 'Copié dans le presse-papiers',
+    'export.downloaded' => '{count} éléments téléchargés',
+    'export.column_name' => 'Nom',
+    'export.column_categories' => 'Catégories',
+    'export.column_price' => 'Prix',
+    'export.column_quantity' => 'Qté',
+    'export.column_tags' => 'Tags',
+    
     // ===========================================
     // SUBMISSIONS
     // ===========================================
@@ -191,6 +344,9 @@ return [
     'submissions.image_url' => 'URL de l\'image',
     'submissions.image_url_placeholder' => 'https://... ou /images/...',
     'submissions.image_url_help' => 'URL d\'une image du meuble (sera traitée et convertie)',
+    'submissions.gallery_urls' => 'Autres images',
+    'submissions.gallery_urls_placeholder' => 'Une URL d\'image par ligne',
+    'submissions.gallery_urls_help' => 'Autres angles ou photos en situation, affichées après l\'image principale dans cet ordre (jusqu\'à {max})',
     'submissions.edit_notes' => 'Notes de modification (optionnel)',
     'submissions.edit_notes_placeholder' => 'Expliquez ce que vous modifiez et pourquoi...',
     'submissions.categories' => 'Catégories',
@@ -217,6 +373,7 @@ return [
     'dashboard.overview' => 'Aperçu',
     'dashboard.favorites' => 'Favoris',
     'dashboard.collections' => 'Collections',
+    'dashboard.saved_searches' => 'Recherches',
     'dashboard.submissions' => 'Soumissions',
     'dashboard.browse' => 'Parcourir le catalogue',
     'dashboard.logged_in_as' => 'Connecté en tant que',
@@ -233,6 +390,12 @@ return [
     'pagination.next_page' => 'Page suivante',
     'pagination.page_info' => 'Page {page} sur {total_pages} ({total} éléments)',
     'pagination.items' => '{total} élément|{total} éléments',
+    'pagination.load_more' => 'Charger plus',
+    'pagination.loading_more' => 'Chargement...',
+    'pagination.load_more_failed' => 'Impossible de charger plus d\'éléments',
+    'pagination.showing' => '{count} sur {total} éléments affichés',
+    'pagination.mode_infinite' => 'Défilement infini',
+    'pagination.mode_pages' => 'Afficher les pages',
     
     // ===========================================
     // EMPTY STATES
@@ -243,6 +406,15 @@ return [
     'empty.start_browsing' => 'Commencez à parcourir les meubles',
     'empty.not_found' => 'Meuble non trouvé',
     
+    // ===========================================
+    // OFFLINE & PENDING CHANGES
+    // ===========================================
+    'offline.banner' => 'Vous êtes hors ligne. Affichage des résultats enregistrés si disponibles.',
+    'offline.back_online' => 'De nouveau en ligne',
+    'queue.queued' => 'Pas encore enregistré. Nouvel essai automatique.',
+    'queue.synced' => '{count} modification en attente enregistrée|{count} modifications en attente enregistrées',
+    'queue.failed' => 'Une modification en attente n\'a pas pu être enregistrée',
+    
     // ===========================================
     // ERRORS & MESSAGES
     // ===========================================
@@ -252,6 +424,9 @@ return [
     'error.network_retry' => 'Erreur réseau. Veuillez réessayer.',
     'error.not_found' => 'Non trouvé',
     'error.failed_to_load' => 'Impossible de charger le meuble',
+    'error.load_failed' => 'Impossible de charger les meubles',
+    'error.load_failed_hint' => 'Vérifiez votre connexion et réessayez.',
+    'error.retry' => 'Réessayer',
     
     'success.saved' => 'Enregistré avec succès',
     'success.created' => 'Créé avec succès',
@@ -0,0 +1,6 @@
+-- Favorite details: a private note and a wanted quantity per favorite
+-- Read by getUserFavorites() and written through the favorites/update API action
+
+ALTER TABLE favorites
+    ADD COLUMN note VARCHAR(255) NULL DEFAULT NULL,
+    ADD COLUMN quantity SMALLINT UNSIGNED NOT NULL DEFAULT 1;
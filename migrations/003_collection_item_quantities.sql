@@ -0,0 +1,5 @@
+-- Collection item quantities: how many of each piece a collection needs ("6x dining chair")
+-- Read by getCollectionItems() / getCollectionTotals() and written through collections/update-item
+
+ALTER TABLE collection_items
+    ADD COLUMN quantity SMALLINT UNSIGNED NOT NULL DEFAULT 1;
@@ -0,0 +1,5 @@
+-- Collection budgets: optional furnishing budget per collection, compared against getCollectionTotals()
+-- NULL means no budget
+
+ALTER TABLE collections
+    ADD COLUMN budget INT UNSIGNED NULL DEFAULT NULL;
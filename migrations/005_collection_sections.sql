@@ -0,0 +1,16 @@
+-- Collection sections: named groups ("Kitchen", "Bedroom 1") inside a collection
+-- Items without a section_id are listed before the first section; deleting a section keeps its items
+
+CREATE TABLE IF NOT EXISTS collection_sections (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    collection_id INT UNSIGNED NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    sort_order INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_collection_sections_name (collection_id, name),
+    CONSTRAINT fk_collection_sections_collection FOREIGN KEY (collection_id) REFERENCES collections (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE collection_items
+    ADD COLUMN section_id INT UNSIGNED NULL DEFAULT NULL,
+    ADD CONSTRAINT fk_collection_items_section FOREIGN KEY (section_id) REFERENCES collection_sections (id) ON DELETE SET NULL;
@@ -0,0 +1,12 @@
+-- Furniture galleries: extra images (other angles, placed-in-interior shots) per furniture item
+-- furniture.image_url stays the first image (cards, exports); these follow it in sort_order
+
+CREATE TABLE IF NOT EXISTS furniture_images (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    furniture_id INT UNSIGNED NOT NULL,
+    image_url VARCHAR(500) NOT NULL,
+    sort_order INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_furniture_images_order (furniture_id, sort_order),
+    CONSTRAINT fk_furniture_images_furniture FOREIGN KEY (furniture_id) REFERENCES furniture (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,177 @@
+/**
+ * GTAW Furniture Catalog - Service Worker
+ *
+ * Keeps the catalog usable on flaky connections:
+ * - App shell (CSS, JS, placeholder image) precached on install
+ * - Furniture images cached on first view
+ * - Catalog API responses and pages: network first, cached copy when offline
+ *
+ * Only GET requests are handled. Favorite and collection writes that fail
+ * offline are retried by GTAW.mutationQueue (common.js).
+ *
+ * Pages and API responses can hold the signed-in user's data, so the page
+ * sends 'clear-user-data' on logout and whenever the session user changes.
+ */
+
+// Bump to drop every cache on the next activation
+const CACHE_VERSION = 'v1';
+
+const SHELL_CACHE = `gtaw-shell-${CACHE_VERSION}`;
+const PAGE_CACHE = `gtaw-pages-${CACHE_VERSION}`;
+const API_CACHE = `gtaw-api-${CACHE_VERSION}`;
+const IMAGE_CACHE = `gtaw-images-${CACHE_VERSION}`;
+
+const MAX_CACHED_IMAGES = 300;
+
+const SHELL_ASSETS = [
+    '/css/base.css',
+    '/css/style.css',
+    '/js/common.js',
+    '/js/app.js',
+    '/images/placeholder.svg'
+];
+
+// Read-only public API actions the catalog needs to render
+const CACHED_API_ACTIONS = [
+    'furniture',
+    'furniture/search',
+    'furniture/single',
+    'furniture/batch',
+    'furniture/similar',
+    'furniture/price-range',
+    'categories',
+    'tags',
+    'tags/for-categories',
+    'user',
+    'favorites'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_ASSETS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, PAGE_CACHE, API_CACHE, IMAGE_CACHE];
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('gtaw-') && !current.includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'clear-user-data') {
+        event.waitUntil(Promise.all([caches.delete(PAGE_CACHE), caches.delete(API_CACHE)]));
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        const pageKey = getPageCacheKey(url);
+        if (pageKey) {
+            event.respondWith(networkFirst(request, PAGE_CACHE, pageKey));
+        }
+        return;
+    }
+
+    if (url.origin === self.location.origin && url.pathname === '/api.php') {
+        if (CACHED_API_ACTIONS.includes(url.searchParams.get('action'))) {
+            event.respondWith(networkFirst(request, API_CACHE, request.url));
+        }
+        return;
+    }
+
+    if (request.destination === 'image') {
+        event.respondWith(cacheFirst(request, IMAGE_CACHE, MAX_CACHED_IMAGES));
+        return;
+    }
+
+    // Network first so a deploy never pairs fresh HTML with stale scripts
+    if (['style', 'script', 'font'].includes(request.destination)) {
+        event.respondWith(networkFirst(request, SHELL_CACHE, request.url));
+    }
+});
+
+/**
+ * Get the cache key for a page that should work offline, or null
+ *
+ * The catalog keeps its filters in the query string and renders them
+ * client-side, so all catalog URLs share one cached page.
+ */
+function getPageCacheKey(url) {
+    if (url.origin !== self.location.origin) return null;
+
+    if (url.pathname === '/' || url.pathname === '/index.php') {
+        return new URL('/', url).href;
+    }
+    if (url.pathname === '/collection.php') {
+        return url.href;
+    }
+    if (url.pathname === '/dashboard/' && url.searchParams.get('page') === 'favorites') {
+        return url.href;
+    }
+    return null;
+}
+
+/**
+ * Fetch from the network and keep a copy; fall back to the copy when offline
+ */
+async function networkFirst(request, cacheName, cacheKey) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+
+        if (response.ok) {
+            cache.put(cacheKey, response.clone());
+        } else if ([401, 403, 404].includes(response.status)) {
+            // Logged out or deleted: don't serve the old copy offline either
+            cache.delete(cacheKey);
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(cacheKey);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Serve from the cache, fetching (and keeping) on a miss
+ */
+async function cacheFirst(request, cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+
+    // Cross-origin images without CORS come back opaque (status 0) but are still usable
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        trimCache(cache, maxEntries);
+    }
+    return response;
+}
+
+/**
+ * Delete the oldest entries beyond maxEntries (keys are in insertion order)
+ */
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
@@ -19,6 +19,7 @@ $jsTranslations = getJsTranslations();
     <script>
     window.GTAW_TRANSLATIONS = <?= json_encode($jsTranslations, JSON_HEX_TAG | JSON_HEX_APOS | JSON_HEX_QUOT) ?>;
     window.GTAW_LOCALE = <?= json_encode($currentLocale) ?>;
+    window.GTAW_USER_ID = <?= json_encode($user['id'] ?? null) ?>;
     window.GTAW_SETTINGS = <?= json_encode([
         'items_per_page' => getDefaultItemsPerPage(),
         'max_items_per_page' => getMaxItemsPerPage(),
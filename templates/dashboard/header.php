@@ -80,6 +80,12 @@ $communities = getSupportedCommunities();
                             <?= e(__('dashboard.collections')) ?>
                         </a>
                     </li>
+                    <li>
+                        <a href="/dashboard/?page=searches" class="<?= $currentPage === 'searches' ? 'active' : '' ?>">
+                            <span class="nav-icon">🔖</span>
+                            <?= e(__('dashboard.saved_searches')) ?>
+                        </a>
+                    </li>
                     <li>
                         <a href="/dashboard/?page=submissions" class="<?= $currentPage === 'submissions' ? 'active' : '' ?>">
                             <span class="nav-icon">📝</span>
@@ -43,9 +43,10 @@ $jsTranslations = getJsTranslations();
         <button class="lightbox-nav prev" aria-label="<?= e(__('lightbox.previous')) ?>" title="<?= e(__('lightbox.previous')) ?> (←)">‹</button>
         <button class="lightbox-nav next" aria-label="<?= e(__('lightbox.next')) ?>" title="<?= e(__('lightbox.next')) ?> (→)">›</button>
         <div class="lightbox-content">
-            <div class="lightbox-image-container">
+            <div class="lightbox-image-container" title="<?= e(__('lightbox.zoom_hint')) ?>">
                 <img src="" alt="" id="lightbox-image">
             </div>
+            <div class="lightbox-gallery" id="lightbox-gallery" role="group" aria-label="<?= e(__('lightbox.gallery')) ?>" hidden></div>
             <div class="lightbox-info-card">
                 <h3 id="lightbox-title"></h3>
                 <p class="meta" id="lightbox-meta"></p>
@@ -53,31 +54,48 @@ $jsTranslations = getJsTranslations();
                 <div class="lightbox-actions">
                     <div class="lightbox-actions-row lightbox-actions-primary">
                         <button class="btn-copy" id="lightbox-copy" title="<?= e(__('lightbox.copy_command')) ?>">
-                            📋 <?= e(__('lightbox.copy_command')) ?>
+                            📋 <span class="lightbox-action-label"><?= e(__('lightbox.copy_command')) ?></span>
                         </button>
                         <button class="btn-favorite" id="lightbox-favorite" title="<?= e(__('favorites.add')) ?>" aria-label="<?= e(__('favorites.add')) ?>">
                             🤍
                         </button>
                         <button class="btn-share" id="lightbox-share" title="<?= e(__('lightbox.share')) ?>">
-                            🔗 <?= e(__('lightbox.share')) ?>
+                            🔗 <span class="lightbox-action-label"><?= e(__('lightbox.share')) ?></span>
                         </button>
                     </div>
                     <div class="lightbox-actions-row lightbox-actions-secondary">
                         <?php if ($currentUser): ?>
                         <button class="btn-collection" id="lightbox-add-collection" title="<?= e(__('lightbox.add_collection')) ?>">
-                            📁 <?= e(__('lightbox.add_collection')) ?>
+                            📁 <span class="lightbox-action-label"><?= e(__('lightbox.add_collection')) ?></span>
                         </button>
                         <a href="#" class="btn-suggest" id="lightbox-suggest-edit" title="<?= e(__('lightbox.suggest_edit')) ?>">
-                            ✏️ <?= e(__('lightbox.suggest_edit')) ?>
+                            ✏️ <span class="lightbox-action-label"><?= e(__('lightbox.suggest_edit')) ?></span>
                         </a>
                         <?php endif; ?>
                         <?php if (isAdminLoggedIn()): ?>
                         <a href="#" class="btn-edit" id="lightbox-edit" title="<?= e(__('lightbox.admin_edit')) ?>">
-                            ⚙️ <?= e(__('lightbox.admin_edit')) ?>
+                            ⚙️ <span class="lightbox-action-label"><?= e(__('lightbox.admin_edit')) ?></span>
                         </a>
                         <?php endif; ?>
                     </div>
                 </div>
+                <?php if ($currentUser): ?>
+                <form class="lightbox-favorite-details" id="lightbox-favorite-details" hidden>
+                    <label class="favorite-quantity-field">
+                        <span><?= e(__('favorites.quantity')) ?></span>
+                        <input type="number" name="quantity" min="1" max="<?= MAX_ITEM_QUANTITY ?>" value="1" required>
+                    </label>
+                    <label class="favorite-note-field">
+                        <span><?= e(__('favorites.note')) ?></span>
+                        <input type="text" name="note" maxlength="<?= MAX_FAVORITE_NOTE_LENGTH ?>" placeholder="<?= e(__('favorites.note_placeholder')) ?>">
+                    </label>
+                    <button type="submit" class="btn btn-sm"><?= e(__('favorites.save_details')) ?></button>
+                </form>
+                <?php endif; ?>
+                <div class="lightbox-similar" id="lightbox-similar" hidden>
+                    <h4><?= e(__('lightbox.similar_items')) ?></h4>
+                    <div class="similar-grid" id="lightbox-similar-grid"></div>
+                </div>
             </div>
         </div>
     </div>
@@ -90,6 +108,7 @@ $jsTranslations = getJsTranslations();
     <script>
     window.GTAW_TRANSLATIONS = <?= json_encode($jsTranslations, JSON_HEX_TAG | JSON_HEX_APOS | JSON_HEX_QUOT) ?>;
     window.GTAW_LOCALE = <?= json_encode($currentLocale) ?>;
+    window.GTAW_USER_ID = <?= json_encode($currentUser['id'] ?? null) ?>;
     window.GTAW_SETTINGS = <?= json_encode([
         'items_per_page' => getDefaultItemsPerPage(),
         'max_items_per_page' => getMaxItemsPerPage(),